@@ -0,0 +1,266 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Audit log of AI tool actions
+ * Every getState/setState executed for a model or ToolServer client is appended
+ * to audit.jsonl in the instance data directory (rotated by size) and the newest
+ * entries are mirrored to the audit.latest state
+ */
+class AuditLog {
+  /**
+   * Create a new audit log
+   *
+   * @param {object} adapter - ioBroker adapter instance for state management
+   * @param {string} dataDir - Instance data directory for the log files
+   */
+  constructor(adapter, dataDir) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this.dataDir = dataDir;
+    this.fileName = "audit.jsonl";
+    this.maxFiles = 5; // rotated files kept next to the current one
+    this.maxFileSize = (adapter.config?.auditMaxFileSize || 5) * 1024 * 1024;
+    this.latestEntries = adapter.config?.auditLatestEntries || 20;
+    this.maxPromptLength = 500;
+    this._latest = []; // newest first
+    this._size = 0;
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Create the audit states and the data directory
+   */
+  async initialize() {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync("audit", {
+      type: "folder",
+      common: { name: adapter.translate("Audit log") },
+      native: {},
+    });
+    await adapter.setObjectNotExistsAsync("audit.latest", {
+      type: "state",
+      common: {
+        name: adapter.translate("Latest AI actions (JSON)"),
+        type: "string",
+        role: "json",
+        read: true,
+        write: false,
+        def: "[]",
+      },
+      native: {},
+    });
+
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    try {
+      this._size = (await fs.promises.stat(this._getFilePath(0))).size;
+    } catch (_e) {
+      this._size = 0;
+    }
+
+    try {
+      const state = await adapter.getStateAsync("audit.latest");
+      const latest = JSON.parse(String(state?.val || "[]"));
+      this._latest = Array.isArray(latest)
+        ? latest.slice(0, this.latestEntries)
+        : [];
+    } catch (_e) {
+      this._latest = [];
+    }
+
+    this.log.debug(`[Audit] Writing audit log to ${this._getFilePath(0)}`);
+  }
+
+  /**
+   * Record a tool action
+   *
+   * @param {object} entry - Action details
+   * @param {string} entry.source - Who triggered the action (state chat, sendTo, ToolServer client, OpenWebUI)
+   * @param {string} [entry.model] - Model that requested the action
+   * @param {string} [entry.prompt] - User prompt that led to the action
+   * @param {string} entry.tool - Tool name (getState, setState)
+   * @param {string} [entry.datapoint] - Resolved datapoint ID
+   * @param {boolean|number|string} [entry.oldValue] - Value before the action (the value read for getState)
+   * @param {boolean|number|string} [entry.newValue] - Value written
+   * @param {string} entry.result - success, pending or error
+   * @param {string} [entry.verification] - Device acknowledgement of a verified write (confirmed, different, timeout)
+   * @param {boolean|number|string} [entry.confirmedValue] - Value reported by the device
+   * @param {string} [entry.error] - Error message
+   */
+  async record(entry) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      source: entry.source || "unknown",
+      model: entry.model || null,
+      prompt: entry.prompt
+        ? String(entry.prompt).substring(0, this.maxPromptLength)
+        : null,
+      tool: entry.tool,
+      datapoint: entry.datapoint || null,
+      oldValue: entry.oldValue ?? null,
+      newValue: entry.newValue ?? null,
+      result: entry.result,
+      ...(entry.verification
+        ? {
+            verification: entry.verification,
+            confirmedValue: entry.confirmedValue ?? null,
+          }
+        : {}),
+      ...(entry.error ? { error: entry.error } : {}),
+    };
+
+    this._latest.unshift(record);
+    this._latest.length = Math.min(this._latest.length, this.latestEntries);
+
+    const line = `${JSON.stringify(record)}\n`;
+    this._writeQueue = this._writeQueue
+      .then(() => this._append(line))
+      .catch((error) =>
+        this.log.warn(`[Audit] Could not write audit log: ${error.message}`),
+      );
+
+    try {
+      await Promise.all([
+        this._writeQueue,
+        this.adapter.setState(
+          "audit.latest",
+          JSON.stringify(this._latest),
+          true,
+        ),
+      ]);
+    } catch (error) {
+      this.log.warn(`[Audit] Could not update audit.latest: ${error.message}`);
+    }
+  }
+
+  /**
+   * Search the audit log (current and rotated files)
+   *
+   * @param {object} [filter] - Query filter
+   * @param {string} [filter.datapoint] - Only entries of this datapoint ID
+   * @param {string|number} [filter.from] - Start time (ISO string or ms timestamp)
+   * @param {string|number} [filter.to] - End time (ISO string or ms timestamp)
+   * @param {string} [filter.tool] - Only entries of this tool
+   * @param {number} [filter.limit] - Maximum number of entries (default 100, max 1000)
+   * @returns {Promise<Array<object>>} Matching entries, newest first
+   */
+  async query(filter = {}) {
+    const from = AuditLog._parseTime(filter.from, -Infinity);
+    const to = AuditLog._parseTime(filter.to, Infinity);
+    if (isNaN(from) || isNaN(to)) {
+      throw new Error("Parameters 'from' and 'to' must be dates or timestamps");
+    }
+    const limit = Math.min(parseInt(String(filter.limit), 10) || 100, 1000);
+
+    await this._writeQueue;
+
+    const matches = [];
+    // Newest file first, newest line first
+    for (
+      let index = 0;
+      index <= this.maxFiles && matches.length < limit;
+      index++
+    ) {
+      let content;
+      try {
+        content = await fs.promises.readFile(this._getFilePath(index), "utf8");
+      } catch (_e) {
+        continue;
+      }
+
+      const lines = content.split("\n");
+      for (let i = lines.length - 1; i >= 0 && matches.length < limit; i--) {
+        if (!lines[i]) {
+          continue;
+        }
+        let record;
+        try {
+          record = JSON.parse(lines[i]);
+        } catch (_e) {
+          continue;
+        }
+
+        const time = new Date(record.timestamp).getTime();
+        if (
+          time >= from &&
+          time <= to &&
+          (!filter.datapoint || record.datapoint === filter.datapoint) &&
+          (!filter.tool || record.tool === filter.tool)
+        ) {
+          matches.push(record);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Append a line and rotate the file when it exceeds the size limit
+   *
+   * @param {string} line - JSON line including newline
+   */
+  async _append(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this._size > 0 && this._size + bytes > this.maxFileSize) {
+      await this._rotate();
+    }
+    await fs.promises.appendFile(this._getFilePath(0), line, "utf8");
+    this._size += bytes;
+  }
+
+  /**
+   * Shift audit.jsonl -> audit.1.jsonl -> ... and drop the oldest file
+   */
+  async _rotate() {
+    for (let index = this.maxFiles - 1; index >= 0; index--) {
+      try {
+        await fs.promises.rename(
+          this._getFilePath(index),
+          this._getFilePath(index + 1),
+        );
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    }
+    this._size = 0;
+    this.log.debug("[Audit] Rotated audit log");
+  }
+
+  /**
+   * Path of the current (0) or a rotated audit file
+   *
+   * @param {number} index - Rotation index
+   * @returns {string} File path
+   */
+  _getFilePath(index) {
+    const name =
+      index === 0
+        ? this.fileName
+        : this.fileName.replace(/\.jsonl$/, `.${index}.jsonl`);
+    return path.join(this.dataDir, name);
+  }
+
+  /**
+   * Parse a query time
+   *
+   * @param {string|number|undefined} value - ISO string or ms timestamp
+   * @param {number} fallback - Value used if no time is given
+   * @returns {number} Timestamp in ms (NaN if invalid)
+   */
+  static _parseTime(value, fallback) {
+    if (value === undefined || value === null || value === "") {
+      return fallback;
+    }
+    return typeof value === "number" || /^\d+$/.test(String(value))
+      ? Number(value)
+      : new Date(value).getTime();
+  }
+}
+
+module.exports = AuditLog;
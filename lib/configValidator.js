@@ -1,5 +1,8 @@
 "use strict";
 
+const PromptScheduler = require("./promptScheduler");
+const RuleEngine = require("./ruleEngine");
+
 /**
  * Configuration validator for ioBroker.ollama
  * Provides early validation and sanitization of adapter configuration
@@ -40,6 +43,12 @@ class ConfigValidator {
       warnings.push(...ollamaValidation.warnings);
       Object.assign(sanitized, ollamaValidation.sanitized);
 
+      // Validate chat backend selection
+      const backendValidation = this.validateBackend(config);
+      errors.push(...backendValidation.errors);
+      warnings.push(...backendValidation.warnings);
+      Object.assign(sanitized, backendValidation.sanitized);
+
       // Validate Vector Database configuration
       const vectorDbValidation = this.validateVectorDb(config);
       errors.push(...vectorDbValidation.errors);
@@ -52,6 +61,12 @@ class ConfigValidator {
       warnings.push(...toolServerValidation.warnings);
       Object.assign(sanitized, toolServerValidation.sanitized);
 
+      // Validate datapoint control settings
+      const datapointControlValidation = this.validateDatapointControl(config);
+      errors.push(...datapointControlValidation.errors);
+      warnings.push(...datapointControlValidation.warnings);
+      Object.assign(sanitized, datapointControlValidation.sanitized);
+
       // Check for critical dependency conflicts
       const dependencyValidation = this.validateDependencies(sanitized);
       errors.push(...dependencyValidation.errors);
@@ -197,6 +212,51 @@ class ConfigValidator {
     return { errors, warnings, sanitized };
   }
 
+  /**
+   * Validate chat backend selection and OpenAI-compatible server settings
+   *
+   * @param {object} config - Configuration object
+   * @returns {{errors: string[], warnings: string[], sanitized: object}} Backend validation result
+   */
+  validateBackend(config) {
+    const errors = [];
+    const warnings = [];
+    const sanitized = {};
+
+    sanitized.backendType =
+      config.backendType === "openai" ? "openai" : "openwebui";
+    if (config.backendType && config.backendType !== sanitized.backendType) {
+      warnings.push(
+        `Unknown chat backend "${config.backendType}", using OpenWebUI + Ollama`,
+      );
+    }
+
+    // Base URL without trailing slash, model list path with leading slash
+    const baseUrl = String(config.openAIBaseUrl || "")
+      .trim()
+      .replace(/\/+$/, "");
+    const modelsPath = String(config.openAIModelsPath || "").trim();
+    sanitized.openAIModelsPath = modelsPath
+      ? `/${modelsPath.replace(/^\/+/, "")}`
+      : "/models";
+    sanitized.openAIApiKey = String(config.openAIApiKey || "").trim();
+
+    if (sanitized.backendType !== "openai") {
+      sanitized.openAIBaseUrl = baseUrl;
+      return { errors, warnings, sanitized };
+    }
+
+    if (!baseUrl) {
+      errors.push("OpenAI-compatible base URL is required");
+    } else if (!/^https?:\/\/[^\s/]+/i.test(baseUrl)) {
+      errors.push(`Invalid OpenAI-compatible base URL: ${baseUrl}`);
+    } else {
+      sanitized.openAIBaseUrl = baseUrl;
+    }
+
+    return { errors, warnings, sanitized };
+  }
+
   /**
    * Validate Vector Database configuration
    *
@@ -357,6 +417,378 @@ class ConfigValidator {
       sanitized.toolServerMaxTokens = 2048;
     }
 
+    // Validate tool call rounds
+    if (config.toolServerMaxToolIterations !== undefined) {
+      const maxIterations = parseInt(config.toolServerMaxToolIterations, 10);
+      if (isNaN(maxIterations) || maxIterations < 1 || maxIterations > 20) {
+        warnings.push("Invalid max tool call rounds value, using default 5");
+        sanitized.toolServerMaxToolIterations = 5;
+      } else {
+        sanitized.toolServerMaxToolIterations = maxIterations;
+      }
+    } else {
+      sanitized.toolServerMaxToolIterations = 5;
+    }
+
+    // Validate authentication and client profiles
+    // Authentication is on unless it was switched off explicitly
+    sanitized.toolServerAuth = config.toolServerAuth !== false;
+    sanitized.toolServerClients = [];
+    const seenTokens = new Set();
+
+    for (const client of Array.isArray(config.toolServerClients)
+      ? config.toolServerClients
+      : []) {
+      const name = String(client?.name || "").trim() || "unnamed";
+      const token = String(client?.token || "").trim();
+
+      if (!token) {
+        warnings.push(`ToolServer client "${name}" has no API key - ignored`);
+        continue;
+      }
+      if (seenTokens.has(token)) {
+        warnings.push(
+          `ToolServer client "${name}" uses an API key that is already assigned - ignored`,
+        );
+        continue;
+      }
+      if (token.length < 16) {
+        warnings.push(
+          `ToolServer client "${name}" uses a short API key - use at least 16 characters`,
+        );
+      }
+
+      seenTokens.add(token);
+      sanitized.toolServerClients.push({
+        name: name,
+        token: token,
+        access: client.access === "readwrite" ? "readwrite" : "read",
+        datapoints: String(client.datapoints || "").trim(),
+      });
+    }
+
+    if (sanitized.toolServerAuth && sanitized.toolServerClients.length === 0) {
+      warnings.push(
+        "ToolServer API key required but no client profiles configured - only the adapter itself can use the ToolServer",
+      );
+    }
+
+    // Validate origins allowed for browser requests (CORS)
+    const corsOrigins = [];
+    for (const origin of String(config.toolServerCorsOrigins || "")
+      .split(/[,;\s]+/)
+      .map((entry) => entry.trim().replace(/\/+$/, ""))
+      .filter(Boolean)) {
+      if (origin === "*" || /^https?:\/\/[^/\s]+$/i.test(origin)) {
+        corsOrigins.push(origin);
+      } else {
+        warnings.push(
+          `Invalid ToolServer CORS origin "${origin}" - use e.g. http://192.168.1.10:3000`,
+        );
+      }
+    }
+    sanitized.toolServerCorsOrigins = corsOrigins.join(", ");
+
+    return { errors, warnings, sanitized };
+  }
+
+  /**
+   * Validate settings for AI-initiated datapoint writes
+   *
+   * @param {object} config - Configuration object
+   * @returns {{errors: string[], warnings: string[], sanitized: object}} Datapoint control validation result
+   */
+  validateDatapointControl(config) {
+    const errors = [];
+    const warnings = [];
+    const sanitized = {};
+
+    // Validate how long pending actions wait for confirmation
+    if (config.confirmationTimeout !== undefined) {
+      const timeout = parseInt(config.confirmationTimeout, 10);
+      if (isNaN(timeout) || timeout < 30 || timeout > 86400) {
+        warnings.push(
+          "Invalid confirmation timeout value, using default 300 seconds",
+        );
+        sanitized.confirmationTimeout = 300;
+      } else {
+        sanitized.confirmationTimeout = timeout;
+      }
+    } else {
+      sanitized.confirmationTimeout = 300;
+    }
+
+    sanitized.clampOutOfRangeValues = config.clampOutOfRangeValues === true;
+
+    // Validate how long verified writes wait for the device acknowledgement
+    const verifyTimeout = parseInt(config.verifyTimeout ?? 10, 10);
+    if (isNaN(verifyTimeout) || verifyTimeout < 1 || verifyTimeout > 300) {
+      warnings.push("Invalid verification timeout, using default 10 seconds");
+      sanitized.verifyTimeout = 10;
+    } else {
+      sanitized.verifyTimeout = verifyTimeout;
+    }
+
+    // Validate how late missed one-time schedules may still run
+    const maxLateness = parseInt(config.scheduleMaxLateness ?? 60, 10);
+    if (isNaN(maxLateness) || maxLateness < 0 || maxLateness > 10080) {
+      warnings.push(
+        "Invalid maximum delay of missed actions, using default 60 minutes",
+      );
+      sanitized.scheduleMaxLateness = 60;
+    } else {
+      sanitized.scheduleMaxLateness = maxLateness;
+    }
+
+    // Validate audit log settings
+    sanitized.auditEnabled = config.auditEnabled !== false;
+    const latestEntries = parseInt(config.auditLatestEntries ?? 20, 10);
+    if (isNaN(latestEntries) || latestEntries < 1 || latestEntries > 200) {
+      warnings.push("Invalid audit.latest entry count, using default 20");
+      sanitized.auditLatestEntries = 20;
+    } else {
+      sanitized.auditLatestEntries = latestEntries;
+    }
+    const maxFileSize = parseInt(config.auditMaxFileSize ?? 5, 10);
+    if (isNaN(maxFileSize) || maxFileSize < 1 || maxFileSize > 100) {
+      warnings.push("Invalid audit file size, using default 5 MB");
+      sanitized.auditMaxFileSize = 5;
+    } else {
+      sanitized.auditMaxFileSize = maxFileSize;
+    }
+
+    // Validate history instance used by getHistory
+    const historyInstance = String(config.historyInstance || "").trim();
+    if (historyInstance && !/^[\w-]+\.\d+$/.test(historyInstance)) {
+      warnings.push(
+        `Invalid history instance "${historyInstance}", history queries are disabled`,
+      );
+      sanitized.historyInstance = "";
+    } else {
+      sanitized.historyInstance = historyInstance;
+    }
+    const historyTimeout = parseInt(config.historyTimeout ?? 20, 10);
+    if (isNaN(historyTimeout) || historyTimeout < 1 || historyTimeout > 300) {
+      warnings.push("Invalid history query timeout, using default 20 seconds");
+      sanitized.historyTimeout = 20;
+    } else {
+      sanitized.historyTimeout = historyTimeout;
+    }
+
+    // Validate the channels of the notify tool
+    sanitized.notifyChannels = [];
+    const seenChannels = new Set();
+    for (const channel of Array.isArray(config.notifyChannels)
+      ? config.notifyChannels
+      : []) {
+      const name = String(channel?.name || "").trim();
+      const instance = String(channel?.instance || "").trim();
+      if (!/^[\w-]+$/.test(name) || name.toLowerCase() === "all") {
+        warnings.push(
+          `Notification channel "${name}" needs a name of letters, digits, _ and - (not "all") - ignored`,
+        );
+        continue;
+      }
+      if (seenChannels.has(name.toLowerCase())) {
+        warnings.push(
+          `Notification channel "${name}" is defined twice - ignored`,
+        );
+        continue;
+      }
+      if (!/^[\w-]+\.\d+$/.test(instance)) {
+        warnings.push(
+          `Notification channel "${name}" has no valid instance - ignored`,
+        );
+        continue;
+      }
+
+      let options = null;
+      try {
+        options = JSON.parse(String(channel.options || "").trim() || "{}");
+      } catch (_e) {
+        // Reported below
+      }
+      if (!options || typeof options !== "object" || Array.isArray(options)) {
+        warnings.push(
+          `Notification channel "${name}" has invalid options (JSON object expected) - ignored`,
+        );
+        continue;
+      }
+
+      const maxPerHour = parseInt(channel.maxPerHour ?? 10, 10);
+      seenChannels.add(name.toLowerCase());
+      sanitized.notifyChannels.push({
+        name: name,
+        instance: instance,
+        template: String(channel.template ?? "").trim(),
+        options: options,
+        maxPerHour: isNaN(maxPerHour) || maxPerHour < 0 ? 10 : maxPerHour,
+      });
+    }
+
+    // Validate the voice assistant intent mode
+    sanitized.intentEnabled = config.intentEnabled === true;
+    sanitized.intentModel = String(config.intentModel || "").trim();
+    sanitized.intentInputState = String(config.intentInputState || "").trim();
+    sanitized.intentResponseState = String(
+      config.intentResponseState || "",
+    ).trim();
+    const intentTimeout = parseInt(config.intentTimeout ?? 15, 10);
+    if (isNaN(intentTimeout) || intentTimeout < 3 || intentTimeout > 120) {
+      warnings.push("Invalid intent timeout, using default 15 seconds");
+      sanitized.intentTimeout = 15;
+    } else {
+      sanitized.intentTimeout = intentTimeout;
+    }
+    const intentMaxLength = parseInt(config.intentMaxLength ?? 300, 10);
+    if (
+      isNaN(intentMaxLength) ||
+      intentMaxLength < 50 ||
+      intentMaxLength > 2000
+    ) {
+      warnings.push("Invalid maximum answer length, using default 300");
+      sanitized.intentMaxLength = 300;
+    } else {
+      sanitized.intentMaxLength = intentMaxLength;
+    }
+    const fallbackInstance = String(config.intentFallbackInstance || "").trim();
+    if (fallbackInstance && !/^[\w-]+\.\d+$/.test(fallbackInstance)) {
+      warnings.push(
+        `Invalid text2command instance "${fallbackInstance}", the intent fallback is disabled`,
+      );
+      sanitized.intentFallbackInstance = "";
+    } else {
+      sanitized.intentFallbackInstance = fallbackInstance;
+    }
+    if (
+      sanitized.intentEnabled &&
+      sanitized.intentInputState &&
+      sanitized.intentInputState === sanitized.intentResponseState
+    ) {
+      warnings.push(
+        "Intent input and response state are the same - the response state is ignored",
+      );
+      sanitized.intentResponseState = "";
+    }
+
+    // Validate the scheduled prompts
+    sanitized.promptJobs = [];
+    const seenJobs = new Set();
+    for (const job of Array.isArray(config.promptJobs)
+      ? config.promptJobs
+      : []) {
+      if (job?.enabled === false) {
+        continue;
+      }
+      const name = String(job?.name || "").trim();
+      const jobId = PromptScheduler.toJobId(name);
+      if (!jobId || seenJobs.has(jobId)) {
+        warnings.push(
+          `Scheduled prompt "${name}" needs a unique name - ignored`,
+        );
+        continue;
+      }
+      if (!PromptScheduler.parseCron(job.cron)) {
+        warnings.push(
+          `Scheduled prompt "${name}" has an invalid cron expression "${job.cron}" - ignored`,
+        );
+        continue;
+      }
+      if (!String(job.prompt || "").trim()) {
+        warnings.push(`Scheduled prompt "${name}" has no prompt - ignored`);
+        continue;
+      }
+      const notifyChannel = String(job.notifyChannel || "").trim();
+      if (
+        notifyChannel &&
+        !sanitized.notifyChannels.some(
+          (channel) =>
+            channel.name.toLowerCase() === notifyChannel.toLowerCase(),
+        )
+      ) {
+        warnings.push(
+          `Scheduled prompt "${name}" uses the unknown notification channel "${notifyChannel}"`,
+        );
+      }
+
+      seenJobs.add(jobId);
+      sanitized.promptJobs.push({
+        name: name,
+        cron: String(job.cron).trim(),
+        model: String(job.model || "").trim(),
+        prompt: String(job.prompt).trim(),
+        targetState: String(job.targetState || "").trim(),
+        notifyChannel: notifyChannel,
+      });
+    }
+
+    // Validate the event-triggered AI rules
+    sanitized.aiRules = [];
+    const seenRules = new Set();
+    for (const rule of Array.isArray(config.aiRules) ? config.aiRules : []) {
+      if (rule?.enabled === false) {
+        continue;
+      }
+      const name = String(rule?.name || "").trim();
+      const ruleId = RuleEngine.toRuleId(name);
+      if (!ruleId || seenRules.has(ruleId)) {
+        warnings.push(`AI rule "${name}" needs a unique name - ignored`);
+        continue;
+      }
+      const trigger = String(rule.trigger || "").trim();
+      if (!trigger) {
+        warnings.push(`AI rule "${name}" has no trigger datapoint - ignored`);
+        continue;
+      }
+      if (!RuleEngine.parseCondition(rule.condition)) {
+        warnings.push(
+          `AI rule "${name}" has an invalid condition "${rule.condition}" (e.g. "> 25", "== true", "!= off") - ignored`,
+        );
+        continue;
+      }
+      if (!String(rule.prompt || "").trim()) {
+        warnings.push(`AI rule "${name}" has no prompt - ignored`);
+        continue;
+      }
+      const notifyChannel = String(rule.notifyChannel || "").trim();
+      if (
+        notifyChannel &&
+        !sanitized.notifyChannels.some(
+          (channel) =>
+            channel.name.toLowerCase() === notifyChannel.toLowerCase(),
+        )
+      ) {
+        warnings.push(
+          `AI rule "${name}" uses the unknown notification channel "${notifyChannel}"`,
+        );
+      }
+      const writeDatapoints = String(rule.writeDatapoints || "")
+        .split(/[,;\s]+/)
+        .map((id) => id.trim())
+        .filter(Boolean);
+      if (writeDatapoints.length > 0 && rule.useTools === false) {
+        warnings.push(
+          `AI rule "${name}" lists datapoints to write but may not use tools`,
+        );
+      }
+
+      const debounce = Number(rule.debounce);
+      const cooldown = Number(rule.cooldown);
+      seenRules.add(ruleId);
+      sanitized.aiRules.push({
+        name: name,
+        trigger: trigger,
+        condition: String(rule.condition ?? "").trim(),
+        model: String(rule.model || "").trim(),
+        prompt: String(rule.prompt).trim(),
+        useTools: rule.useTools !== false,
+        writeDatapoints: writeDatapoints,
+        debounce: debounce >= 0 && debounce <= 3600 ? debounce : 0,
+        cooldown: cooldown >= 0 && cooldown <= 86400 ? cooldown : 60,
+        notifyChannel: notifyChannel,
+      });
+    }
+
     return { errors, warnings, sanitized };
   }
 
@@ -0,0 +1,314 @@
+"use strict";
+
+const HttpClient = require("./httpClient");
+
+/**
+ * Conversation history for state-based chat
+ * Keeps the messages of every session in models.<id>.history and trims them
+ * to the context size of the model
+ */
+class ConversationManager {
+  /**
+   * Create a new conversation manager
+   *
+   * @param {object} adapter - ioBroker adapter instance for state management
+   * @param {string} ollamaUrl - Ollama base URL (used to look up context sizes)
+   */
+  constructor(adapter, ollamaUrl) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this.ollamaUrl = ollamaUrl;
+    this._contextSizes = new Map(); // model name -> context size in tokens
+    this.defaultContextSize = 4096; // Ollama default num_ctx
+    this.promptReserve = 512; // tokens kept free for system prompt and RAG context
+    this.maxSessions = 50; // sessions kept per model
+  }
+
+  /**
+   * Estimate the token count of a message (about 4 characters per token)
+   *
+   * @param {{content: string}} message - Chat message
+   * @returns {number} Estimated tokens including message overhead
+   */
+  static estimateTokens(message) {
+    return Math.ceil(String(message?.content || "").length / 4) + 4;
+  }
+
+  /**
+   * Session key used in the history state
+   *
+   * @param {string} [sessionId] - Session ID from messages.sessionId
+   * @returns {string} Session key ("default" if no session ID is set)
+   */
+  static getSessionKey(sessionId) {
+    return String(sessionId || "").trim() || "default";
+  }
+
+  /**
+   * Create conversation states for a model
+   *
+   * @param {string} modelId - Model ID used in the object tree
+   */
+  async createModelStates(modelId) {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync(`models.${modelId}.history`, {
+      type: "state",
+      common: {
+        name: adapter.translate("Conversation History (JSON)"),
+        type: "string",
+        role: "json",
+        read: true,
+        write: false,
+        def: "{}",
+      },
+      native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`models.${modelId}.newConversation`, {
+      type: "state",
+      common: {
+        name: adapter.translate("Start new conversation"),
+        type: "boolean",
+        role: "button",
+        read: false,
+        write: true,
+        def: false,
+      },
+      native: {},
+    });
+    await adapter.setObjectNotExistsAsync(
+      `models.${modelId}.messages.sessionId`,
+      {
+        type: "state",
+        common: {
+          name: adapter.translate("Session ID"),
+          type: "string",
+          role: "text",
+          read: true,
+          write: true,
+          def: "",
+        },
+        native: {},
+      },
+    );
+  }
+
+  /**
+   * Get the session ID currently set for a model
+   *
+   * @param {string} modelId - Model ID
+   * @returns {Promise<string>} Session key
+   */
+  async getSessionId(modelId) {
+    const state = await this.adapter.getStateAsync(
+      `models.${modelId}.messages.sessionId`,
+    );
+    return ConversationManager.getSessionKey(state?.val);
+  }
+
+  /**
+   * Get the history of a session, trimmed so that it fits into the model context
+   * together with the new message
+   *
+   * @param {string} modelId - Model ID
+   * @param {string} sessionId - Session key
+   * @param {string} modelName - Original model name
+   * @param {object} options - Request options (num_ctx overrides the model context size)
+   * @param {object} message - The new message that will be sent with the history
+   * @returns {Promise<Array<{role: string, content: string}>>} Previous messages
+   */
+  async getHistory(modelId, sessionId, modelName, options, message) {
+    const sessions = await this._readHistory(modelId);
+    const history = sessions[sessionId] || [];
+    const budget =
+      (await this._getHistoryBudget(modelName, options)) -
+      ConversationManager.estimateTokens(message);
+
+    return this.trimToBudget(history, budget);
+  }
+
+  /**
+   * Append a question and its answer to a session
+   *
+   * @param {string} modelId - Model ID
+   * @param {string} sessionId - Session key
+   * @param {string} modelName - Original model name
+   * @param {object} options - Request options (num_ctx overrides the model context size)
+   * @param {Array<{role: string, content: string}>} messages - Messages to append
+   */
+  async appendMessages(modelId, sessionId, modelName, options, messages) {
+    const sessions = await this._readHistory(modelId);
+    const history = [
+      ...(sessions[sessionId] || []),
+      ...messages.map((msg) => ({ role: msg.role, content: msg.content })),
+    ];
+
+    // Re-insert so that the most recently used session is last
+    delete sessions[sessionId];
+    sessions[sessionId] = this.trimToBudget(
+      history,
+      await this._getHistoryBudget(modelName, options),
+    );
+
+    // Drop the least recently used sessions
+    const sessionIds = Object.keys(sessions);
+    for (const oldId of sessionIds.slice(
+      0,
+      Math.max(0, sessionIds.length - this.maxSessions),
+    )) {
+      delete sessions[oldId];
+    }
+
+    await this._writeHistory(modelId, sessions);
+  }
+
+  /**
+   * Clear the history of a session
+   *
+   * @param {string} modelId - Model ID
+   * @param {string} sessionId - Session key
+   */
+  async resetConversation(modelId, sessionId) {
+    const sessions = await this._readHistory(modelId);
+    delete sessions[sessionId];
+    await this._writeHistory(modelId, sessions);
+    this.log.info(
+      `[Conversation] Started new conversation for ${modelId} (session: ${sessionId})`,
+    );
+  }
+
+  /**
+   * Keep the newest messages that fit into the token budget
+   * The result always starts with a user message
+   *
+   * @param {Array<{role: string, content: string}>} messages - Messages (oldest first)
+   * @param {number} budget - Available tokens
+   * @returns {Array<{role: string, content: string}>} Trimmed messages
+   */
+  trimToBudget(messages, budget) {
+    const kept = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      used += ConversationManager.estimateTokens(messages[i]);
+      if (used > budget) {
+        break;
+      }
+      kept.unshift(messages[i]);
+    }
+
+    while (kept.length > 0 && kept[0].role !== "user") {
+      kept.shift();
+    }
+    return kept;
+  }
+
+  /**
+   * Context size of a model in tokens
+   * Uses num_ctx from the request options, then the model's num_ctx parameter,
+   * then Ollama's default limited by the model's maximum context length
+   *
+   * @param {string} modelName - Original model name
+   * @param {object} [options] - Request options
+   * @returns {Promise<number>} Context size in tokens
+   */
+  async getContextSize(modelName, options = {}) {
+    const requested = parseInt(options?.num_ctx, 10);
+    if (requested > 0) {
+      return requested;
+    }
+
+    if (this._contextSizes.has(modelName)) {
+      return this._contextSizes.get(modelName);
+    }
+
+    let contextSize = this.defaultContextSize;
+    try {
+      const response = await HttpClient.getOllama().post(
+        `${this.ollamaUrl}/api/show`,
+        { model: modelName },
+        { timeout: 10000 },
+      );
+
+      const numCtx = String(response.data?.parameters || "").match(
+        /num_ctx\s+(\d+)/,
+      );
+      const maxKey = Object.keys(response.data?.model_info || {}).find((key) =>
+        key.endsWith(".context_length"),
+      );
+      const maxContext = maxKey
+        ? Number(response.data.model_info[maxKey])
+        : Infinity;
+
+      contextSize = numCtx
+        ? parseInt(numCtx[1], 10)
+        : Math.min(this.defaultContextSize, maxContext);
+    } catch (error) {
+      this.log.debug(
+        `[Conversation] Could not read context size of ${modelName}: ${error.message}`,
+      );
+    }
+
+    this._contextSizes.set(modelName, contextSize);
+    return contextSize;
+  }
+
+  /**
+   * Tokens available for history (context minus answer and prompt reserve)
+   *
+   * @param {string} modelName - Original model name
+   * @param {object} [options] - Request options
+   * @returns {Promise<number>} Token budget
+   */
+  async _getHistoryBudget(modelName, options = {}) {
+    const contextSize = await this.getContextSize(modelName, options);
+    const maxTokens =
+      parseInt(options?.max_tokens ?? options?.num_predict, 10) ||
+      this.adapter.config?.maxTokens ||
+      2048;
+
+    // Never let the answer reservation take more than half of the context
+    return (
+      contextSize - Math.min(maxTokens, contextSize / 2) - this.promptReserve
+    );
+  }
+
+  /**
+   * Read all sessions of a model from the history state
+   *
+   * @param {string} modelId - Model ID
+   * @returns {Promise<object>} Session key -> messages
+   */
+  async _readHistory(modelId) {
+    const state = await this.adapter.getStateAsync(`models.${modelId}.history`);
+    try {
+      const sessions = JSON.parse(state?.val || "{}");
+      return sessions &&
+        typeof sessions === "object" &&
+        !Array.isArray(sessions)
+        ? sessions
+        : {};
+    } catch (error) {
+      this.log.warn(
+        `[Conversation] Invalid history for ${modelId}, starting empty: ${error.message}`,
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Write all sessions of a model to the history state
+   *
+   * @param {string} modelId - Model ID
+   * @param {object} sessions - Session key -> messages
+   */
+  async _writeHistory(modelId, sessions) {
+    await this.adapter.setState(
+      `models.${modelId}.history`,
+      JSON.stringify(sessions),
+      true,
+    );
+  }
+}
+
+module.exports = ConversationManager;
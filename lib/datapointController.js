@@ -1,6 +1,6 @@
 "use strict";
 
-const OllamaClient = require("./ollamaClient");
+const ToolServerAuth = require("./toolServerAuth");
 
 /**
  * Datapoint Controller with ioBroker i18n support
@@ -13,7 +13,7 @@ class DatapointController {
    * @param {object} adapter - The ioBroker adapter instance
    * @param {Set} allowedDatapoints - Set of allowed datapoint IDs
    * @param {object} log - Logger instance
-   * @param {Function} translateFn - Translation function
+   * @param {function(string): string} translateFn - Translation function
    * @param {object} qdrantClient - Qdrant client for vector database operations (optional)
    * @param {object} config - Adapter configuration for vector database (optional)
    */
@@ -28,6 +28,19 @@ class DatapointController {
     this.adapter = adapter;
     this.allowedDatapoints = allowedDatapoints; // For reading (getState)
     this.writeAllowedDatapoints = new Set(); // For writing (setState) - more restrictive
+    this.confirmationDatapoints = new Set(); // Writes need user confirmation (requireConfirmation)
+    this.pendingActionManager = null; // Holds writes until they are confirmed
+    this.auditLog = null; // Records every executed tool call
+    this.sceneManager = null; // Saved scenes (saveScene/listScenes/applyScene)
+    this.scheduleManager = null; // Delayed and recurring writes (scheduleSetState)
+    this.historyQuery = null; // History instance queries (getHistory)
+    this.toolRegistry = null; // Tools registered by scripts
+    this.notificationSender = null; // Messages through messaging adapters (notify)
+    this._undoStack = []; // AI writes with their previous value (newest last)
+    this.maxUndoEntries = 20;
+    this.maxBatchSize = 50; // Changes per setStates call
+    this._ackWaiters = new Map(); // Datapoint ID -> writes waiting for an ack=true update
+    this._isSubscriptionNeeded = (_id) => false; // Datapoints the adapter keeps subscribed itself
     this.log = log;
     this.translate = translateFn;
     this.datapointMapping = new Map(); // Maps short names to full IDs
@@ -73,6 +86,181 @@ class DatapointController {
     );
   }
 
+  /**
+   * Set datapoints whose writes have to be confirmed by a user
+   *
+   * @param {Set} confirmationDatapoints - Set of datapoint IDs with requireConfirmation
+   */
+  setConfirmationDatapoints(confirmationDatapoints) {
+    this.confirmationDatapoints = confirmationDatapoints;
+    this.log.debug(
+      `[DatapointController] Datapoints requiring confirmation: ${Array.from(confirmationDatapoints).join(", ")}`,
+    );
+  }
+
+  /**
+   * Set the manager that holds writes until they are confirmed
+   *
+   * @param {object} manager - PendingActionManager instance
+   */
+  setPendingActionManager(manager) {
+    this.pendingActionManager = manager;
+  }
+
+  /**
+   * Set the audit log that records executed tool calls
+   *
+   * @param {object} auditLog - AuditLog instance
+   */
+  setAuditLog(auditLog) {
+    this.auditLog = auditLog;
+  }
+
+  /**
+   * Set the scene manager that stores and restores saved scenes
+   *
+   * @param {object} manager - SceneManager instance
+   */
+  setSceneManager(manager) {
+    this.sceneManager = manager;
+  }
+
+  /**
+   * Set the schedule manager that executes delayed and recurring writes
+   *
+   * @param {object} manager - ScheduleManager instance
+   */
+  setScheduleManager(manager) {
+    this.scheduleManager = manager;
+  }
+
+  /**
+   * Set the history query used by getHistory
+   *
+   * @param {object} historyQuery - HistoryQuery instance (null disables the tool)
+   */
+  setHistoryQuery(historyQuery) {
+    this.historyQuery = historyQuery;
+  }
+
+  /**
+   * Set the registry of tools registered by scripts
+   *
+   * @param {object} registry - ToolRegistry instance
+   */
+  setToolRegistry(registry) {
+    this.toolRegistry = registry;
+  }
+
+  /**
+   * Set the sender of notify messages
+   *
+   * @param {object} sender - NotificationSender instance (null disables the tool)
+   */
+  setNotificationSender(sender) {
+    this.notificationSender = sender;
+  }
+
+  /**
+   * Set the check for datapoints the adapter needs the state changes of
+   * Their subscription is kept when the last verified write finishes
+   *
+   * @param {(id: string) => boolean} isNeeded - True if the datapoint must stay subscribed
+   */
+  setSubscriptionCheck(isNeeded) {
+    this._isSubscriptionNeeded = isNeeded;
+  }
+
+  /**
+   * Names of the built-in tools (cannot be registered by scripts)
+   *
+   * @returns {Array<string>} Tool names
+   */
+  static builtinToolNames() {
+    return [
+      "setState",
+      "setStates",
+      "getState",
+      "getHistory",
+      "undoLast",
+      "saveScene",
+      "listScenes",
+      "applyScene",
+      "scheduleSetState",
+      "listSchedules",
+      "cancelSchedule",
+      "notify",
+      "set_datapoint",
+    ];
+  }
+
+  /**
+   * Pass a state change to writes that wait for the device acknowledgement
+   *
+   * @param {string} id - Changed state ID
+   * @param {object} state - New state
+   * @returns {boolean} True if a waiting write received the update
+   */
+  handleStateChange(id, state) {
+    const waiters = this._ackWaiters.get(id);
+    if (!waiters || !state?.ack) {
+      return false;
+    }
+    for (const finish of [...waiters]) {
+      finish(state);
+    }
+    return true;
+  }
+
+  /**
+   * Check if a write waits for the acknowledgement of a datapoint
+   *
+   * @param {string} datapointId - Datapoint ID
+   * @returns {boolean} True while the datapoint must stay subscribed for verification
+   */
+  isWaitingForAck(datapointId) {
+    return this._ackWaiters.has(datapointId);
+  }
+
+  /**
+   * Wait for the next ack=true update of a datapoint
+   * Register before writing so that a fast device answer is not missed
+   * The datapoint is subscribed while writes wait for it
+   *
+   * @param {string} datapointId - Datapoint ID
+   * @param {number} timeoutMs - Maximum waiting time
+   * @returns {{promise: Promise<object|null>, cancel: () => void}} Acknowledged state (null on timeout) and a cancel function
+   */
+  _waitForAck(datapointId, timeoutMs) {
+    const waiters = this._ackWaiters.get(datapointId) || new Set();
+    if (waiters.size === 0) {
+      this._ackWaiters.set(datapointId, waiters);
+      this.adapter.subscribeForeignStates(datapointId);
+    }
+
+    let finish = (_state) => {};
+    const promise = new Promise((resolve) => {
+      const timer = this.adapter.setTimeout(() => finish(null), timeoutMs);
+      finish = (state) => {
+        // Already acknowledged, timed out or cancelled
+        if (!waiters.delete(finish)) {
+          return;
+        }
+        this.adapter.clearTimeout(timer);
+        if (waiters.size === 0) {
+          this._ackWaiters.delete(datapointId);
+          if (!this._isSubscriptionNeeded(datapointId)) {
+            this.adapter.unsubscribeForeignStates(datapointId);
+          }
+        }
+        resolve(state);
+      };
+      waiters.add(finish);
+    });
+
+    return { promise: promise, cancel: () => finish(null) };
+  }
+
   /**
    * Build mapping from short names to full datapoint IDs
    */
@@ -112,16 +300,10 @@ class DatapointController {
       const QdrantHelper = require("./qdrantClient");
 
       // Generate embedding for the input
-      const openWebUIUrl = OllamaClient.createHttpUrl(
-        this.config.openWebUIIp,
-        this.config.openWebUIPort,
-      );
-      const embedding = await QdrantHelper.generateEmbedding(
+      const embedding = await QdrantHelper.embedText(
         inputDatapoint,
-        openWebUIUrl,
+        this.config,
         this.log,
-        this.config.embeddingModel || "nomic-embed-text",
-        this.config.openWebUIApiKey || "",
       );
 
       // Search for similar datapoints in vector database
@@ -315,14 +497,15 @@ class DatapointController {
    * Get current datapoint value
    *
    * @param {string} datapointId - Datapoint ID
+   * @param {object} [client] - ToolServer client profile restricting access
    * @returns {Promise<object>} Result object with success status and value
    */
-  async getDatapointValue(datapointId) {
+  async getDatapointValue(datapointId, client = null) {
     try {
       // Check if datapoint is allowed for reading
-      if (!this.isDatapointReadAllowed(datapointId)) {
+      if (!this.isDatapointReadAllowed(datapointId, client)) {
         this.log.warn(
-          `[DatapointController] Datapoint ${datapointId} is not allowed for reading`,
+          `[DatapointController] Datapoint ${datapointId} is not allowed for reading${client ? ` by client "${client.name}"` : ""}`,
         );
         return {
           success: false,
@@ -361,12 +544,14 @@ class DatapointController {
    * Check if a datapoint is allowed for reading
    *
    * @param {string} datapointId - Datapoint ID to check
+   * @param {object} [client] - ToolServer client profile restricting access
    * @returns {boolean} True if allowed for reading
    */
-  isDatapointReadAllowed(datapointId) {
+  isDatapointReadAllowed(datapointId, client = null) {
     return (
-      this.allowedDatapoints.size === 0 ||
-      this.allowedDatapoints.has(datapointId)
+      (this.allowedDatapoints.size === 0 ||
+        this.allowedDatapoints.has(datapointId)) &&
+      ToolServerAuth.isDatapointAllowed(client, datapointId)
     );
   }
 
@@ -374,19 +559,25 @@ class DatapointController {
    * Check if a datapoint is allowed for writing
    *
    * @param {string} datapointId - Datapoint ID to check
+   * @param {object} [client] - ToolServer client profile or AI rule restricting access (writeDatapoints limits writes further)
    * @returns {boolean} True if allowed for writing
    */
-  isDatapointWriteAllowed(datapointId) {
-    return this.writeAllowedDatapoints.has(datapointId);
+  isDatapointWriteAllowed(datapointId, client = null) {
+    return (
+      this.writeAllowedDatapoints.has(datapointId) &&
+      !client?.readOnly &&
+      ToolServerAuth.isDatapointAllowed(client, datapointId) &&
+      (!client?.writeDatapoints || client.writeDatapoints.has(datapointId))
+    );
   }
 
   /**
    * Convert value to appropriate type with localized support
    *
-   * @param {*} value - Input value
+   * @param {unknown} value - Input value
    * @param {string} targetType - Target data type
    * @param {object} customConfig - Custom configuration
-   * @returns {*} Converted value or null if conversion failed
+   * @returns {boolean|number|string|null} Converted value or null if conversion failed
    */
   convertValue(value, targetType, customConfig = {}) {
     try {
@@ -425,7 +616,7 @@ class DatapointController {
     } catch (_error) {
       this.log.warn(
         this.translate("datapoint_type_conversion_failed")
-          .replace("{{value}}", value)
+          .replace("{{value}}", String(value))
           .replace("{{type}}", targetType),
       );
       return null; // Return null instead of original value to indicate failed conversion
@@ -437,7 +628,7 @@ class DatapointController {
    *
    * @param {string} targetType - Target data type
    * @param {object} customConfig - Custom configuration
-   * @returns {*} Inferred value based on context
+   * @returns {boolean|number|string} Inferred value based on context
    */
   _handleNullValue(targetType, customConfig = {}) {
     switch (targetType) {
@@ -464,7 +655,7 @@ class DatapointController {
   /**
    * Convert to boolean using primarily custom configuration values
    *
-   * @param {*} value - Input value
+   * @param {unknown} value - Input value
    * @param {object} customConfig - Custom configuration
    * @returns {boolean|null} Boolean value or null if conversion failed
    */
@@ -589,8 +780,8 @@ class DatapointController {
    */
   _parseUniversalBoolean(valueStr) {
     // Only the most universal boolean representations
-    const universalTrue = ["true", "1", "yes", "ja"];
-    const universalFalse = ["false", "0", "no", "nein"];
+    const universalTrue = ["true", "1", "yes", "ja", "on", "ein"];
+    const universalFalse = ["false", "0", "no", "nein", "off", "aus"];
 
     if (universalTrue.includes(valueStr)) {
       return true;
@@ -610,7 +801,7 @@ class DatapointController {
   /**
    * Convert to number
    *
-   * @param {*} value - Input value
+   * @param {unknown} value - Input value
    * @param {object} _customConfig - Custom configuration
    * @returns {number} Number value
    */
@@ -633,10 +824,22 @@ class DatapointController {
     return 0;
   }
 
+  /**
+   * Format a stored value for the model, with its label from common.states
+   *
+   * @param {boolean|number|string} value - Stored value
+   * @param {object|Array|string} [states] - common.states of the datapoint
+   * @returns {string} Value like "1 (eco)" or the plain value without label
+   */
+  formatValue(value, states = null) {
+    const label = DatapointController.getStateLabel(value, states);
+    return label === undefined ? String(value) : `${value} (${label})`;
+  }
+
   /**
    * Convert to string with localized boolean representation
    *
-   * @param {*} value - Input value
+   * @param {unknown} value - Input value
    * @param {object} _customConfig - Custom configuration
    * @returns {string} String value
    */
@@ -658,32 +861,46 @@ class DatapointController {
    * Get enhanced function definitions with object information for AI Function Calling
    * This method fetches object definitions to provide accurate type and value information
    *
+   * @param {object} [client] - ToolServer client profile (read-only clients get no setState/setStates)
    * @returns {Promise<Array>} Array of function definitions with detailed datapoint info
    */
-  async getEnhancedFunctionDefinitions() {
-    if (this.allowedDatapoints.size === 0) {
+  async getEnhancedFunctionDefinitions(client = null) {
+    // Read-only clients may not send messages
+    const additionalTools = [
+      ...(this.notificationSender && !client?.readOnly
+        ? [this.notificationSender.getFunctionDefinition()]
+        : []),
+      ...(this.toolRegistry?.getFunctionDefinitions(client) || []),
+    ];
+    const visibleDatapoints = Array.from(this.allowedDatapoints).filter(
+      (fullId) => ToolServerAuth.isDatapointAllowed(client, fullId),
+    );
+    if (visibleDatapoints.length === 0) {
       this.log.debug(
         "[DatapointController] No allowed datapoints available for function definitions",
       );
-      return [];
+      return additionalTools;
     }
 
     // Get detailed datapoint information including object definitions
     const datapointInfos = [];
 
-    for (const fullId of this.allowedDatapoints) {
+    for (const fullId of visibleDatapoints) {
       try {
         const obj = await this.adapter.getForeignObjectAsync(fullId);
         if (obj && obj.common) {
           const shortName = fullId.split(".").pop();
           let info = `${shortName} (${fullId}, type: ${obj.common.type}`;
 
-          // Add custom states info for boolean datapoints
-          if (obj.common.states && Object.keys(obj.common.states).length > 0) {
-            const states = Object.entries(obj.common.states)
-              .map(([key, value]) => `${key}="${value}"`)
+          // Add states info for selection lists (labels in all languages)
+          const labels = DatapointController.parseStateLabels(
+            obj.common.states,
+          );
+          if (labels) {
+            const states = Object.entries(labels)
+              .map(([key, names]) => `${key}="${names.join('"/"')}"`)
               .join(", ");
-            info += `, custom values: ${states}`;
+            info += `, allowed values: ${states}`;
           }
 
           // Add unit for number datapoints
@@ -718,8 +935,12 @@ class DatapointController {
     }
 
     const datapointList = datapointInfos.join(", ");
+    const valueSchema = DatapointController._valueSchema(
+      await this._getStateEnums(visibleDatapoints),
+      "The exact value to set - must match the datapoint's expected format (custom text for boolean with custom values, numbers for numeric datapoints, etc.)",
+    );
 
-    return [
+    const definitions = [
       {
         type: "function",
         function: {
@@ -728,7 +949,7 @@ class DatapointController {
 - For boolean datapoints with custom values, use the exact custom text (e.g., "Anwesend" not true)
 - For number datapoints, use numeric values respecting min/max limits
 - For string datapoints, use string values
-- For selection lists, use one of the allowed values exactly as specified
+- For selection lists, use one of the allowed labels (e.g. "eco") or its key - labels are translated to the stored key
 Do NOT convert values - use them exactly as the datapoint expects. Available datapoints: ${datapointList}`,
           parameters: {
             type: "object",
@@ -737,21 +958,55 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
                 type: "string",
                 description: "The name or ID of the datapoint to control",
               },
-              value: {
-                type: ["boolean", "number", "string"],
+              value: valueSchema,
+              verify: {
+                type: "boolean",
                 description:
-                  "The exact value to set - must match the datapoint's expected format (custom text for boolean with custom values, numbers for numeric datapoints, etc.)",
+                  "Wait for the device acknowledgement and report confirmed, different or timeout (default false)",
               },
             },
             required: ["datapoint", "value"],
           },
         },
       },
+      {
+        type: "function",
+        function: {
+          name: "setStates",
+          description: `Set several ioBroker datapoints in one call (e.g. a scene like "movie night"). All values are checked first - if one is invalid nothing is changed; if a write fails, the changes of this call are rolled back. The result lists the outcome per datapoint. Use the same values as for setState. Available datapoints: ${datapointList}`,
+          parameters: {
+            type: "object",
+            properties: {
+              changes: {
+                type: "array",
+                description: "The datapoints to change with their new values",
+                items: {
+                  type: "object",
+                  properties: {
+                    datapoint: {
+                      type: "string",
+                      description: "The name or ID of the datapoint to control",
+                    },
+                    value: valueSchema,
+                  },
+                  required: ["datapoint", "value"],
+                },
+              },
+              verify: {
+                type: "boolean",
+                description:
+                  "Wait for the device acknowledgements and report confirmed, different or timeout per datapoint (default false)",
+              },
+            },
+            required: ["changes"],
+          },
+        },
+      },
       {
         type: "function",
         function: {
           name: "getState",
-          description: `Get the current state of an ioBroker datapoint. Returns the actual value as stored in ioBroker. Available datapoints: ${datapointList}`,
+          description: `Get the current state of an ioBroker datapoint. Returns the actual value as stored in ioBroker, with its label for selection lists. Available datapoints: ${datapointList}`,
           parameters: {
             type: "object",
             properties: {
@@ -765,34 +1020,106 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
         },
       },
     ];
+
+    // Read-only clients only get getState
+    const builtinTools = client?.readOnly
+      ? definitions.filter((def) => def.function.name === "getState")
+      : definitions;
+    return [...builtinTools, ...additionalTools];
+  }
+
+  /**
+   * Collect the labels of selection list datapoints as enum schemas
+   *
+   * @param {Array<string>} datapointIds - Datapoints offered to the model
+   * @returns {Promise<Array<object>>} One string enum per datapoint with common.states
+   */
+  async _getStateEnums(datapointIds) {
+    const stateEnums = [];
+    for (const fullId of datapointIds) {
+      try {
+        const obj = await this.adapter.getForeignObjectAsync(fullId);
+        const labels = DatapointController.parseStateLabels(
+          obj?.common?.states,
+        );
+        if (labels) {
+          stateEnums.push({
+            type: "string",
+            enum: [...new Set(Object.values(labels).flat())],
+            description: `Labels of ${fullId} (${fullId.split(".").pop()})`,
+          });
+        }
+      } catch (error) {
+        this.log.debug(
+          `[DatapointController] Error fetching object ${fullId}: ${error.message}`,
+        );
+      }
+    }
+    return stateEnums;
+  }
+
+  /**
+   * Schema of a value parameter, offering the labels of selection lists
+   *
+   * @param {Array<object>} stateEnums - Enum schemas from _getStateEnums
+   * @param {string} description - Description of the parameter
+   * @returns {object} JSON schema of the value
+   */
+  static _valueSchema(stateEnums, description) {
+    return stateEnums.length > 0
+      ? {
+          anyOf: [
+            ...stateEnums,
+            { type: "boolean" },
+            { type: "number" },
+            { type: "string" },
+          ],
+          description: `${description}. For selection lists use one of the listed labels`,
+        }
+      : { type: ["boolean", "number", "string"], description: description };
   }
 
   /**
    * Get function definitions for AI Function Calling (OpenAI-compatible)
    * Returns tools/functions that AI models can directly invoke
    *
-   * @returns {Array} Array of function definitions
+   * @param {object} [client] - ToolServer client profile (read-only clients get no setState)
+   * @returns {Promise<Array>} Array of function definitions
    */
-  getFunctionDefinitions() {
-    if (this.allowedDatapoints.size === 0) {
-      return [];
+  async getFunctionDefinitions(client = null) {
+    // Read-only clients may not send messages
+    const additionalTools = [
+      ...(this.notificationSender && !client?.readOnly
+        ? [this.notificationSender.getFunctionDefinition()]
+        : []),
+      ...(this.toolRegistry?.getFunctionDefinitions(client) || []),
+    ];
+    const visibleDatapoints = Array.from(this.allowedDatapoints).filter(
+      (fullId) => ToolServerAuth.isDatapointAllowed(client, fullId),
+    );
+    if (visibleDatapoints.length === 0) {
+      return additionalTools;
     }
 
+    const stateEnums = await this._getStateEnums(visibleDatapoints);
+
     // Create readable datapoint list for LLM with custom values
-    const datapointList = Array.from(this.allowedDatapoints)
+    const datapointList = visibleDatapoints
       .map((fullId) => {
         const parts = fullId.split(".");
         const shortName = parts[parts.length - 1];
-        return `${shortName} (${fullId})`;
+        return this.confirmationDatapoints.has(fullId)
+          ? `${shortName} (${fullId}, needs user confirmation)`
+          : `${shortName} (${fullId})`;
       })
       .join(", ");
 
-    return [
+    const definitions = [
       {
         type: "function",
         function: {
           name: "setState",
-          description: `Set the state of an ioBroker datapoint to control smart home devices. The system automatically converts between different value formats (true/false, 1/0, custom words). For boolean datapoints with custom values, you can use either standard boolean values (true/false, 1/0, yes/no, ja/nein) or the custom words. For temperature datapoints like 'Temperatur_Wohnzimmer', this sets the actual temperature value, not heating control. You can use either the short name (e.g., 'Anwesenheit_Martin') or full ID. Available datapoints: ${datapointList}`,
+          description: `Set the state of an ioBroker datapoint to control smart home devices. The system automatically converts between different value formats (true/false, 1/0, custom words). For boolean datapoints with custom values, you can use either standard boolean values (true/false, 1/0, yes/no, ja/nein) or the custom words. For temperature datapoints like 'Temperatur_Wohnzimmer', this sets the actual temperature value, not heating control. You can use either the short name (e.g., 'Anwesenheit_Martin') or full ID. Values outside the allowed range, step or list of a datapoint are rejected with an error naming the allowed values - correct the value and call setState again. Changes of datapoints that need user confirmation are only executed after the user approves them - tell the user that the action is waiting for approval. Set verify to true to wait until the device confirms the change; the result then reports verification "confirmed", "different" (the device reported another value) or "timeout" (the device did not respond) - tell the user if the device did not respond. Available datapoints: ${datapointList}`,
           parameters: {
             type: "object",
             properties: {
@@ -801,16 +1128,74 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
                 description:
                   "The name or ID of the datapoint to control. Examples: 'Anwesenheit_Martin' for presence, 'Temperatur_Wohnzimmer' for room temperature value",
               },
-              value: {
-                type: ["boolean", "number", "string"],
+              value: DatapointController._valueSchema(
+                stateEnums,
+                "The new value to set. For boolean datapoints you can use: true/false, 1/0, yes/no, ja/nein, on/off, ein/aus, or any custom words defined for that datapoint. The system will automatically convert between formats. For temperature datapoints use numbers (e.g., 23.5)",
+              ),
+              verify: {
+                type: "boolean",
                 description:
-                  "The new value to set. For boolean datapoints you can use: true/false, 1/0, yes/no, ja/nein, on/off, ein/aus, or any custom words defined for that datapoint. The system will automatically convert between formats. For temperature datapoints use numbers (e.g., 23.5)",
+                  "Wait for the device to acknowledge the change and report whether it was confirmed (default false)",
               },
             },
             required: ["datapoint", "value"],
           },
         },
       },
+      {
+        type: "function",
+        function: {
+          name: "setStates",
+          description: `Set several datapoints in one call, e.g. for scenes like "movie night" (lights off, blinds down, TV on). All values are checked first - if one of them is invalid, nothing is changed and the error names the invalid entries. If a write fails, the datapoints already changed in this call are restored. The result lists the outcome per datapoint (applied, pending, rolled back, cancelled, failed). Values work like in setState. Available datapoints: ${datapointList}`,
+          parameters: {
+            type: "object",
+            properties: {
+              changes: {
+                type: "array",
+                description: "The datapoints to change with their new values",
+                items: {
+                  type: "object",
+                  properties: {
+                    datapoint: {
+                      type: "string",
+                      description: "The name or ID of the datapoint to control",
+                    },
+                    value: DatapointController._valueSchema(
+                      stateEnums,
+                      "The new value, same formats as for setState",
+                    ),
+                  },
+                  required: ["datapoint", "value"],
+                },
+              },
+              verify: {
+                type: "boolean",
+                description:
+                  "Wait for the devices to acknowledge the changes and report the verification per datapoint (default false)",
+              },
+            },
+            required: ["changes"],
+          },
+        },
+      },
+      {
+        type: "function",
+        function: {
+          name: "undoLast",
+          description:
+            "Undo the last change(s) you made with setState or setStates and restore the previous values. Use it when you changed the wrong datapoint (e.g. 'no, I meant the kitchen'), then set the correct one.",
+          parameters: {
+            type: "object",
+            properties: {
+              count: {
+                type: "integer",
+                description:
+                  "Number of most recent changes to undo (default 1, maximum 10)",
+              },
+            },
+          },
+        },
+      },
       {
         type: "function",
         function: {
@@ -829,7 +1214,178 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
           },
         },
       },
+      // History queries need a configured history instance
+      ...(this.historyQuery
+        ? [
+            {
+              type: "function",
+              function: {
+                name: "getHistory",
+                description: `Get the history of a datapoint over a time range, e.g. "how warm was it last night?". Returns min, max, average and number of values, optionally averages per interval to show the course. Times are ISO dates (current time: ${new Date().toISOString()}) or relative like "-12h", "-7d". Available datapoints: ${datapointList}`,
+                parameters: {
+                  type: "object",
+                  properties: {
+                    datapoint: {
+                      type: "string",
+                      description: "The name or ID of the datapoint",
+                    },
+                    start: {
+                      type: "string",
+                      description:
+                        "Start of the range: ISO date/time or relative like '-12h' (default: 24 hours before end)",
+                    },
+                    end: {
+                      type: "string",
+                      description:
+                        "End of the range: ISO date/time, 'now' or relative (default: now)",
+                    },
+                    intervals: {
+                      type: "integer",
+                      description:
+                        "Split the range into this many intervals and return their averages (2-24, default: no intervals)",
+                    },
+                  },
+                  required: ["datapoint"],
+                },
+              },
+            },
+          ]
+        : []),
+      {
+        type: "function",
+        function: {
+          name: "saveScene",
+          description:
+            'Save the current values of datapoints as a named scene, e.g. "save the living room as movie night". Without datapoints all datapoints you may control are saved. A scene with the same name is replaced.',
+          parameters: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Name of the scene, e.g. 'movie night'",
+              },
+              datapoints: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Names or IDs of the datapoints to save (default: all controllable datapoints)",
+              },
+            },
+            required: ["name"],
+          },
+        },
+      },
+      {
+        type: "function",
+        function: {
+          name: "listScenes",
+          description: "List the saved scenes with their datapoints and values",
+          parameters: {
+            type: "object",
+            properties: {},
+          },
+        },
+      },
+      {
+        type: "function",
+        function: {
+          name: "applyScene",
+          description:
+            'Restore a saved scene, e.g. "restore movie night". The values are checked like in setState; if one is no longer valid, nothing is changed. The result lists the outcome per datapoint like setStates.',
+          parameters: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Name of the scene to restore",
+              },
+              verify: {
+                type: "boolean",
+                description:
+                  "Wait for the devices to acknowledge the changes (default false)",
+              },
+            },
+            required: ["name"],
+          },
+        },
+      },
+      {
+        type: "function",
+        function: {
+          name: "scheduleSetState",
+          description: `Set a datapoint later or repeatedly, e.g. "turn off the heater in 30 minutes" (delayMinutes: 30) or "switch on the light every day at 07:00" (at: "07:00", recurrence: "daily"). The value is checked now like in setState and again when the action runs. Returns a scheduleId for cancelSchedule. Available datapoints: ${datapointList}`,
+          parameters: {
+            type: "object",
+            properties: {
+              datapoint: {
+                type: "string",
+                description: "The name or ID of the datapoint to control",
+              },
+              value: DatapointController._valueSchema(
+                stateEnums,
+                "The new value, same formats as for setState",
+              ),
+              delayMinutes: {
+                type: "number",
+                description: "Run after this many minutes",
+              },
+              at: {
+                type: "string",
+                description:
+                  "Run at this time instead: time of day 'HH:MM' (next occurrence) or ISO date and time",
+              },
+              recurrence: {
+                type: "string",
+                enum: ["hourly", "daily", "weekdays", "weekly"],
+                description:
+                  "Repeat the action after the first run (omit for a one-time action)",
+              },
+            },
+            required: ["datapoint", "value"],
+          },
+        },
+      },
+      {
+        type: "function",
+        function: {
+          name: "listSchedules",
+          description:
+            "List the scheduled actions with their scheduleId, datapoint, value and next run",
+          parameters: {
+            type: "object",
+            properties: {},
+          },
+        },
+      },
+      {
+        type: "function",
+        function: {
+          name: "cancelSchedule",
+          description:
+            "Cancel a scheduled action. Call listSchedules first if you do not know its scheduleId.",
+          parameters: {
+            type: "object",
+            properties: {
+              scheduleId: {
+                type: "string",
+                description: "ID of the scheduled action",
+              },
+            },
+            required: ["scheduleId"],
+          },
+        },
+      },
     ];
+
+    // Read-only clients only get the reading tools
+    const builtinTools = client?.readOnly
+      ? definitions.filter((def) =>
+          ["getState", "getHistory", "listScenes", "listSchedules"].includes(
+            def.function.name,
+          ),
+        )
+      : definitions;
+    return [...builtinTools, ...additionalTools];
   }
 
   /**
@@ -837,41 +1393,291 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
    *
    * @param {string} functionName - Name of the function to execute
    * @param {object} parameters - Parameters for the function
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the call (for the audit log)
    * @returns {Promise<object>} Result of the function execution
    */
-  async executeFunctionCall(functionName, parameters) {
+  async executeFunctionCall(
+    functionName,
+    parameters,
+    client = null,
+    context = {},
+  ) {
     this.log.info(
       `[DatapointController] Executing function call: ${functionName} with parameters:`,
       parameters,
     );
 
-    switch (functionName) {
-      case "setState":
-        // Use new direct approach inspired by ai-assistant adapter
-        return await this.executeSetStateDirectly(parameters);
-      case "getState":
-        return await this.executeGetState(parameters);
-      // Legacy compatibility
-      case "set_datapoint":
-        return await this.executeSetStateDirectly({
-          datapoint: parameters.datapoint,
-          value: parameters.value,
-        });
-      default:
-        throw new Error(`Unknown function: ${functionName}`);
-    }
-  }
-
-  /**
-   * Execute setState function with direct value setting (no conversion)
-   * This is the new approach inspired by ai-assistant adapter
-   *
-   * @param {object} parameters - Function parameters
-   * @returns {Promise<object>} Result of the operation
+    let result;
+    try {
+      switch (functionName) {
+        case "setState":
+          // Use new direct approach inspired by ai-assistant adapter
+          result = await this.executeSetStateDirectly(
+            parameters,
+            client,
+            context,
+          );
+          break;
+        case "setStates":
+          result = await this.executeSetStates(parameters, client, context);
+          break;
+        case "getState":
+          result = await this.executeGetState(parameters, client);
+          break;
+        case "getHistory":
+          result = await this.executeGetHistory(parameters, client);
+          break;
+        case "undoLast":
+          result = await this.executeUndoLast(parameters, client, context);
+          break;
+        case "saveScene":
+        case "listScenes":
+        case "applyScene":
+          result = await this.executeSceneFunction(
+            functionName,
+            parameters,
+            client,
+            context,
+          );
+          break;
+        case "scheduleSetState":
+        case "listSchedules":
+        case "cancelSchedule":
+          result = await this.executeScheduleFunction(
+            functionName,
+            parameters,
+            client,
+            context,
+          );
+          break;
+        case "notify":
+          result = await this.executeNotify(parameters, client);
+          break;
+        // Legacy compatibility
+        case "set_datapoint":
+          result = await this.executeSetStateDirectly(
+            {
+              datapoint: parameters.datapoint,
+              value: parameters.value,
+            },
+            client,
+            context,
+          );
+          break;
+        default:
+          if (!this.toolRegistry?.has(functionName)) {
+            throw new Error(`Unknown function: ${functionName}`);
+          }
+          result = await this.toolRegistry.call(
+            functionName,
+            parameters,
+            client,
+            context,
+          );
+      }
+    } catch (error) {
+      await this.recordAudit(
+        functionName,
+        parameters,
+        { success: false, error: error.message },
+        client,
+        context,
+      );
+      throw error;
+    }
+
+    await this.recordAudit(functionName, parameters, result, client, context);
+    return result;
+  }
+
+  /**
+   * Record a tool call in the audit log
+   *
+   * @param {string} functionName - Executed function
+   * @param {object} parameters - Function parameters from the model
+   * @param {object} result - Result of the function
+   * @param {object} [client] - ToolServer client profile
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the call
    */
-  async executeSetStateDirectly(parameters) {
+  async recordAudit(
+    functionName,
+    parameters,
+    result,
+    client = null,
+    context = {},
+  ) {
+    if (!this.auditLog) {
+      return;
+    }
+
+    // Fields shared by all entries of the call
+    const entry = {
+      source:
+        context.source ||
+        (client ? `ToolServer client "${client.name}"` : "unknown"),
+      model: context.model,
+      prompt: context.prompt,
+      tool: functionName,
+    };
+
+    // An undo restores several datapoints - one entry per datapoint
+    if (functionName === "undoLast" && result?.success) {
+      for (const change of [...result.restored, ...result.pending]) {
+        await this.auditLog.record({
+          ...entry,
+          datapoint: change.datapoint,
+          oldValue: change.from,
+          newValue: change.value,
+          result: change.actionId ? "pending" : "success",
+        });
+      }
+      return;
+    }
+
+    // A message can go to several channels - one entry per channel
+    if (functionName === "notify" && Array.isArray(result?.results)) {
+      for (const item of result.results) {
+        await this.auditLog.record({
+          ...entry,
+          datapoint: item.instance,
+          newValue: item.text,
+          result:
+            item.status === "sent"
+              ? "success"
+              : item.status === "rate limited"
+                ? "rate limited"
+                : "error",
+          error: item.error,
+        });
+      }
+      return;
+    }
+
+    // A batch changes several datapoints - one entry per datapoint
+    if (
+      ["setStates", "applyScene"].includes(functionName) &&
+      Array.isArray(result?.results)
+    ) {
+      for (const item of result.results) {
+        await this.auditLog.record({
+          ...entry,
+          datapoint: item.datapoint,
+          oldValue: item.oldValue,
+          newValue: item.value,
+          result:
+            item.status === "applied"
+              ? "success"
+              : item.status === "pending"
+                ? "pending"
+                : item.status === "rolled back"
+                  ? "rolled back"
+                  : "error",
+          verification: item.verification,
+          confirmedValue: item.confirmedValue,
+          error: item.error || item.rollbackError,
+        });
+      }
+      return;
+    }
+
+    const isRead = functionName === "getState";
+    await this.auditLog.record({
+      ...entry,
+      datapoint: result?.datapoint || parameters?.datapoint,
+      oldValue: isRead ? result?.value : result?.oldValue,
+      newValue: isRead ? undefined : (result?.value ?? parameters?.value),
+      result: !result?.success
+        ? "error"
+        : result.pending
+          ? "pending"
+          : "success",
+      verification: result?.verification,
+      confirmedValue: result?.confirmedValue,
+      error: result?.success ? undefined : result?.error,
+    });
+  }
+
+  /**
+   * Execute setState function with direct value setting (no conversion)
+   * This is the new approach inspired by ai-assistant adapter
+   *
+   * @param {object} parameters - Function parameters
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the write (kept with pending actions)
+   * @returns {Promise<object>} Result of the operation
+   */
+  async executeSetStateDirectly(parameters, client = null, context = {}) {
     const { datapoint, value } = parameters;
+    const verify = parameters.verify === true || parameters.verify === "true";
+
+    const check = await this.checkWrite(datapoint, value, client);
+    if (!check.success) {
+      return check;
+    }
+    const resolvedDatapoint = check.datapoint;
+    const newValue = check.value;
+
+    try {
+      const adjustments = check.adjustments;
+      const adjusted =
+        adjustments.length > 0
+          ? { requestedValue: value, adjustments: adjustments }
+          : {};
+      const adjustedNote =
+        adjustments.length > 0 ? ` Note: ${adjustments.join("; ")}.` : "";
+
+      // Hold the write until a user confirms it
+      if (this.needsConfirmation(resolvedDatapoint)) {
+        const action = await this._createPendingWrite(
+          resolvedDatapoint,
+          newValue,
+          client,
+          context,
+        );
+        return {
+          success: true,
+          pending: true,
+          actionId: action.actionId,
+          expiresAt: action.expiresAt,
+          datapoint: resolvedDatapoint,
+          value: newValue,
+          ...adjusted,
+          message: `The change of ${resolvedDatapoint} to ${newValue} has NOT been executed yet. It is waiting for user approval until ${action.expiresAt} (action ${action.actionId}).${adjustedNote}`,
+        };
+      }
+
+      const result = await this.writeDatapointValue(
+        resolvedDatapoint,
+        newValue,
+        true,
+        verify,
+      );
+      return result.success
+        ? { ...result, ...adjusted, message: result.message + adjustedNote }
+        : result;
+    } catch (error) {
+      this.log.error(
+        `[DatapointController] Error setting datapoint ${resolvedDatapoint}: ${error.message}`,
+      );
+      return {
+        success: false,
+        error: `Failed to set datapoint: ${error.message}`,
+      };
+    }
+  }
 
+  /**
+   * Run all checks of an AI write without writing anything
+   * Resolves the datapoint, checks the client profile and allowAutoChange and
+   * validates the value against the object definition
+   *
+   * @param {string} datapoint - Datapoint name or ID from the model
+   * @param {boolean|number|string} value - Requested value
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @returns {Promise<object>} success with the resolved datapoint, value to write and adjustments, or the reason for the rejection (error)
+   */
+  async checkWrite(datapoint, value, client = null) {
     if (!datapoint) {
       return {
         success: false,
@@ -900,6 +1706,19 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
     );
 
     try {
+      // Check if the client profile may write at all and may use this datapoint
+      if (client && !this.isDatapointWriteAllowed(resolvedDatapoint, client)) {
+        this.log.warn(
+          `[DatapointController] Rejected write of ${resolvedDatapoint} for client "${client.name}"`,
+        );
+        return {
+          success: false,
+          error: client.readOnly
+            ? `Client "${client.name}" has read-only access`
+            : `Datapoint not allowed for client "${client.name}": ${resolvedDatapoint}`,
+        };
+      }
+
       // Check if datapoint is allowed for writing
       if (!this.isDatapointWriteAllowed(resolvedDatapoint)) {
         return {
@@ -908,26 +1727,720 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
         };
       }
 
-      // Set value directly without any conversion - let ioBroker handle type validation
+      // Check type, range, step, states and change limit before anything is written
+      const validation = await this.validateWriteValue(
+        resolvedDatapoint,
+        value,
+      );
+      if (!validation.valid) {
+        this.log.warn(
+          `[DatapointController] Rejected value ${value} for ${resolvedDatapoint}: ${validation.error}`,
+        );
+        return {
+          success: false,
+          datapoint: resolvedDatapoint,
+          error: validation.error,
+        };
+      }
+
+      return {
+        success: true,
+        datapoint: resolvedDatapoint,
+        value: validation.value ?? value,
+        adjustments: validation.adjustments || [],
+      };
+    } catch (error) {
+      this.log.error(
+        `[DatapointController] Error checking datapoint ${resolvedDatapoint}: ${error.message}`,
+      );
+      return {
+        success: false,
+        error: `Failed to set datapoint: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Check if writes of a datapoint are held until a user confirms them
+   *
+   * @param {string} datapointId - Resolved datapoint ID
+   * @returns {boolean} True if a pending action has to be created
+   */
+  needsConfirmation(datapointId) {
+    return (
+      this.confirmationDatapoints.has(datapointId) &&
+      !!this.pendingActionManager
+    );
+  }
+
+  /**
+   * Hold a write as pending action until a user confirms it
+   *
+   * @param {string} datapointId - Resolved datapoint ID
+   * @param {boolean|number|string} value - Checked value to write
+   * @param {object} [client] - ToolServer client profile that requested the write
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the write
+   * @param {string} [prefix] - Prefix of the description (e.g. "Undo: ")
+   * @param {object} [undoEntry] - Undo stack entry restored by the write (removed on confirmation)
+   * @returns {Promise<{actionId: string, expiresAt: string}>} Created action
+   */
+  async _createPendingWrite(
+    datapointId,
+    value,
+    client = null,
+    context = {},
+    prefix = "",
+    undoEntry = null,
+  ) {
+    const description = await this._describeWrite(datapointId, value, client);
+    return await this.pendingActionManager.createAction(
+      datapointId,
+      value,
+      `${prefix}${description}`,
+      context,
+      client,
+      undoEntry,
+    );
+  }
+
+  /**
+   * Execute setStates function - set several datapoints in one call
+   * All changes are checked first; nothing is written if one of them is invalid.
+   * If a write fails, the datapoints already written in this call are restored
+   * to their previous values (rollback). Datapoints with requireConfirmation
+   * get a pending action, which is rejected by a rollback
+   *
+   * @param {{changes: Array<{datapoint: string, value: boolean|number|string}>, verify?: boolean|string}} parameters - Function parameters
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the writes (kept with pending actions)
+   * @returns {Promise<object>} Per-item results and a summary message
+   */
+  async executeSetStates(parameters, client = null, context = {}) {
+    const changes = parameters?.changes;
+    const verify = parameters?.verify === true || parameters?.verify === "true";
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return {
+        success: false,
+        error:
+          "Missing required parameter: changes (array of {datapoint, value})",
+      };
+    }
+    if (changes.length > this.maxBatchSize) {
+      return {
+        success: false,
+        error: `Too many changes in one call: ${changes.length} (maximum ${this.maxBatchSize})`,
+      };
+    }
+
+    // Check all targets before anything is written
+    const checks = [];
+    for (const change of changes) {
+      checks.push(
+        await this.checkWrite(change?.datapoint, change?.value, client),
+      );
+    }
+
+    const resolved = checks.map((check) => check.datapoint).filter(Boolean);
+    const duplicates = resolved.filter(
+      (id, index) => resolved.indexOf(id) !== index,
+    );
+    if (checks.some((check) => !check.success) || duplicates.length > 0) {
+      const results = checks.map((check, index) => {
+        const item = {
+          datapoint: check.datapoint || changes[index]?.datapoint,
+          value: changes[index]?.value,
+        };
+        if (!check.success) {
+          return { ...item, status: "rejected", error: check.error };
+        }
+        if (duplicates.includes(check.datapoint)) {
+          return {
+            ...item,
+            status: "rejected",
+            error: "Datapoint is changed more than once in this call",
+          };
+        }
+        return { ...item, status: "not executed" };
+      });
+      const rejected = results.filter((r) => r.status === "rejected");
+      return {
+        success: false,
+        results: results,
+        error: `No datapoint was changed because ${rejected.length} of ${changes.length} changes are invalid: ${rejected
+          .map((item) => DatapointController._describeBatchItem(item))
+          .join("; ")}`,
+      };
+    }
+
+    // Apply all changes, pending actions for datapoints that need confirmation
+    const batchStart = Date.now();
+    const verifyTimeout = this._getVerifyTimeout();
+    const results = [];
+    const written = [];
+    const verifications = [];
+    let failure = null;
+
+    for (const [index, check] of checks.entries()) {
+      const item = {
+        datapoint: check.datapoint,
+        value: check.value,
+        ...(check.adjustments.length > 0
+          ? {
+              requestedValue: changes[index].value,
+              adjustments: check.adjustments,
+            }
+          : {}),
+      };
+
+      if (failure) {
+        results.push({ ...item, status: "not executed" });
+        continue;
+      }
+
+      if (this.needsConfirmation(check.datapoint)) {
+        const action = await this._createPendingWrite(
+          check.datapoint,
+          check.value,
+          client,
+          context,
+        );
+        results.push({
+          ...item,
+          status: "pending",
+          actionId: action.actionId,
+          expiresAt: action.expiresAt,
+        });
+        continue;
+      }
+
+      // Wait for the acknowledgements after all writes, not after each one
+      const ack = verify
+        ? this._waitForAck(check.datapoint, verifyTimeout)
+        : null;
+      const result = await this.writeDatapointValue(
+        check.datapoint,
+        check.value,
+        true,
+      );
+      if (result.success) {
+        const entry = { ...item, status: "applied", oldValue: result.oldValue };
+        written.push({ item: item, oldValue: result.oldValue });
+        results.push(entry);
+        if (ack) {
+          verifications.push({
+            entry: entry,
+            promise: this._verifyWrite(result, ack.promise, verifyTimeout),
+          });
+        }
+      } else {
+        ack?.cancel();
+        failure = result.error;
+        results.push({ ...item, status: "failed", error: result.error });
+      }
+    }
+
+    const verified = await Promise.all(verifications.map((v) => v.promise));
+    for (const [index, result] of verified.entries()) {
+      Object.assign(verifications[index].entry, {
+        verification: result.verification,
+        confirmedValue: result.confirmedValue,
+      });
+    }
+
+    if (failure) {
+      await this._rollbackBatch(written, results, batchStart);
+    }
+
+    const summary = results
+      .map((item) => DatapointController._describeBatchItem(item))
+      .join("; ");
+    this.log.info(`[DatapointController] setStates: ${summary}`);
+
+    return {
+      success: !failure,
+      results: results,
+      message: failure
+        ? `Setting the datapoints failed (${failure}), the changes of this call were rolled back: ${summary}`
+        : `Changed ${results.filter((r) => r.status === "applied").length} of ${results.length} datapoints: ${summary}`,
+      ...(failure ? { error: failure } : {}),
+    };
+  }
+
+  /**
+   * Describe the outcome of one setStates item for the model
+   *
+   * @param {object} item - Per-item result of executeSetStates
+   * @returns {string} Short description
+   */
+  static _describeBatchItem(item) {
+    switch (item.status) {
+      case "applied":
+        return `${item.datapoint} = ${item.value}${item.verification && item.verification !== "confirmed" ? ` (device: ${item.verification})` : ""}`;
+      case "pending":
+        return `${item.datapoint} = ${item.value} waiting for user approval (action ${item.actionId})`;
+      case "rolled back":
+        return `${item.datapoint} restored to ${item.oldValue}`;
+      case "cancelled":
+        return `${item.datapoint} = ${item.value} cancelled, approval request ${item.actionId} was withdrawn`;
+      case "rollback failed":
+        return `${item.datapoint} could not be restored: ${item.rollbackError}`;
+      case "failed":
+        return `${item.datapoint} failed: ${item.error}`;
+      case "rejected":
+        return `${item.datapoint}: ${item.error}`;
+      default:
+        return `${item.datapoint} not executed`;
+    }
+  }
+
+  /**
+   * Restore the datapoints written by a failed setStates call
+   * Pending actions of the call are rejected, so half of a failed call cannot be confirmed
+   *
+   * @param {Array<{item: object, oldValue: boolean|number|string}>} written - Applied changes with their previous value
+   * @param {Array<object>} results - Per-item results, updated in place
+   * @param {number} batchStart - Start time of the call (to find its undo entries)
+   */
+  async _rollbackBatch(written, results, batchStart) {
+    for (const entry of results.filter((r) => r.status === "pending")) {
+      await this.pendingActionManager.reject(
+        entry.actionId,
+        "setStates call was rolled back",
+      );
+      entry.status = "cancelled";
+      delete entry.expiresAt;
+    }
+
+    for (const { item, oldValue } of [...written].reverse()) {
+      const entry = results.find(
+        (r) => r.datapoint === item.datapoint && r.status === "applied",
+      );
+      if (oldValue === undefined || oldValue === null) {
+        Object.assign(entry, {
+          status: "rollback failed",
+          rollbackError: "no previous value",
+        });
+        continue;
+      }
+
+      const rollback = await this.writeDatapointValue(
+        item.datapoint,
+        oldValue,
+        false,
+      );
+      if (rollback.success) {
+        entry.status = "rolled back";
+        // The change is gone, so it must not be undone later
+        this._undoStack = this._undoStack.filter(
+          (change) =>
+            !(
+              change.datapoint === item.datapoint &&
+              change.newValue === item.value &&
+              change.timestamp >= batchStart
+            ),
+        );
+      } else {
+        Object.assign(entry, {
+          status: "rollback failed",
+          rollbackError: rollback.error,
+        });
+      }
+    }
+  }
+
+  /**
+   * Check a value requested by a model against the object definition
+   * (common.type, min, max, step, states) and the maxChangePerCall limit of the datapoint
+   * Invalid values are rejected with an error the model can act on, or adjusted
+   * to the nearest valid value if clampOutOfRangeValues is enabled
+   *
+   * @param {string} datapointId - Resolved datapoint ID
+   * @param {boolean|number|string} value - Requested value
+   * @returns {Promise<{valid: boolean, value?: boolean|number|string, adjustments?: string[], error?: string}>} Value to write and applied adjustments, or the reason for the rejection
+   */
+  async validateWriteValue(datapointId, value) {
+    const obj = await this.adapter.getForeignObjectAsync(datapointId);
+    const common = obj?.common;
+    if (!common) {
+      return { valid: true, value: value, adjustments: [] };
+    }
+    const customConfig = common.custom?.[this.adapter.namespace] || {};
+    const clamp = this.config?.clampOutOfRangeValues === true;
+
+    // Selection lists only accept their keys or labels (translated to the key)
+    const states = DatapointController.parseStates(common.states);
+    if (states) {
+      const key = DatapointController.resolveStateKey(value, common.states);
+      if (key === undefined) {
+        const allowed = Object.entries(states)
+          .map(([k, label]) => (k === label ? k : `${k} (${label})`))
+          .join(", ");
+        return {
+          valid: false,
+          error: `Invalid value "${value}" for ${datapointId}. Allowed values: ${allowed}`,
+        };
+      }
+      return {
+        valid: true,
+        value: DatapointController._castStateKey(key, common.type),
+        adjustments:
+          key !== String(value).trim()
+            ? [`translated "${value}" to ${key} (${states[key]})`]
+            : [],
+      };
+    }
+
+    switch (common.type) {
+      case "number": {
+        const number = DatapointController._parseNumber(value);
+        if (number === null) {
+          return {
+            valid: false,
+            error: `${datapointId} expects a number, got "${value}"`,
+          };
+        }
+        return await this._checkNumber(
+          datapointId,
+          number,
+          common,
+          customConfig,
+          clamp,
+        );
+      }
+
+      case "boolean": {
+        const bool = this._parseBooleanValue(value, customConfig);
+        if (bool === null) {
+          const custom = [
+            customConfig.booleanTrueValue,
+            customConfig.booleanFalseValue,
+          ]
+            .filter((text) => text && !["true", "false"].includes(text))
+            .map((text) => `"${text}"`);
+          return {
+            valid: false,
+            error: `${datapointId} expects true or false${custom.length > 0 ? ` (or ${custom.join(" / ")})` : ""}, got "${value}"`,
+          };
+        }
+        return { valid: true, value: bool, adjustments: [] };
+      }
+
+      case "string":
+        return { valid: true, value: String(value), adjustments: [] };
+
+      default:
+        return { valid: true, value: value, adjustments: [] };
+    }
+  }
+
+  /**
+   * Check a number against step, min, max and the maxChangePerCall limit
+   *
+   * @param {string} datapointId - Datapoint ID
+   * @param {number} value - Requested number
+   * @param {object} common - Object common section
+   * @param {object} customConfig - Custom configuration of the datapoint
+   * @param {boolean} clamp - Adjust invalid values instead of rejecting them
+   * @returns {Promise<{valid: boolean, value?: number, adjustments?: string[], error?: string}>} Validation result
+   */
+  async _checkNumber(datapointId, value, common, customConfig, clamp) {
+    const adjustments = [];
+    const min = typeof common.min === "number" ? common.min : undefined;
+    const max = typeof common.max === "number" ? common.max : undefined;
+    const unit = common.unit ? ` ${common.unit}` : "";
+    const range = `${min ?? "-∞"} to ${max ?? "∞"}${unit}`;
+
+    if (typeof common.step === "number" && common.step > 0) {
+      const base = min ?? 0;
+      const decimals = (String(common.step).split(".")[1] || "").length;
+      const rounded = Number(
+        (base + Math.round((value - base) / common.step) * common.step).toFixed(
+          decimals,
+        ),
+      );
+      if (Math.abs(rounded - value) > 1e-9) {
+        if (!clamp) {
+          return {
+            valid: false,
+            error: `Value ${value} does not match the step size ${common.step} of ${datapointId}. Use for example ${rounded}`,
+          };
+        }
+        adjustments.push(
+          `rounded ${value} to ${rounded} (step ${common.step})`,
+        );
+        value = rounded;
+      }
+    }
+
+    if (min !== undefined && value < min) {
+      if (!clamp) {
+        return {
+          valid: false,
+          error: `Value ${value} is below the minimum of ${datapointId}. Allowed range: ${range}`,
+        };
+      }
+      adjustments.push(`raised ${value} to the minimum ${min}`);
+      value = min;
+    }
+    if (max !== undefined && value > max) {
+      if (!clamp) {
+        return {
+          valid: false,
+          error: `Value ${value} is above the maximum of ${datapointId}. Allowed range: ${range}`,
+        };
+      }
+      adjustments.push(`lowered ${value} to the maximum ${max}`);
+      value = max;
+    }
+
+    const maxChange = parseFloat(customConfig.maxChangePerCall);
+    if (maxChange > 0) {
+      const current = Number(
+        (await this.adapter.getForeignStateAsync(datapointId))?.val,
+      );
+      if (!isNaN(current) && Math.abs(value - current) > maxChange) {
+        const limited =
+          value > current ? current + maxChange : current - maxChange;
+        if (!clamp) {
+          return {
+            valid: false,
+            error: `Changing ${datapointId} from ${current} to ${value} exceeds the maximum change of ${maxChange}${unit} per call. Use a value between ${current - maxChange} and ${current + maxChange}`,
+          };
+        }
+        adjustments.push(
+          `limited the change to ${maxChange}${unit} (${current} -> ${limited})`,
+        );
+        value = limited;
+      }
+    }
+
+    return { valid: true, value: value, adjustments: adjustments };
+  }
+
+  /**
+   * Interpret a requested value as boolean
+   * Accepts booleans, the custom true/false texts of the datapoint and universal words
+   *
+   * @param {boolean|number|string} value - Requested value
+   * @param {object} customConfig - Custom configuration with booleanTrueValue/booleanFalseValue
+   * @returns {boolean|null} Boolean or null if the value is not recognized
+   */
+  _parseBooleanValue(value, customConfig = {}) {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    const valueStr = String(value).toLowerCase().trim();
+    if (
+      customConfig.booleanTrueValue &&
+      valueStr === String(customConfig.booleanTrueValue).toLowerCase().trim()
+    ) {
+      return true;
+    }
+    if (
+      customConfig.booleanFalseValue &&
+      valueStr === String(customConfig.booleanFalseValue).toLowerCase().trim()
+    ) {
+      return false;
+    }
+    return this._parseUniversalBoolean(valueStr);
+  }
+
+  /**
+   * Parse a number, also from strings like "21,5"
+   *
+   * @param {boolean|number|string} value - Requested value
+   * @returns {number|null} Number or null if the value is not numeric
+   */
+  static _parseNumber(value) {
+    if (typeof value === "number") {
+      return isFinite(value) ? value : null;
+    }
+    if (typeof value === "string" && /^\s*-?\d+([.,]\d+)?\s*$/.test(value)) {
+      return parseFloat(value.replace(",", "."));
+    }
+    return null;
+  }
+
+  /**
+   * Normalize common.states to an object of key -> label
+   * Supports the object, array and "0:off;1:on" string formats
+   *
+   * @param {object|Array|string} states - common.states
+   * @returns {Record<string, string>|null} States or null if none are defined
+   */
+  static parseStates(states) {
+    const labels = DatapointController.parseStateLabels(states);
+    return labels
+      ? Object.fromEntries(
+          Object.entries(labels).map(([key, names]) => [key, names[0]]),
+        )
+      : null;
+  }
+
+  /**
+   * Normalize common.states to an object of key -> all labels of the key
+   * Translated labels like {en: "off", de: "aus"} give one label per language,
+   * the English one first
+   *
+   * @param {object|Array|string} states - common.states
+   * @returns {Record<string, string[]>|null} Labels or null if no states are defined
+   */
+  static parseStateLabels(states) {
+    let entries = [];
+    if (typeof states === "string") {
+      entries = states
+        .split(";")
+        .filter((pair) => pair.includes(":"))
+        .map((pair) => {
+          const index = pair.indexOf(":");
+          return [pair.slice(0, index).trim(), pair.slice(index + 1).trim()];
+        });
+    } else if (Array.isArray(states)) {
+      entries = states.map((label, index) => [String(index), label]);
+    } else if (states && typeof states === "object") {
+      entries = Object.entries(states);
+    }
+    return entries.length > 0
+      ? Object.fromEntries(
+          entries.map(([k, label]) => [
+            k,
+            label && typeof label === "object"
+              ? [...new Set([label.en, ...Object.values(label)])]
+                  .filter((name) => name !== undefined && name !== null)
+                  .map(String)
+              : [String(label)],
+          ]),
+        )
+      : null;
+  }
+
+  /**
+   * Find the states key for a value given as key or as label (in any language)
+   *
+   * @param {boolean|number|string} value - Requested value, e.g. 1, "eco" or "Komfort"
+   * @param {object|Array|string} states - common.states
+   * @returns {string|undefined} Matching key or undefined if the value is neither key nor label
+   */
+  static resolveStateKey(value, states) {
+    const labels = DatapointController.parseStateLabels(states);
+    if (!labels || value === null || value === undefined) {
+      return undefined;
+    }
+    const valueStr = String(value).trim();
+    const valueLower = valueStr.toLowerCase();
+    const keys = Object.keys(labels);
+
+    return (
+      keys.find((key) => key === valueStr) ??
+      keys.find((key) =>
+        labels[key].some((label) => label.trim().toLowerCase() === valueLower),
+      ) ??
+      keys.find((key) => key.toLowerCase() === valueLower)
+    );
+  }
+
+  /**
+   * Get the label of a stored value from common.states
+   *
+   * @param {boolean|number|string} value - Stored value (states key)
+   * @param {object|Array|string} states - common.states
+   * @returns {string|undefined} Label or undefined if the value has none
+   */
+  static getStateLabel(value, states) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    const label = DatapointController.parseStates(states)?.[String(value)];
+    return label !== undefined && label !== String(value) ? label : undefined;
+  }
+
+  /**
+   * Convert a states key to the type of the datapoint
+   *
+   * @param {string} key - Key from common.states
+   * @param {string} type - common.type
+   * @returns {boolean|number|string} Value to write
+   */
+  static _castStateKey(key, type) {
+    if (type === "number" && !isNaN(Number(key))) {
+      return Number(key);
+    }
+    if (type === "boolean") {
+      return key === "true";
+    }
+    return key;
+  }
+
+  /**
+   * Write a value to a datapoint that is allowed for writing
+   * Used for direct writes and for confirmed pending actions
+   * The previous value is kept so that the change can be undone
+   *
+   * @param {string} datapointId - Resolved datapoint ID
+   * @param {boolean|number|string} value - Value to write
+   * @param {boolean} [recordUndo] - Keep the previous value for undoLast (false for undo writes)
+   * @param {boolean} [verify] - Wait for the device acknowledgement and report the outcome
+   * @returns {Promise<object>} Result of the operation
+   */
+  async writeDatapointValue(
+    datapointId,
+    value,
+    recordUndo = true,
+    verify = false,
+  ) {
+    if (!this.isDatapointWriteAllowed(datapointId)) {
+      return {
+        success: false,
+        error: `Datapoint not allowed for writing (allowAutoChange must be enabled): ${datapointId}`,
+      };
+    }
+
+    let ack = null;
+    try {
+      const oldValue = (await this.adapter.getForeignStateAsync(datapointId))
+        ?.val;
+      const verifyTimeout = this._getVerifyTimeout();
+      ack = verify ? this._waitForAck(datapointId, verifyTimeout) : null;
+
+      // Values from models are checked by validateWriteValue before, undo values are written as they were
       this.log.info(
-        `[DatapointController] Setting ${resolvedDatapoint} to ${value} (type: ${typeof value}) - Direct mode (ai-assistant style)`,
+        `[DatapointController] Setting ${datapointId} to ${value} (type: ${typeof value}) - Direct mode (ai-assistant style)`,
       );
 
-      await this.adapter.setForeignStateAsync(resolvedDatapoint, {
+      await this.adapter.setForeignStateAsync(datapointId, {
         val: value,
         ack: false,
         from: `system.adapter.${this.adapter.namespace}`, // Mark as from our adapter
       });
 
-      return {
+      // Datapoints without a previous value cannot be restored
+      if (recordUndo && oldValue !== undefined && oldValue !== null) {
+        this._undoStack.push({
+          datapoint: datapointId,
+          oldValue: oldValue,
+          newValue: value,
+          timestamp: Date.now(),
+        });
+        if (this._undoStack.length > this.maxUndoEntries) {
+          this._undoStack.shift();
+        }
+      }
+
+      const result = {
         success: true,
-        datapoint: resolvedDatapoint,
+        datapoint: datapointId,
+        oldValue: oldValue,
         value: value,
-        message: `Successfully set ${resolvedDatapoint} to ${value}`,
+        message: `Successfully set ${datapointId} to ${value}`,
       };
+      return ack
+        ? await this._verifyWrite(result, ack.promise, verifyTimeout)
+        : result;
     } catch (error) {
+      ack?.cancel();
       this.log.error(
-        `[DatapointController] Error setting datapoint ${resolvedDatapoint}: ${error.message}`,
+        `[DatapointController] Error setting datapoint ${datapointId}: ${error.message}`,
       );
       return {
         success: false,
@@ -936,13 +2449,398 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
     }
   }
 
+  /**
+   * Time to wait for the device acknowledgement of a verified write
+   *
+   * @returns {number} Timeout in milliseconds
+   */
+  _getVerifyTimeout() {
+    return (this.config?.verifyTimeout || 10) * 1000;
+  }
+
+  /**
+   * Wait for the device acknowledgement of a write and describe the real outcome
+   * The write itself succeeded, so success stays true - verification tells the
+   * model whether the device confirmed the value (confirmed), reported another
+   * value (different) or did not answer (timeout)
+   *
+   * @param {object} result - Result of the write
+   * @param {Promise<object|null>} ackPromise - Acknowledged state or null on timeout
+   * @param {number} timeoutMs - Waiting time used, for the message
+   * @returns {Promise<object>} Result with verification, confirmedValue and message
+   */
+  async _verifyWrite(result, ackPromise, timeoutMs) {
+    const state = await ackPromise;
+    const { datapoint, value } = result;
+
+    let verification;
+    let message;
+    if (!state) {
+      verification = "timeout";
+      message = `Sent ${value} to ${datapoint}, but the device did not confirm the change within ${timeoutMs / 1000} s - it may not have responded`;
+    } else if (DatapointController._isSameValue(state.val, value)) {
+      verification = "confirmed";
+      message = `Successfully set ${datapoint} to ${value} - the device confirmed the new value`;
+    } else {
+      verification = "different";
+      message = `Sent ${value} to ${datapoint}, but the device reported ${state.val} instead - the change was not applied as requested`;
+    }
+
+    this.log.info(`[DatapointController] Verification: ${message}`);
+    return {
+      ...result,
+      verification: verification,
+      ...(state ? { confirmedValue: state.val } : {}),
+      message: message,
+    };
+  }
+
+  /**
+   * Compare a reported value with the written one (numbers with tolerance)
+   *
+   * @param {boolean|number|string} reported - Value reported by the device
+   * @param {boolean|number|string} expected - Value written
+   * @returns {boolean} True if both describe the same value
+   */
+  static _isSameValue(reported, expected) {
+    const a = DatapointController._parseNumber(reported);
+    const b = DatapointController._parseNumber(expected);
+    if (a !== null && b !== null) {
+      return Math.abs(a - b) < 1e-6;
+    }
+    return String(reported) === String(expected);
+  }
+
+  /**
+   * Execute undoLast function
+   *
+   * @param {{count?: number}} parameters - Function parameters
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the undo (kept with pending actions)
+   * @returns {Promise<object>} Result of the undo
+   */
+  async executeUndoLast(parameters, client = null, context = {}) {
+    if (client?.readOnly) {
+      return {
+        success: false,
+        error: `Client "${client.name}" has read-only access`,
+      };
+    }
+
+    const count = Math.min(
+      Math.max(parseInt(String(parameters?.count ?? 1), 10) || 1, 1),
+      10,
+    );
+    return await this.undoLast(count, {
+      client: client,
+      context: context,
+      confirm: true,
+    });
+  }
+
+  /**
+   * Execute notify function - send a message through the configured channels
+   *
+   * @param {{channel: string|Array<string>, text: string}} parameters - Function parameters
+   * @param {object} [client] - ToolServer client profile (read-only clients may not send)
+   * @returns {Promise<object>} Delivery result per channel
+   */
+  async executeNotify(parameters, client = null) {
+    if (!this.notificationSender) {
+      return {
+        success: false,
+        error: "No notification channels configured",
+      };
+    }
+    if (client?.readOnly) {
+      return {
+        success: false,
+        error: `Client "${client.name}" has read-only access`,
+      };
+    }
+    return await this.notificationSender.notify(parameters);
+  }
+
+  /**
+   * Execute getHistory function - summarize the history of a datapoint
+   *
+   * @param {{datapoint: string, start?: string, end?: string, intervals?: number}} parameters - Function parameters
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @returns {Promise<object>} Summary from the history instance
+   */
+  async executeGetHistory(parameters, client = null) {
+    if (!this.historyQuery) {
+      return {
+        success: false,
+        error: "No history instance configured",
+      };
+    }
+
+    const datapoint = parameters?.datapoint;
+    if (!datapoint) {
+      return {
+        success: false,
+        error: "Missing required parameter: datapoint",
+      };
+    }
+    const resolvedDatapoint = await this._resolveDatapointId(datapoint);
+    if (
+      !resolvedDatapoint ||
+      !this.isDatapointReadAllowed(resolvedDatapoint, client)
+    ) {
+      return {
+        success: false,
+        error: `Datapoint not found or not allowed: ${datapoint}`,
+      };
+    }
+
+    try {
+      return await this.historyQuery.summarize(resolvedDatapoint, parameters);
+    } catch (error) {
+      this.log.warn(
+        `[DatapointController] History query for ${resolvedDatapoint} failed: ${error.message}`,
+      );
+      return {
+        success: false,
+        datapoint: resolvedDatapoint,
+        error: `History query failed: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Execute saveScene, listScenes or applyScene
+   *
+   * @param {string} functionName - Scene function
+   * @param {object} parameters - Function parameters
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the call (kept with pending actions)
+   * @returns {Promise<object>} Result of the scene function
+   */
+  async executeSceneFunction(
+    functionName,
+    parameters,
+    client = null,
+    context = {},
+  ) {
+    if (!this.sceneManager) {
+      return { success: false, error: "Scenes are not available" };
+    }
+
+    switch (functionName) {
+      case "saveScene":
+        return await this.sceneManager.saveScene(
+          parameters?.name,
+          parameters?.datapoints,
+          client,
+        );
+      case "listScenes":
+        return await this.sceneManager.listScenes(client);
+      default:
+        return await this.sceneManager.applyScene(
+          parameters?.name,
+          client,
+          context,
+          parameters?.verify === true || parameters?.verify === "true",
+        );
+    }
+  }
+
+  /**
+   * Execute scheduleSetState, listSchedules or cancelSchedule
+   *
+   * @param {string} functionName - Schedule function
+   * @param {object} parameters - Function parameters
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the call (kept with the job)
+   * @returns {Promise<object>} Result of the schedule function
+   */
+  async executeScheduleFunction(
+    functionName,
+    parameters,
+    client = null,
+    context = {},
+  ) {
+    if (!this.scheduleManager) {
+      return { success: false, error: "Scheduled actions are not available" };
+    }
+
+    switch (functionName) {
+      case "scheduleSetState":
+        return await this.scheduleManager.scheduleSetState(
+          parameters,
+          client,
+          context,
+        );
+      case "listSchedules":
+        return await this.scheduleManager.listSchedules(client);
+      default:
+        if (client?.readOnly) {
+          return {
+            success: false,
+            error: `Client "${client.name}" has read-only access`,
+          };
+        }
+        return await this.scheduleManager.cancelSchedule(
+          parameters?.scheduleId,
+          client,
+        );
+    }
+  }
+
+  /**
+   * Restore the previous values of the last AI changes
+   * With options.confirm, datapoints with requireConfirmation get a pending action
+   * instead of being restored directly (used when a model requests the undo).
+   * A client only undoes the changes of datapoints it may write; other changes
+   * and changes that could not be restored stay on the undo stack
+   *
+   * @param {number} [count] - Number of changes to undo
+   * @param {{client?: object, context?: object, confirm?: boolean}} [options] - Client profile, audit context and confirmation handling
+   * @returns {Promise<object>} Restored, pending and failed changes
+   */
+  async undoLast(count = 1, options = {}) {
+    if (this._undoStack.length === 0) {
+      return { success: false, error: "There are no AI changes to undo" };
+    }
+
+    const restored = [];
+    const pending = [];
+    const failed = [];
+
+    let attempts = 0;
+    for (
+      let index = this._undoStack.length - 1;
+      index >= 0 && attempts < count;
+      index--
+    ) {
+      const change = this._undoStack[index];
+      if (
+        options.client &&
+        !this.isDatapointWriteAllowed(change.datapoint, options.client)
+      ) {
+        continue;
+      }
+      attempts++;
+
+      // The entry is removed when the pending action is confirmed
+      if (options.confirm && this.needsConfirmation(change.datapoint)) {
+        const action = await this._createPendingWrite(
+          change.datapoint,
+          change.oldValue,
+          options.client,
+          options.context,
+          "Undo: ",
+          change,
+        );
+        pending.push({
+          datapoint: change.datapoint,
+          from: change.newValue,
+          value: change.oldValue,
+          actionId: action.actionId,
+        });
+        continue;
+      }
+
+      const result = await this.writeDatapointValue(
+        change.datapoint,
+        change.oldValue,
+        false,
+      );
+      if (result.success) {
+        this._undoStack.splice(index, 1);
+        restored.push({
+          datapoint: change.datapoint,
+          from: change.newValue,
+          value: change.oldValue,
+        });
+      } else {
+        failed.push({ datapoint: change.datapoint, error: result.error });
+      }
+    }
+
+    if (attempts === 0) {
+      return {
+        success: false,
+        error: `There are no AI changes client "${options.client.name}" may undo`,
+      };
+    }
+
+    const parts = [
+      ...restored.map((c) => `restored ${c.datapoint} to ${c.value}`),
+      ...pending.map(
+        (c) =>
+          `restoring ${c.datapoint} to ${c.value} is waiting for user approval (action ${c.actionId})`,
+      ),
+      ...failed.map((c) => `could not restore ${c.datapoint}: ${c.error}`),
+    ];
+    this.log.info(`[DatapointController] Undo: ${parts.join("; ")}`);
+
+    return {
+      success: restored.length + pending.length > 0,
+      restored: restored,
+      pending: pending,
+      failed: failed,
+      message: parts.join("; "),
+      ...(restored.length + pending.length > 0
+        ? {}
+        : { error: "No change could be undone" }),
+    };
+  }
+
+  /**
+   * Remove an entry from the undo stack after its pending undo was confirmed
+   *
+   * @param {object} change - Undo stack entry
+   */
+  removeUndoEntry(change) {
+    const index = this._undoStack.indexOf(change);
+    if (index !== -1) {
+      this._undoStack.splice(index, 1);
+    }
+  }
+
+  /**
+   * Describe a write for the confirmation request
+   *
+   * @param {string} datapointId - Datapoint ID
+   * @param {boolean|number|string} value - Requested value
+   * @param {object} [client] - ToolServer client profile that requested the write
+   * @returns {Promise<string>} Description like "Front door lock (...): false -> true"
+   */
+  async _describeWrite(datapointId, value, client = null) {
+    let label = datapointId;
+    let current;
+    try {
+      const obj = await this.adapter.getForeignObjectAsync(datapointId);
+      const customCfg = obj?.common?.custom?.[this.adapter.namespace];
+      const name =
+        customCfg?.description ||
+        (typeof obj?.common?.name === "object"
+          ? obj.common.name.en
+          : obj?.common?.name);
+      if (name) {
+        label = `${name} (${datapointId})`;
+      }
+      current = (await this.adapter.getForeignStateAsync(datapointId))?.val;
+    } catch (error) {
+      this.log.debug(
+        `[DatapointController] Could not read ${datapointId} for description: ${error.message}`,
+      );
+    }
+
+    const requester = client ? ` requested by "${client.name}"` : "";
+    return `${label}: ${current === undefined ? "" : `${current} -> `}${value}${requester}`;
+  }
+
   /**
    * Execute getState function
    *
    * @param {object} parameters - Function parameters
+   * @param {object} [client] - ToolServer client profile restricting access
    * @returns {Promise<object>} Result of the operation
    */
-  async executeGetState(parameters) {
+  async executeGetState(parameters, client = null) {
     const { datapoint } = parameters;
 
     if (!datapoint) {
@@ -963,16 +2861,21 @@ Do NOT convert values - use them exactly as the datapoint expects. Available dat
     );
 
     try {
-      const result = await this.getDatapointValue(resolvedDatapoint);
+      const result = await this.getDatapointValue(resolvedDatapoint, client);
 
       if (result.success) {
+        // Selection lists report the label next to the stored key
+        const obj = await this.adapter.getForeignObjectAsync(resolvedDatapoint);
+        const states = obj?.common?.states;
+        const label = DatapointController.getStateLabel(result.value, states);
         return {
           success: true,
           datapoint: resolvedDatapoint,
           originalInput: datapoint,
           value: result.value,
+          ...(label !== undefined ? { label: label } : {}),
           timestamp: result.timestamp,
-          message: `Current value of ${resolvedDatapoint} is ${result.value}`,
+          message: `Current value of ${resolvedDatapoint} is ${this.formatValue(result.value, states)}`,
         };
       }
       throw new Error(result.error || "Failed to read datapoint");
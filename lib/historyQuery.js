@@ -0,0 +1,239 @@
+"use strict";
+
+/**
+ * History queries through a history, influxdb or sql instance
+ * Values are aggregated by the history instance (sendTo "getHistory") and
+ * reduced to a compact summary, so the model never sees the raw series
+ */
+class HistoryQuery {
+  /**
+   * Create a new history query
+   *
+   * @param {object} adapter - ioBroker adapter instance used for sendTo
+   * @param {string} instance - History instance, e.g. "history.0"
+   * @param {number} [timeoutSeconds] - Timeout of one request to the history instance
+   */
+  constructor(adapter, instance, timeoutSeconds = 20) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this.instance = instance;
+    this.timeout = timeoutSeconds * 1000;
+    this.maxIntervals = 24;
+  }
+
+  /**
+   * Parse a time parameter
+   * Accepts ISO dates, ms timestamps, "now" and relative times like "-12h", "-30m", "-7d"
+   *
+   * @param {string|number|null|undefined} value - Time parameter (empty for the fallback)
+   * @param {number} fallback - Time used if no value is given (ms)
+   * @param {number} [now] - Current time in ms
+   * @returns {number|null} Time in ms or null if invalid
+   */
+  static parseTime(value, fallback, now = Date.now()) {
+    if (value === undefined || value === null || value === "") {
+      return fallback;
+    }
+    if (typeof value === "number") {
+      return value;
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (text === "now") {
+      return now;
+    }
+    const relative = text.match(/^-\s*(\d+(?:\.\d+)?)\s*(m|min|h|d|w)$/);
+    if (relative) {
+      const units = {
+        m: 60000,
+        min: 60000,
+        h: 3600000,
+        d: 86400000,
+        w: 604800000,
+      };
+      return now - parseFloat(relative[1]) * units[relative[2]];
+    }
+    const time = new Date(String(value)).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Summarize the history of a datapoint over a time range
+   *
+   * @param {string} datapointId - Resolved datapoint ID
+   * @param {object} [options] - start and end of the range (default last 24 hours), number of average intervals
+   * @returns {Promise<object>} min, max, average, count and optional averages per interval
+   */
+  async summarize(datapointId, options = {}) {
+    const now = Date.now();
+    const end = HistoryQuery.parseTime(options.end, now, now);
+    const start = HistoryQuery.parseTime(
+      options.start,
+      (end ?? now) - 86400000,
+      now,
+    );
+    if (start === null || end === null) {
+      return {
+        success: false,
+        error:
+          'Invalid time range: use ISO dates or relative times like "-12h" or "-7d"',
+      };
+    }
+    if (start >= end) {
+      return {
+        success: false,
+        error: "Invalid time range: start must be before end",
+      };
+    }
+
+    const unavailable = await this._checkInstance();
+    if (unavailable) {
+      return { success: false, error: unavailable };
+    }
+
+    const summary = {};
+    for (const aggregate of ["min", "max", "average", "count"]) {
+      const values = await this._request(datapointId, {
+        start: start,
+        end: end,
+        aggregate: aggregate,
+        step: end - start,
+      });
+      summary[aggregate] = HistoryQuery._combine(aggregate, values);
+    }
+
+    const intervals = Math.min(
+      parseInt(String(options.intervals ?? 0), 10) || 0,
+      this.maxIntervals,
+    );
+    let series;
+    if (intervals > 1 && summary.count > 0) {
+      const step = Math.ceil((end - start) / intervals);
+      series = (
+        await this._request(datapointId, {
+          start: start,
+          end: end,
+          aggregate: "average",
+          step: step,
+        })
+      )
+        .filter((entry) => typeof entry.val === "number")
+        .map((entry) => ({
+          time: new Date(entry.ts).toISOString(),
+          average: HistoryQuery._round(entry.val),
+        }));
+    }
+
+    const obj = await this.adapter.getForeignObjectAsync(datapointId);
+    const unit = obj?.common?.unit ? ` ${obj.common.unit}` : "";
+    const range = `${new Date(start).toISOString()} to ${new Date(end).toISOString()}`;
+    return {
+      success: true,
+      datapoint: datapointId,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      ...(unit ? { unit: unit.trim() } : {}),
+      min: summary.min,
+      max: summary.max,
+      average: summary.average,
+      count: summary.count,
+      ...(series ? { intervals: series } : {}),
+      message:
+        summary.count > 0
+          ? `History of ${datapointId} from ${range}: min ${summary.min}${unit}, max ${summary.max}${unit}, average ${summary.average}${unit}, ${summary.count} values`
+          : `No values of ${datapointId} recorded from ${range}`,
+    };
+  }
+
+  /**
+   * Check that the history instance is installed and enabled
+   * (messages to other instances are only answered by the timeout)
+   *
+   * @returns {Promise<string|null>} Error message or null if the instance is available
+   */
+  async _checkInstance() {
+    const obj = await this.adapter.getForeignObjectAsync(
+      `system.adapter.${this.instance}`,
+    );
+    if (!obj) {
+      return `History instance ${this.instance} is not installed`;
+    }
+    if (!obj.common?.enabled) {
+      return `History instance ${this.instance} is disabled`;
+    }
+    return null;
+  }
+
+  /**
+   * Send one getHistory request to the history instance
+   *
+   * @param {string} datapointId - Datapoint ID
+   * @param {object} options - getHistory options (start, end, aggregate, step)
+   * @returns {Promise<Array<object>>} Returned values with val and ts
+   */
+  async _request(datapointId, options) {
+    const response = await this.adapter.sendToAsync(
+      this.instance,
+      "getHistory",
+      {
+        id: datapointId,
+        options: {
+          ...options,
+          ignoreNull: true,
+          removeBorderValues: true,
+        },
+      },
+      { timeout: this.timeout },
+    );
+    // sendToAsync resolves with an Error if the timeout is exceeded
+    if (response instanceof Error) {
+      throw new Error(`${this.instance}: ${response.message}`);
+    }
+    if (response?.error) {
+      throw new Error(`${this.instance}: ${response.error}`);
+    }
+    return Array.isArray(response?.result) ? response.result : [];
+  }
+
+  /**
+   * Combine the values of one aggregate (history instances may return
+   * more than one step for the range)
+   *
+   * @param {string} aggregate - min, max, average or count
+   * @param {Array<object>} values - Values from the history instance
+   * @returns {number|null} Combined value (null without values)
+   */
+  static _combine(aggregate, values) {
+    const numbers = values
+      .map((entry) => entry?.val)
+      .filter((val) => typeof val === "number" && Number.isFinite(val));
+    if (aggregate === "count") {
+      return numbers.reduce((sum, val) => sum + val, 0);
+    }
+    if (numbers.length === 0) {
+      return null;
+    }
+    switch (aggregate) {
+      case "min":
+        return HistoryQuery._round(Math.min(...numbers));
+      case "max":
+        return HistoryQuery._round(Math.max(...numbers));
+      default:
+        return HistoryQuery._round(
+          numbers.reduce((sum, val) => sum + val, 0) / numbers.length,
+        );
+    }
+  }
+
+  /**
+   * Round a value for the model
+   *
+   * @param {number} value - Value
+   * @returns {number} Value with at most two decimals
+   */
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = HistoryQuery;
@@ -74,6 +74,18 @@ class HttpClient {
         "Content-Type": "application/json",
       },
     });
+
+    // OpenAI-compatible server instance (llama.cpp, LM Studio, vLLM)
+    this.openAICompatibleInstance = axios.create({
+      timeout: 1200000, // 20 minutes timeout for large model operations
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+      maxRedirects: 3,
+      validateStatus: (status) => status < 500,
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
   }
 
   /**
@@ -125,6 +137,16 @@ class HttpClient {
     return this.ollamaInstance;
   }
 
+  /**
+   * Get HTTP client for OpenAI-compatible servers
+   * The API key is sent per request, so different servers can share the pool
+   *
+   * @returns {object} OpenAI-compatible axios instance
+   */
+  getOpenAICompatible() {
+    return this.openAICompatibleInstance;
+  }
+
   /**
    * Create custom HTTP client with specific configuration
    *
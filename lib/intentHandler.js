@@ -0,0 +1,260 @@
+"use strict";
+
+// Answer of the model when it cannot handle a request (triggers the fallback)
+const UNSURE_MARKER = "[UNSURE]";
+
+/**
+ * Intent mode for voice assistants (replacement for text2command)
+ * Texts written to the input state run through the normal chat pipeline with
+ * tool calling and RAG; the answer is shortened to a spoken sentence and
+ * written to intent.response and the configured response state
+ */
+class IntentHandler {
+  /**
+   * Create a new intent handler
+   *
+   * @param {object} adapter - ioBroker adapter instance for states and sendTo
+   * @param {object} ollamaClient - OllamaClient processing the chat messages
+   * @param {object} options - model, inputState, responseState, timeout (seconds), maxLength and fallbackInstance
+   */
+  constructor(adapter, ollamaClient, options) {
+    this.adapter = adapter;
+    this.ollamaClient = ollamaClient;
+    this.log = adapter.log;
+    this.model = options.model;
+    this.inputState = options.inputState || "";
+    this.responseState = options.responseState || "";
+    this.timeout = options.timeout * 1000;
+    this.maxLength = options.maxLength;
+    this.fallbackInstance = options.fallbackInstance || "";
+    this.fallbackTimeout = 5000; // text2command answers locally
+  }
+
+  /**
+   * Create the intent states and subscribe the input state of the voice adapter
+   */
+  async initialize() {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync("intent", {
+      type: "channel",
+      common: { name: adapter.translate("Voice assistant intent mode") },
+      native: {},
+    });
+    const states = {
+      text: ["Intent text", "text", true],
+      response: ["Intent response", "text", false],
+      answeredBy: ["Intent answered by", "text", false],
+    };
+    for (const [stateId, [name, role, write]] of Object.entries(states)) {
+      await adapter.setObjectNotExistsAsync(`intent.${stateId}`, {
+        type: "state",
+        common: {
+          name: adapter.translate(name),
+          type: "string",
+          role: role,
+          read: true,
+          write: write,
+          def: "",
+        },
+        native: {},
+      });
+    }
+
+    if (this.inputState) {
+      adapter.subscribeForeignStates(this.inputState);
+    }
+    this.log.info(
+      `[Intent] Answering ${[`${adapter.namespace}.intent.text`, this.inputState].filter(Boolean).join(" and ")} with ${this.model}${this.fallbackInstance ? `, fallback ${this.fallbackInstance}` : ""}`,
+    );
+  }
+
+  /**
+   * Handle texts written to intent.text or the input state
+   *
+   * @param {string} id - Full state ID
+   * @param {ioBroker.State} state - New state
+   * @returns {Promise<boolean>} True if the state was an intent input
+   */
+  async handleStateChange(id, state) {
+    const ownInput = id === `${this.adapter.namespace}.intent.text`;
+    if (!ownInput && id !== this.inputState) {
+      return false;
+    }
+    // Voice adapters write their input with ack=true, but never react to own writes
+    if (
+      (ownInput && state.ack) ||
+      state.from === `system.adapter.${this.adapter.namespace}` ||
+      !String(state.val ?? "").trim()
+    ) {
+      return true;
+    }
+
+    await this.process(String(state.val).trim());
+    if (ownInput) {
+      await this.adapter.setState("intent.text", String(state.val), true);
+    }
+    return true;
+  }
+
+  /**
+   * Answer a text and write the answer to the response states
+   *
+   * @param {string} text - Spoken text from the voice assistant
+   * @returns {Promise<{response: string, answeredBy: string}>} Written answer and who answered
+   */
+  async process(text) {
+    const start = Date.now();
+    let answer = null;
+    let answeredBy = "model";
+
+    try {
+      answer = await this._askModel(text);
+    } catch (error) {
+      this.log.warn(`[Intent] "${text}": ${error.message}`);
+      answeredBy = Date.now() - start >= this.timeout ? "timeout" : "error";
+    }
+
+    if (answer === null || answer.includes(UNSURE_MARKER)) {
+      const fallback = await this._askFallback(text);
+      if (fallback) {
+        answer = fallback;
+        answeredBy = "text2command";
+      } else if (answer !== null) {
+        answer = answer.replace(UNSURE_MARKER, "").trim();
+      }
+    }
+
+    const response = IntentHandler.toSpeech(
+      answer || this.adapter.translate("Sorry, I could not answer that."),
+      this.maxLength,
+    );
+    await this.adapter.setState("intent.answeredBy", answeredBy, true);
+    await this.adapter.setState("intent.response", response, true);
+    if (this.responseState) {
+      await this.adapter.setForeignStateAsync(this.responseState, response);
+    }
+
+    this.log.info(
+      `[Intent] "${text}" answered by ${answeredBy} in ${Date.now() - start} ms: ${response}`,
+    );
+    return { response: response, answeredBy: answeredBy };
+  }
+
+  /**
+   * Run the text through the chat pipeline within the timeout
+   * On timeout the request is aborted, so the model executes no further
+   * tool calls while the fallback handles the text
+   *
+   * @param {string} text - Spoken text
+   * @returns {Promise<string>} Answer of the model
+   */
+  async _askModel(text) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = this.adapter.setTimeout(() => {
+        const error = new Error(
+          `Model timed out after ${this.timeout / 1000}s`,
+        );
+        controller.abort(error);
+        reject(error);
+      }, this.timeout);
+    });
+
+    try {
+      const result = await Promise.race([
+        this.ollamaClient.processChatMessage(
+          this.model,
+          { role: "user", content: text },
+          {
+            source: "intent",
+            signal: controller.signal,
+            history: [
+              {
+                role: "system",
+                content: `You answer requests of a voice assistant. Use the available functions to read or control devices. Answer in one or two short sentences in the language of the request, without markdown, lists or emojis, as the answer is spoken. If you cannot handle the request or are unsure what is meant, answer only with ${UNSURE_MARKER}.`,
+              },
+            ],
+          },
+        ),
+        timeout,
+      ]);
+      if (!result?.content) {
+        throw new Error("No answer from the model");
+      }
+      return result.content;
+    } finally {
+      this.adapter.clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Forward the text to the text2command fallback instance
+   *
+   * @param {string} text - Spoken text
+   * @returns {Promise<string|null>} Answer of text2command or null without fallback or answer
+   */
+  async _askFallback(text) {
+    if (!this.fallbackInstance) {
+      return null;
+    }
+    try {
+      const result = await this.adapter.sendToAsync(
+        this.fallbackInstance,
+        "send",
+        { text: text },
+        { timeout: this.fallbackTimeout },
+      );
+      return result?.response ? String(result.response) : null;
+    } catch (error) {
+      this.log.warn(
+        `[Intent] Fallback ${this.fallbackInstance} failed: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Turn a model answer into a short text for speech output
+   * Markdown is removed and the text is cut at a sentence or word boundary
+   *
+   * @param {string} text - Answer of the model
+   * @param {number} maxLength - Maximum number of characters
+   * @returns {string} Spoken answer
+   */
+  static toSpeech(text, maxLength) {
+    let speech = String(text)
+      .replace(/<think>[\s\S]*?<\/think>/gi, "")
+      .replace(/```[\s\S]*?```/g, "")
+      .replace(/`([^`]*)`/g, "$1")
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+      .replace(/(\*\*|__|\*|_|~~)(\S[\s\S]*?\S|\S)\1/g, "$2")
+      .replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/gm, "")
+      .replace(/[ \t]*\|[ \t]*/g, ", ")
+      .replace(/^(, )+|(, )+$/gm, "")
+      // Lines become sentences
+      .replace(/([^.!?:,;\s])[ \t]*\n+\s*/g, "$1. ")
+      .replace(/\s*\n+\s*/g, " ")
+      .replace(/\s{2,}/g, " ")
+      .trim();
+
+    if (speech.length <= maxLength) {
+      return speech;
+    }
+    speech = speech.substring(0, maxLength);
+    const sentenceEnd = Math.max(
+      speech.lastIndexOf(". "),
+      speech.lastIndexOf("! "),
+      speech.lastIndexOf("? "),
+    );
+    if (sentenceEnd > maxLength / 2) {
+      return speech.substring(0, sentenceEnd + 1);
+    }
+    const wordEnd = speech.lastIndexOf(" ");
+    return `${speech.substring(0, wordEnd > 0 ? wordEnd : maxLength).replace(/[,;:]$/, "")}…`;
+  }
+}
+
+module.exports = IntentHandler;
@@ -22,7 +22,7 @@ class LRUCache {
    * Get item from cache
    *
    * @param {string} key - Cache key
-   * @returns {*} Cached value or undefined
+   * @returns {unknown} Cached value or undefined
    */
   get(key) {
     if (!this.cache.has(key)) {
@@ -55,7 +55,7 @@ class LRUCache {
    * Set item in cache
    *
    * @param {string} key - Cache key
-   * @param {*} value - Value to cache
+   * @param {unknown} value - Value to cache
    */
   set(key, value) {
     // If key exists, delete it first to update position
@@ -0,0 +1,325 @@
+"use strict";
+
+// Chat options scripts may set (option name -> name used by the backends)
+const CHAT_OPTIONS = {
+  temperature: "temperature",
+  max_tokens: "max_tokens",
+  maxTokens: "max_tokens",
+};
+
+/**
+ * sendTo / onMessage API for scripts and other adapters
+ * Every command answers with { success: true, ... } or { success: false, error }
+ */
+class MessageHandler {
+  /**
+   * Create a new message handler
+   *
+   * @param {object} adapter - ioBroker adapter instance
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this._commands = {
+      chat: this._handleChat.bind(this),
+      embed: this._handleEmbed.bind(this),
+      ragQuery: this._handleRagQuery.bind(this),
+      listModels: this._handleListModels.bind(this),
+      cleanupVectorDb: this._handleCleanupVectorDb.bind(this),
+      auditQuery: this._handleAuditQuery.bind(this),
+      saveScene: this._handleScene.bind(this, "saveScene"),
+      listScenes: this._handleScene.bind(this, "listScenes"),
+      applyScene: this._handleScene.bind(this, "applyScene"),
+      deleteScene: this._handleDeleteScene.bind(this),
+      registerTool: this._handleRegisterTool.bind(this),
+      unregisterTool: this._handleUnregisterTool.bind(this),
+      listTools: this._handleListTools.bind(this),
+    };
+  }
+
+  /**
+   * Execute a message command
+   *
+   * @param {string} command - Command name
+   * @param {object} message - Command parameters
+   * @param {string} [from] - Sender of the message (e.g. system.adapter.javascript.0)
+   * @returns {Promise<object>} Result sent back through the sendTo callback
+   */
+  async handle(command, message, from = "") {
+    const handler = this._commands[command];
+    if (!handler) {
+      return { success: false, error: `Unknown command: ${command}` };
+    }
+    if (!this.adapter.ollamaClient) {
+      return { success: false, error: "Adapter is not ready" };
+    }
+
+    try {
+      return await handler(message || {}, from);
+    } catch (error) {
+      this.log.warn(`[Message] ${command} failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Chat with a model, queued through the ModelManager like state-based chat
+   * Accepts either a message list (last entry is the question) or a single message
+   *
+   * @param {{model: string, messages?: Array<object>, message?: string, options?: object}} message - Chat parameters
+   * @returns {Promise<object>} Answer and token usage
+   */
+  async _handleChat(message) {
+    if (!message.model) {
+      return { success: false, error: "Parameter 'model' is required" };
+    }
+
+    const messages = MessageHandler.normalizeMessages(message);
+    if (!messages) {
+      return {
+        success: false,
+        error:
+          "Parameter 'messages' (array with role and content) or 'message' is required",
+      };
+    }
+
+    const options = MessageHandler.normalizeOptions(message.options);
+    if (options.error) {
+      return { success: false, error: options.error };
+    }
+
+    const question = messages[messages.length - 1];
+    const result = await this.adapter.ollamaClient.processChatMessage(
+      message.model,
+      { role: question.role, content: question.content },
+      {
+        ...options.values,
+        history: messages.slice(0, -1),
+        source: "sendTo",
+      },
+    );
+
+    return {
+      success: true,
+      model: message.model,
+      content: result.content,
+      usage: result.usage,
+    };
+  }
+
+  /**
+   * Check the chat options of a script
+   * Only the options of CHAT_OPTIONS are accepted, so scripts cannot set
+   * internal options such as the client profile
+   *
+   * @param {object} [options] - Options from the message
+   * @returns {{values?: object, error?: string}} Options for processChatMessage or an error
+   */
+  static normalizeOptions(options) {
+    if (options === undefined || options === null) {
+      return { values: {} };
+    }
+    if (typeof options !== "object" || Array.isArray(options)) {
+      return { error: "Parameter 'options' must be an object" };
+    }
+
+    const values = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (!(key in CHAT_OPTIONS)) {
+        return {
+          error: `Unknown option '${key}' (allowed: ${Object.keys(CHAT_OPTIONS).join(", ")})`,
+        };
+      }
+      if (typeof value !== "number" || !isFinite(value) || value < 0) {
+        return { error: `Option '${key}' must be a number of at least 0` };
+      }
+      values[CHAT_OPTIONS[key]] = value;
+    }
+    return { values: values };
+  }
+
+  /**
+   * Generate embeddings for one text or a list of texts
+   *
+   * @param {{input?: string|Array<string>, text?: string, model?: string}} message - Embedding parameters
+   * @returns {Promise<object>} Embedding vectors in input order
+   */
+  async _handleEmbed(message) {
+    const input = message.input ?? message.text;
+    const texts = Array.isArray(input) ? input : [input];
+    if (texts.length === 0 || texts.some((text) => typeof text !== "string")) {
+      return {
+        success: false,
+        error: "Parameter 'input' must be a string or an array of strings",
+      };
+    }
+
+    const model = message.model || this.adapter.config.embeddingModel;
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(
+        await this.adapter.ollamaClient.generateEmbedding(text, model),
+      );
+    }
+
+    return { success: true, model: model, embeddings: embeddings };
+  }
+
+  /**
+   * Search the vector database for datapoints related to a query
+   *
+   * @param {{query: string, limit?: number}} message - Query parameters
+   * @returns {Promise<object>} Matching datapoints
+   */
+  async _handleRagQuery(message) {
+    if (!this.adapter.config.useVectorDb) {
+      return { success: false, error: "Vector database is not enabled" };
+    }
+    if (typeof message.query !== "string" || !message.query.trim()) {
+      return { success: false, error: "Parameter 'query' is required" };
+    }
+
+    const limit = parseInt(String(message.limit), 10);
+    const results = await this.adapter.ollamaClient.searchContext(
+      message.query,
+      limit > 0 ? Math.min(limit, 50) : undefined,
+    );
+    return { success: true, results: results };
+  }
+
+  /**
+   * List the models available in Ollama
+   *
+   * @returns {Promise<object>} Model names
+   */
+  async _handleListModels() {
+    const models = await this.adapter.ollamaClient.fetchModels();
+    return { success: true, models: models };
+  }
+
+  /**
+   * Remove duplicates and disabled datapoints from the vector database
+   *
+   * @returns {Promise<object>} Cleanup statistics
+   */
+  async _handleCleanupVectorDb() {
+    if (!this.adapter.config.useVectorDb) {
+      return { success: false, error: "Vector database is not enabled" };
+    }
+    const results = await this.adapter.cleanupVectorDb();
+    return { success: true, ...results };
+  }
+
+  /**
+   * Search the audit log of AI tool actions
+   *
+   * @param {{datapoint?: string, from?: string|number, to?: string|number, tool?: string, limit?: number}} message - Query filter
+   * @returns {Promise<object>} Matching entries, newest first
+   */
+  async _handleAuditQuery(message) {
+    if (!this.adapter.auditLog) {
+      return { success: false, error: "Audit log is not enabled" };
+    }
+    const entries = await this.adapter.auditLog.query(message);
+    return { success: true, entries: entries };
+  }
+
+  /**
+   * Save, list or apply scenes like the model tools of the same name
+   *
+   * @param {string} functionName - saveScene, listScenes or applyScene
+   * @param {{name?: string, datapoints?: Array<string>, verify?: boolean}} message - Scene parameters
+   * @returns {Promise<object>} Result of the scene function
+   */
+  async _handleScene(functionName, message) {
+    if (!this.adapter.datapointController) {
+      return { success: false, error: "Datapoint control is not available" };
+    }
+    return await this.adapter.datapointController.executeFunctionCall(
+      functionName,
+      message,
+      null,
+      { source: "sendTo" },
+    );
+  }
+
+  /**
+   * Remove a saved scene
+   *
+   * @param {{name: string}} message - Scene name
+   * @returns {Promise<object>} Result of the removal
+   */
+  async _handleDeleteScene(message) {
+    if (!this.adapter.sceneManager) {
+      return { success: false, error: "Scenes are not available" };
+    }
+    return await this.adapter.sceneManager.deleteScene(message.name);
+  }
+
+  /**
+   * Register a tool that the model can call, handled by a script
+   *
+   * @param {{name: string, description: string, parameters?: object, instance?: string, script?: string, readOnly?: boolean, timeout?: number}} message - Tool registration
+   * @param {string} from - Sender, used as handler instance if none is given
+   * @returns {Promise<object>} Registered tool
+   */
+  async _handleRegisterTool(message, from) {
+    if (!this.adapter.toolRegistry) {
+      return { success: false, error: "Tool registry is not available" };
+    }
+    return await this.adapter.toolRegistry.register(message, from);
+  }
+
+  /**
+   * Remove a tool registered by a script
+   *
+   * @param {{name: string}} message - Tool name
+   * @returns {Promise<object>} Result of the removal
+   */
+  async _handleUnregisterTool(message) {
+    if (!this.adapter.toolRegistry) {
+      return { success: false, error: "Tool registry is not available" };
+    }
+    return await this.adapter.toolRegistry.unregister(message.name);
+  }
+
+  /**
+   * List the tools registered by scripts
+   *
+   * @returns {Promise<object>} Registered tools
+   */
+  async _handleListTools() {
+    if (!this.adapter.toolRegistry) {
+      return { success: false, error: "Tool registry is not available" };
+    }
+    return { success: true, tools: this.adapter.toolRegistry.list() };
+  }
+
+  /**
+   * Build the message list of a chat command
+   *
+   * @param {{messages?: Array<object>, message?: string}} message - Chat parameters
+   * @returns {Array<{role: string, content: string}>|null} Messages or null if invalid
+   */
+  static normalizeMessages(message) {
+    if (typeof message.message === "string" && message.message.trim()) {
+      return [{ role: "user", content: message.message }];
+    }
+    if (!Array.isArray(message.messages) || message.messages.length === 0) {
+      return null;
+    }
+
+    const messages = message.messages.map((msg) => ({
+      role: ["system", "user", "assistant"].includes(msg?.role)
+        ? msg.role
+        : "user",
+      content: typeof msg?.content === "string" ? msg.content : "",
+    }));
+    if (messages.some((msg) => !msg.content)) {
+      return null;
+    }
+    return messages;
+  }
+}
+
+module.exports = MessageHandler;
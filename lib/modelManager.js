@@ -29,6 +29,9 @@ class ModelManager {
     // Request handler (to be injected)
     this._requestHandler = null;
 
+    // Queue change listener (to be injected)
+    this._queueListener = null;
+
     // Start status monitoring
     this._startStatusMonitoring();
 
@@ -127,13 +130,14 @@ class ModelManager {
    *
    * @param {string} modelName - Name of the model
    * @param {object} requestData - Request parameters
-   * @returns {Promise<string>} Response from the model
+   * @returns {Promise<object>} Response from the model (content and usage)
    */
   async queueRequest(modelName, requestData) {
     return new Promise((resolve, reject) => {
       const request = {
         modelName,
         requestData,
+        correlationId: requestData?.correlationId || null,
         resolve,
         reject,
         timestamp: Date.now(),
@@ -154,6 +158,7 @@ class ModelManager {
         this.log.info(
           `[ModelManager] Request queued for model ${modelName} (position ${queueLength})`,
         );
+        this._notifyQueueChange(modelName);
       }
     });
   }
@@ -171,6 +176,7 @@ class ModelManager {
     });
 
     this.log.info(`[ModelManager] Starting request for model ${modelName}`);
+    this._notifyQueueChange(modelName);
 
     try {
       // Update model status as processing
@@ -203,6 +209,7 @@ class ModelManager {
             this.requestQueues.set(modelName, []);
           }
           this.requestQueues.get(modelName).unshift(request); // Add to front of queue
+          this._notifyQueueChange(modelName);
         }, 1000 * request.retries); // Exponential backoff
       } else {
         request.reject(error);
@@ -213,6 +220,7 @@ class ModelManager {
     } finally {
       // Clear active request
       this.activeRequests.delete(modelName);
+      this._notifyQueueChange(modelName);
 
       // Update model status
       const currentStatus = this.modelStatus.get(modelName) || {};
@@ -231,7 +239,7 @@ class ModelManager {
    *
    * @param {string} modelName - Name of the model
    * @param {object} requestData - Request parameters
-   * @returns {Promise<string>} Model response
+   * @returns {Promise<object>} Model response
    */
   async _performModelRequest(modelName, requestData) {
     // This method is designed to be overridden by setRequestHandler()
@@ -249,7 +257,7 @@ class ModelManager {
   /**
    * Check if error should trigger a retry
    *
-   * @param {any} error - Error object
+   * @param {Error & {response?: {status?: number}}} error - Error object
    * @returns {boolean} True if should retry
    */
   _shouldRetry(error) {
@@ -371,6 +379,56 @@ class ModelManager {
     return queue ? queue.length : 0;
   }
 
+  /**
+   * Get the position of a request in the queue of a model
+   *
+   * @param {string} modelName - Name of the model
+   * @param {string} correlationId - Correlation ID of the request
+   * @returns {number} 0 if running, 1..n if waiting, -1 if unknown
+   */
+  getQueuePosition(modelName, correlationId) {
+    if (
+      this.activeRequests.get(modelName)?.request?.correlationId ===
+      correlationId
+    ) {
+      return 0;
+    }
+    const queue = this.requestQueues.get(modelName) || [];
+    const index = queue.findIndex(
+      (request) => request.correlationId === correlationId,
+    );
+    return index === -1 ? -1 : index + 1;
+  }
+
+  /**
+   * Get the correlation ID of the request currently running for a model
+   *
+   * @param {string} modelName - Name of the model
+   * @returns {string|null} Correlation ID or null
+   */
+  getActiveCorrelationId(modelName) {
+    return this.activeRequests.get(modelName)?.request?.correlationId || null;
+  }
+
+  /**
+   * Notify the queue listener about a changed queue
+   *
+   * @param {string} modelName - Name of the model
+   */
+  _notifyQueueChange(modelName) {
+    const listener = this._queueListener;
+    if (!listener) {
+      return;
+    }
+    Promise.resolve()
+      .then(() => listener(modelName))
+      .catch((error) => {
+        this.log.debug(
+          `[ModelManager] Queue listener failed for ${modelName}: ${error.message}`,
+        );
+      });
+  }
+
   /**
    * Clear all queues (useful for shutdown)
    */
@@ -400,11 +458,20 @@ class ModelManager {
   /**
    * Set the request handler function
    *
-   * @param {function(string, any): Promise<string>} handler - Function to handle model requests
+   * @param {function(string, object): Promise<object>} handler - Function to handle model requests
    */
   setRequestHandler(handler) {
     this._requestHandler = handler;
   }
+
+  /**
+   * Set a listener that is called whenever a model queue changes
+   *
+   * @param {function(string): (void|Promise<void>)} listener - Called with the model name
+   */
+  setQueueListener(listener) {
+    this._queueListener = listener;
+  }
 }
 
 module.exports = ModelManager;
@@ -0,0 +1,215 @@
+"use strict";
+
+// Adapters that expect the text in another sendTo field than "text"
+const MESSAGE_FIELDS = {
+  pushover: "message",
+  pushsafer: "message",
+  ntfy: "message",
+};
+
+/**
+ * Notifications through messaging adapters (telegram, email, pushover, signal, ...)
+ * The admin configures the channels with their target instance and message
+ * template; the model only chooses the channel and the text (notify tool)
+ */
+class NotificationSender {
+  /**
+   * Create a new notification sender
+   *
+   * @param {object} adapter - ioBroker adapter instance used for sendTo
+   * @param {Array<object>} channels - Sanitized channels: name, instance, template, options, maxPerHour
+   * @param {number} [timeoutSeconds] - Timeout of one delivery
+   */
+  constructor(adapter, channels, timeoutSeconds = 30) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this.channels = new Map(
+      channels.map((channel) => [channel.name.toLowerCase(), channel]),
+    );
+    this.timeout = timeoutSeconds * 1000;
+    this.maxTextLength = 2000;
+    this._sent = new Map(); // Channel name -> send times of the last hour
+  }
+
+  /**
+   * Names of the configured channels
+   *
+   * @returns {Array<string>} Channel names
+   */
+  getChannelNames() {
+    return [...this.channels.values()].map((channel) => channel.name);
+  }
+
+  /**
+   * Function definition of the notify tool
+   *
+   * @returns {object} OpenAI-compatible function definition
+   */
+  getFunctionDefinition() {
+    const names = this.getChannelNames();
+    return {
+      type: "function",
+      function: {
+        name: "notify",
+        description: `Send a message to the user through a messaging channel, e.g. "tell me on Telegram when the washing machine is done" - combine it with scheduleSetState or rules for later messages. Use "all" to send to every channel. The result lists the delivery per channel (sent, rate limited, failed). Available channels: ${names.join(", ")}`,
+        parameters: {
+          type: "object",
+          properties: {
+            channel: {
+              type: "string",
+              enum: [...names, "all"],
+              description: "Channel to send the message to",
+            },
+            text: {
+              type: "string",
+              description: `The message (maximum ${this.maxTextLength} characters)`,
+            },
+          },
+          required: ["channel", "text"],
+        },
+      },
+    };
+  }
+
+  /**
+   * Send a message to one or all channels
+   *
+   * @param {object} parameters - channel (name, list of names or "all") and text
+   * @returns {Promise<object>} Delivery result per channel
+   */
+  async notify(parameters) {
+    const text = String(parameters?.text ?? "").trim();
+    if (!text) {
+      return { success: false, error: "Missing required parameter: text" };
+    }
+    if (text.length > this.maxTextLength) {
+      return {
+        success: false,
+        error: `Message too long: ${text.length} characters (maximum ${this.maxTextLength})`,
+      };
+    }
+
+    const requested = Array.isArray(parameters.channel)
+      ? parameters.channel
+      : [parameters?.channel];
+    const names =
+      requested.length === 1 && String(requested[0]).toLowerCase() === "all"
+        ? this.getChannelNames()
+        : requested.map((name) => String(name ?? "").trim()).filter(Boolean);
+    if (names.length === 0) {
+      return { success: false, error: "Missing required parameter: channel" };
+    }
+    const unknown = names.filter(
+      (name) => !this.channels.has(name.toLowerCase()),
+    );
+    if (unknown.length > 0) {
+      return {
+        success: false,
+        error: `Unknown channel(s): ${unknown.join(", ")}. Available channels: ${this.getChannelNames().join(", ")}`,
+      };
+    }
+
+    const results = [];
+    for (const name of new Set(names.map((name) => name.toLowerCase()))) {
+      results.push(await this._send(this.channels.get(name), text));
+    }
+
+    const sent = results.filter((item) => item.status === "sent");
+    return {
+      success: sent.length > 0,
+      results: results,
+      message: results
+        .map(
+          (item) =>
+            `${item.channel}: ${item.status}${item.error ? ` (${item.error})` : ""}`,
+        )
+        .join(", "),
+      ...(sent.length === 0
+        ? { error: "The message could not be delivered to any channel" }
+        : {}),
+    };
+  }
+
+  /**
+   * Deliver a message to one channel
+   *
+   * @param {object} channel - Channel configuration
+   * @param {string} text - Message from the model
+   * @returns {Promise<object>} Delivery result of the channel
+   */
+  async _send(channel, text) {
+    const message = NotificationSender.applyTemplate(channel.template, {
+      text: text,
+      channel: channel.name,
+      time: new Date().toLocaleString(),
+    });
+    const result = {
+      channel: channel.name,
+      instance: channel.instance,
+      text: message,
+    };
+
+    const now = Date.now();
+    const sentTimes = (this._sent.get(channel.name) || []).filter(
+      (time) => now - time < 3600000,
+    );
+    if (channel.maxPerHour > 0 && sentTimes.length >= channel.maxPerHour) {
+      this._sent.set(channel.name, sentTimes);
+      return {
+        ...result,
+        status: "rate limited",
+        error: `Maximum of ${channel.maxPerHour} messages per hour reached`,
+      };
+    }
+
+    const adapterName = channel.instance.split(".")[0];
+    try {
+      const response = await this.adapter.sendToAsync(
+        channel.instance,
+        "send",
+        {
+          ...channel.options,
+          [MESSAGE_FIELDS[adapterName] || "text"]: message,
+        },
+        { timeout: this.timeout },
+      );
+      // sendToAsync resolves with an Error if the timeout is exceeded
+      if (response instanceof Error) {
+        throw response;
+      }
+      if (response?.error) {
+        throw new Error(String(response.error));
+      }
+    } catch (error) {
+      this.log.warn(
+        `[Notify] Delivery to ${channel.name} (${channel.instance}) failed: ${error.message}`,
+      );
+      return { ...result, status: "failed", error: error.message };
+    }
+
+    sentTimes.push(now);
+    this._sent.set(channel.name, sentTimes);
+    this.log.info(`[Notify] Sent message to ${channel.name}`);
+    return { ...result, status: "sent" };
+  }
+
+  /**
+   * Fill the placeholders {text}, {channel} and {time} of a template
+   *
+   * @param {string} template - Message template (empty for the plain text)
+   * @param {object} values - Placeholder values
+   * @returns {string} Message
+   */
+  static applyTemplate(template, values) {
+    if (!template) {
+      return values.text;
+    }
+    const message = template.replace(/\{(\w+)\}/g, (match, key) =>
+      key in values ? String(values[key]) : match,
+    );
+    // Templates without {text} get the text appended
+    return template.includes("{text}") ? message : `${message} ${values.text}`;
+  }
+}
+
+module.exports = NotificationSender;
@@ -0,0 +1,477 @@
+"use strict";
+
+const { QdrantClient } = require("@qdrant/qdrant-js");
+const UsageTracker = require("./usageTracker");
+
+// System prompt hints of the built-in tools, only added for the offered tools
+const TOOL_HINTS = [
+  {
+    names: ["getState"],
+    text: "Use getState() to read current values.",
+  },
+  {
+    names: ["setState", "setStates"],
+    text: "Use setState() to control devices, or setStates() to change several devices at once.",
+  },
+  {
+    names: ["saveScene", "listScenes", "applyScene"],
+    text: "Use saveScene(), listScenes() and applyScene() to save and restore named scenes.",
+  },
+  {
+    names: ["scheduleSetState", "listSchedules", "cancelSchedule"],
+    text: "Use scheduleSetState() for delayed or recurring changes and cancelSchedule() to cancel them.",
+  },
+  {
+    names: ["undoLast"],
+    text: "If you changed the wrong datapoint, call undoLast() and then set the correct one.",
+  },
+  {
+    names: ["getHistory"],
+    text: "Use getHistory() for questions about past values (e.g. last night).",
+  },
+  {
+    names: ["notify"],
+    text: "Use notify() to send the user a message, e.g. via Telegram.",
+  },
+];
+
+/**
+ * Chat backend for Ollama's native /api/chat endpoint
+ * Provides tool calling through the DatapointController and RAG context from Qdrant,
+ * so the adapter works without OpenWebUI and ToolServer
+ */
+class OllamaChatBackend {
+  /**
+   * Create a new Ollama chat backend
+   *
+   * @param {string} ollamaUrl - Ollama base URL
+   * @param {object} log - Logger instance
+   * @param {object} config - Adapter configuration
+   * @param {object} httpClient - HttpClient class providing connection pools
+   */
+  constructor(ollamaUrl, log, config, httpClient) {
+    this.ollamaUrl = ollamaUrl;
+    this.log = log;
+    this.config = config || {};
+    this.httpClient = httpClient;
+
+    this.maxToolIterations = this.config.toolServerMaxToolIterations || 5;
+    this.maxContextResults = this.config.maxContextResults || 5;
+    this.embeddingModel = this.config.embeddingModel || "nomic-embed-text";
+    this.collectionName =
+      this.config.vectorDbCollection || "iobroker_datapoints";
+    this.requestTimeout = this.config.llmRequestTimeout * 1000 || 1200000;
+    this.embeddingTimeout = this.config.embeddingTimeout * 1000 || 300000;
+
+    this.datapointController = null;
+    this._modelsWithoutTools = new Set(); // models that rejected the tools field
+    this.qdrantClient = null;
+    if (this.config.useVectorDb && this.config.vectorDbIp) {
+      this.qdrantClient = new QdrantClient({
+        url: `http://${this.config.vectorDbIp}:${this.config.vectorDbPort}`,
+      });
+    }
+  }
+
+  /**
+   * Set the datapoint controller used to execute tool calls
+   *
+   * @param {object} controller - DatapointController instance
+   */
+  setDatapointController(controller) {
+    this.datapointController = controller;
+  }
+
+  /**
+   * Run a chat request including RAG context and tool call rounds
+   *
+   * @param {string} model - Model name
+   * @param {Array<object>} messages - Conversation messages with role and content (last one is the question)
+   * @param {object} [options] - Request options (temperature, max_tokens, source for the audit log, client profile restricting the tools, tools false to answer without tools, signal to cancel the request)
+   * @returns {Promise<{content: string, usage: object, trace: Array}>} Final answer, summed token usage and executed tool calls
+   */
+  async chat(model, messages, options = {}) {
+    const client = options.client || null;
+    const tools =
+      this._modelsWithoutTools.has(model) || options.tools === false
+        ? []
+        : (await this.datapointController?.getFunctionDefinitions(client)) ||
+          [];
+    const question = messages[messages.length - 1]?.content || "";
+    const ragContext = await this._getRAGContext(question, client);
+
+    const chatMessages = [
+      {
+        role: "system",
+        content: this._buildSystemPrompt(ragContext, tools),
+      },
+      ...messages,
+    ];
+    const usage = UsageTracker.empty();
+    const trace = [];
+    const seenCalls = new Set();
+    const context = { source: options.source, model: model, prompt: question };
+    let offerTools = tools.length > 0;
+
+    for (let iteration = 1; ; iteration++) {
+      options.signal?.throwIfAborted();
+      const message = await this._postChat(
+        model,
+        chatMessages,
+        offerTools ? tools : [],
+        options,
+        usage,
+      );
+
+      if (!offerTools || !(message?.tool_calls?.length > 0)) {
+        if (!message?.content) {
+          throw new Error("Invalid Ollama response format");
+        }
+        return { content: message.content, usage: usage, trace: trace };
+      }
+
+      this.log.debug(
+        `[OllamaChat] Function calls detected (round ${iteration}): ${message.tool_calls.length}`,
+      );
+      const round = await this._runToolRound(
+        message.tool_calls,
+        iteration,
+        seenCalls,
+        trace,
+        context,
+        client,
+        options.signal,
+      );
+      chatMessages.push(
+        {
+          role: "assistant",
+          content: message.content || "",
+          tool_calls: message.tool_calls,
+        },
+        ...round.results,
+      );
+
+      // Only offer tools again while another round is allowed
+      if (round.repeatedOnly) {
+        this.log.warn(
+          `[OllamaChat] Model repeated identical tool calls in round ${iteration}, requesting final answer`,
+        );
+        offerTools = false;
+      } else if (iteration >= this.maxToolIterations) {
+        this.log.warn(
+          `[OllamaChat] Tool call limit of ${this.maxToolIterations} rounds reached, requesting final answer`,
+        );
+        offerTools = false;
+      }
+    }
+  }
+
+  /**
+   * Send one request to /api/chat
+   *
+   * @param {string} model - Model name
+   * @param {Array} messages - Chat messages
+   * @param {Array} tools - Function definitions offered to the model
+   * @param {object} options - Request options (temperature, max_tokens, signal)
+   * @param {object} usage - Usage accumulator
+   * @returns {Promise<object>} Assistant message
+   */
+  async _postChat(model, messages, tools, options, usage) {
+    const payload = {
+      model: model,
+      messages: messages,
+      stream: false,
+      options: {
+        temperature: options.temperature ?? this.config.temperature ?? 0.7,
+        num_predict: options.max_tokens ?? this.config.maxTokens ?? 2048,
+      },
+    };
+    if (tools.length > 0) {
+      payload.tools = tools;
+    }
+
+    const response = await this.httpClient
+      .getOllama()
+      .post(`${this.ollamaUrl}/api/chat`, payload, {
+        timeout: this.requestTimeout,
+        signal: options.signal,
+      });
+
+    // The Ollama pool does not throw on 4xx responses
+    if (response.status >= 400) {
+      const reason = String(response.data?.error || response.statusText);
+
+      // Models without tool support reject the request - answer without tools
+      if (tools.length > 0 && /does not support tools/i.test(reason)) {
+        this.log.warn(
+          `[OllamaChat] Model ${model} does not support tool calling - answering without datapoint control`,
+        );
+        this._modelsWithoutTools.add(model);
+        return await this._postChat(model, messages, [], options, usage);
+      }
+      throw new Error(`Ollama returned HTTP ${response.status}: ${reason}`);
+    }
+
+    // Ollama reports prompt_eval_count, eval_count and eval_duration on the response body
+    UsageTracker.add(usage, response.data);
+    return response.data?.message;
+  }
+
+  /**
+   * Execute one round of tool calls
+   * Calls identical to one of an earlier round are not executed again
+   *
+   * @param {Array} toolCalls - Tool calls from the model (arguments as object)
+   * @param {number} iteration - Round number (1-based)
+   * @param {Set<string>} seenCalls - Signatures of calls from earlier rounds
+   * @param {Array} trace - Collects the executed tool calls
+   * @param {object} context - Source, model and prompt for the audit log
+   * @param {object} [client] - Client profile restricting the tool calls
+   * @param {AbortSignal|null} [signal] - Cancels the remaining calls of the round
+   * @returns {Promise<{results: Array, repeatedOnly: boolean}>} Tool result messages and whether every call was a repeat
+   */
+  async _runToolRound(
+    toolCalls,
+    iteration,
+    seenCalls,
+    trace,
+    context,
+    client = null,
+    signal = null,
+  ) {
+    const results = [];
+    let executedCount = 0;
+
+    for (const toolCall of toolCalls) {
+      const name = toolCall.function?.name;
+      const args = OllamaChatBackend.parseArguments(toolCall);
+      const signature = `${name}(${JSON.stringify(args)})`;
+      let result;
+
+      if (seenCalls.has(signature)) {
+        this.log.debug(
+          `[OllamaChat] Skipping repeated call of ${name} in round ${iteration}`,
+        );
+        result = {
+          error:
+            "Identical call was already executed - use the previous result",
+        };
+        trace.push({ iteration, name, arguments: args, repeated: true });
+      } else {
+        // Never act on devices after the caller gave up on the answer
+        signal?.throwIfAborted();
+        seenCalls.add(signature);
+        executedCount++;
+        try {
+          result = await this.datapointController.executeFunctionCall(
+            name,
+            args,
+            client,
+            context,
+          );
+        } catch (error) {
+          this.log.warn(
+            `[OllamaChat] Function execution warning: ${error.message}`,
+          );
+          result = { error: error.message };
+        }
+        trace.push({ iteration, name, arguments: args, result });
+      }
+
+      results.push(this._createToolResult(toolCall, result));
+    }
+
+    return { results: results, repeatedOnly: executedCount === 0 };
+  }
+
+  /**
+   * Build the tool result message for the follow-up request
+   *
+   * @param {object} toolCall - Tool call from the model
+   * @param {object} result - Result of the function call
+   * @returns {object} Tool message
+   */
+  _createToolResult(toolCall, result) {
+    return {
+      role: "tool",
+      tool_name: toolCall.function?.name,
+      content: JSON.stringify(result),
+    };
+  }
+
+  /**
+   * List the models available on the server
+   *
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async listModels() {
+    const response = await this.httpClient
+      .getOllama()
+      .get(`${this.ollamaUrl}/api/tags`, { timeout: 10000 });
+    if (!Array.isArray(response.data?.models)) {
+      throw new Error("Unexpected response format from Ollama API");
+    }
+    return response.data.models.map((model) => model.name);
+  }
+
+  /**
+   * Parse tool call arguments (Ollama sends objects, some models send JSON strings)
+   *
+   * @param {object} toolCall - Tool call from the model
+   * @returns {object} Parsed arguments (empty object if invalid)
+   */
+  static parseArguments(toolCall) {
+    const args = toolCall?.function?.arguments;
+    if (typeof args !== "string") {
+      return args || {};
+    }
+    try {
+      return JSON.parse(args || "{}");
+    } catch (_e) {
+      return {};
+    }
+  }
+
+  /**
+   * Generate an embedding vector with Ollama's /api/embeddings
+   *
+   * @param {string} text - Text to embed
+   * @param {string} [model] - Embedding model (defaults to the configured one)
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async generateEmbedding(text, model = this.embeddingModel) {
+    const response = await this.httpClient
+      .getOllama()
+      .post(
+        `${this.ollamaUrl}/api/embeddings`,
+        { model: model, prompt: text },
+        { timeout: this.embeddingTimeout },
+      );
+    if (!response.data?.embedding) {
+      throw new Error(
+        response.data?.error || "No embedding data received from Ollama",
+      );
+    }
+    return response.data.embedding;
+  }
+
+  /**
+   * Search the vector database for datapoints related to a query
+   *
+   * Only datapoints the client may read are returned
+   *
+   * @param {string} query - Search text
+   * @param {number} [limit] - Maximum number of results
+   * @param {object} [client] - Client profile restricting the visible datapoints
+   * @returns {Promise<Array<object>>} Entries with datapoint, value, label (selection lists), timestamp, similarity, description and location
+   */
+  async searchContext(query, limit = this.maxContextResults, client = null) {
+    if (!this.qdrantClient) {
+      throw new Error("Vector database is not enabled");
+    }
+
+    const results = await this.qdrantClient.search(this.collectionName, {
+      vector: await this.generateEmbedding(query),
+      limit: limit,
+      with_payload: true,
+    });
+
+    return (results || [])
+      .map((result) => ({
+        datapoint:
+          result.payload?.datapoint_id || result.payload?.id || "unknown",
+        value: result.payload?.value,
+        label: result.payload?.valueLabel,
+        timestamp: result.payload?.timestamp,
+        similarity: result.score,
+        description: result.payload?.description,
+        location: result.payload?.location,
+      }))
+      .filter(
+        (entry) =>
+          !this.datapointController ||
+          this.datapointController.isDatapointReadAllowed(
+            entry.datapoint,
+            client,
+          ),
+      );
+  }
+
+  /**
+   * Look up datapoints related to the question in the vector database
+   *
+   * @param {string} query - User question
+   * @param {object} [client] - Client profile restricting the visible datapoints
+   * @returns {Promise<Array<object>>} Context entries (empty if unavailable)
+   */
+  async _getRAGContext(query, client = null) {
+    if (!this.qdrantClient || !query) {
+      return [];
+    }
+
+    try {
+      return await this.searchContext(query, this.maxContextResults, client);
+    } catch (error) {
+      this.log.warn(
+        `[OllamaChat] RAG context unavailable, answering without it: ${error.message}`,
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Build the system prompt with RAG context
+   *
+   * The tool hints only describe the functions offered in this request
+   *
+   * @param {Array} ragContext - Context entries from _getRAGContext
+   * @param {Array<object>} tools - Function definitions offered to the model
+   * @returns {string} System prompt
+   */
+  _buildSystemPrompt(ragContext, tools) {
+    let prompt;
+    if (tools.length > 0) {
+      const names = new Set(tools.map((tool) => tool.function?.name));
+      const hints = TOOL_HINTS.filter((hint) =>
+        hint.names.some((name) => names.has(name)),
+      ).map((hint) => hint.text);
+      const builtinNames = TOOL_HINTS.flatMap((hint) => hint.names);
+      const otherNames = [...names].filter(
+        (name) => name && !builtinNames.includes(name),
+      );
+      if (otherNames.length > 0) {
+        hints.push(
+          `Further functions: ${otherNames.join(", ")} (see their descriptions).`,
+        );
+      }
+      prompt = `You are an ioBroker smart home assistant with access to functions. ${hints.join(" ")} For calculations, use the data and perform the math yourself.`;
+    } else {
+      prompt =
+        "You are an ioBroker smart home assistant. Answer questions based on the available data.";
+    }
+    prompt += " Respond in the user's language.";
+
+    if (ragContext.length > 0) {
+      // Newest data first
+      const lines = [...ragContext]
+        .sort(
+          (a, b) =>
+            new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime(),
+        )
+        .map((entry, index) => {
+          const name = entry.description || entry.datapoint;
+          const location = entry.location ? ` (${entry.location})` : "";
+          const time = entry.timestamp
+            ? new Date(entry.timestamp).toLocaleString()
+            : "unknown time";
+          // Selection lists show their label instead of the stored key
+          return `${name}: ${entry.label ?? entry.value}${location} - ${time}${index === 0 ? " [MOST RECENT]" : ""}`;
+        });
+      prompt += `\n\nCurrent smart home status (sorted by recency):\n${lines.join("\n")}`;
+    }
+
+    return prompt;
+  }
+}
+
+module.exports = OllamaChatBackend;
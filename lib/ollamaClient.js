@@ -2,10 +2,13 @@
 
 const HttpClient = require("./httpClient");
 const ModelManager = require("./modelManager");
+const OllamaChatBackend = require("./ollamaChatBackend");
+const OpenAIChatBackend = require("./openAIChatBackend");
+const UsageTracker = require("./usageTracker");
 
 /**
  * OllamaClient handles interactions with OpenWebUI (primary) and Ollama (fallback) APIs
- * New Architecture: OpenWebUI first, Ollama as fallback when OpenWebUI unavailable
+ * New Architecture: OpenWebUI first, native Ollama chat (tools + RAG) when OpenWebUI unavailable
  * Provides chat completion, model management, and ToolServer integration
  * Now includes intelligent model queue management to prevent conflicts
  */
@@ -14,7 +17,7 @@ class OllamaClient {
    * @param {string} openWebUIUrl - OpenWebUI server URL for chat API (primary)
    * @param {object} logger - Logger instance for debug and error messages
    * @param {object} [config] - Adapter configuration
-   * @param {Function} [translateFn] - ioBroker translation function
+   * @param {function(string): string} [translateFn] - ioBroker translation function
    */
   constructor(openWebUIUrl, logger, config, translateFn) {
     this._openWebUIUrl = openWebUIUrl;
@@ -26,6 +29,7 @@ class OllamaClient {
       );
     this._toolServerUrl =
       config?.toolServerUrl || OllamaClient.createHttpUrl("127.0.0.1", 9100);
+    this._toolServerToken = "";
 
     // Use centralized HTTP client for connection pooling and optimization
     this._httpClient = HttpClient;
@@ -56,6 +60,24 @@ class OllamaClient {
     this._datapointController = null;
     this._datapointControlEnabled = false;
 
+    // Token usage statistics (set by adapter)
+    this._usageTracker = null;
+
+    // Conversation history for state-based chat (set by adapter)
+    this._conversationManager = null;
+
+    // Chat with tool calling and RAG handled by the adapter itself:
+    // an OpenAI-compatible server if configured, otherwise native Ollama (used without OpenWebUI)
+    this._openAICompatible = this.config.backendType === "openai";
+    this._chatBackend = this._openAICompatible
+      ? new OpenAIChatBackend(logger, this.config, this._httpClient)
+      : new OllamaChatBackend(
+          this._ollamaUrl,
+          logger,
+          this.config,
+          this._httpClient,
+        );
+
     // Initialize ModelManager for intelligent request queuing
     this.modelManager = new ModelManager(
       this._ollamaUrl,
@@ -63,6 +85,10 @@ class OllamaClient {
       this._httpClient,
     );
     this.modelManager.setRequestHandler(this._executeModelRequest.bind(this));
+    this.modelManager.setQueueListener(this._updateQueueStates.bind(this));
+
+    // Latest state-based request per model (modelName -> correlation ID)
+    this._latestStateRequests = new Map();
 
     const logMessage = this.translate("general_initialized").replace(
       "{{component}}",
@@ -115,10 +141,10 @@ class OllamaClient {
   /**
    * Retry mechanism with exponential backoff
    *
-   * @param {Function} operation - Async operation to retry
+   * @param {function(): Promise<object>} operation - Async operation to retry
    * @param {string} operationName - Name for logging
    * @param {number} maxRetries - Maximum retry attempts
-   * @returns {Promise<any>} Operation result
+   * @returns {Promise<object>} Operation result
    */
   async _retryOperation(
     operation,
@@ -166,7 +192,7 @@ class OllamaClient {
   /**
    * Check if error should not be retried
    *
-   * @param {any} error - Error to check
+   * @param {Error & {response?: {status?: number}}} error - Error to check
    * @returns {boolean} True if error should not be retried
    */
   _isNonRetryableError(error) {
@@ -241,6 +267,26 @@ class OllamaClient {
     this.log.debug(`[OllamaClient] ToolServer URL updated: ${toolServerUrl}`);
   }
 
+  /**
+   * Set the API key for requests to the ToolServer
+   *
+   * @param {string} token - Bearer token issued by the ToolServer
+   */
+  setToolServerToken(token) {
+    this._toolServerToken = token || "";
+  }
+
+  /**
+   * Build request headers for the ToolServer
+   *
+   * @returns {object} Headers including Authorization if a token is set
+   */
+  _getToolServerHeaders() {
+    return this._toolServerToken
+      ? { Authorization: `Bearer ${this._toolServerToken}` }
+      : {};
+  }
+
   /**
    * Check OpenWebUI and ToolServer availability
    */
@@ -268,6 +314,7 @@ class OllamaClient {
     // Check ToolServer
     try {
       await this._defaultClient.get(`${this._toolServerUrl}/health`, {
+        headers: this._getToolServerHeaders(),
         timeout: 5000,
       });
       this._toolServerAvailable = true;
@@ -305,13 +352,56 @@ class OllamaClient {
    */
   setDatapointController(controller) {
     this._datapointController = controller;
+    this._chatBackend.setDatapointController(controller);
     this.log.debug("[OllamaClient] DatapointController configured");
   }
 
+  /**
+   * Set the usage tracker instance for per-model token statistics
+   *
+   * @param {object} usageTracker - UsageTracker instance
+   */
+  setUsageTracker(usageTracker) {
+    this._usageTracker = usageTracker;
+    this.log.debug("[OllamaClient] UsageTracker configured");
+  }
+
+  /**
+   * Set conversation manager for multi-turn state-based chat
+   *
+   * @param {object} conversationManager - ConversationManager instance
+   */
+  setConversationManager(conversationManager) {
+    this._conversationManager = conversationManager;
+    this.log.debug("[OllamaClient] ConversationManager configured");
+  }
+
+  /**
+   * Build the message list for a request (previous conversation + new message)
+   *
+   * @param {object} messageObj - Message object with content and role
+   * @param {object} options - Request options (history holds previous messages)
+   * @returns {Array<{role: string, content: string}>} Messages for the chat API
+   */
+  _buildMessages(messageObj, options = {}) {
+    return [
+      ...(Array.isArray(options.history) ? options.history : []),
+      {
+        role: messageObj.role || "user",
+        content: messageObj.content,
+      },
+    ];
+  }
+
   /**
    * Fetch available models directly from Ollama API
+   * (or from the model list path of an OpenAI-compatible server)
    */
   async fetchModels() {
+    if (this._openAICompatible) {
+      return await this._fetchOpenAICompatibleModels();
+    }
+
     try {
       this.log.debug(
         `[API] Fetching models from Ollama: ${this._ollamaUrl}/api/tags`,
@@ -347,18 +437,134 @@ class OllamaClient {
     }
   }
 
+  /**
+   * Fetch available models from the OpenAI-compatible server
+   *
+   * @returns {Promise<Array<string>>} Model names (empty on error)
+   */
+  async _fetchOpenAICompatibleModels() {
+    try {
+      const models = await this._chatBackend.listModels();
+      this.log.info(
+        `[OpenAI] Successfully fetched ${models.length} models: ${models.join(", ")}`,
+      );
+      return models;
+    } catch (error) {
+      if (error.code === "ECONNREFUSED") {
+        this.log.error(
+          `[OpenAI] Connection refused - Is the server running on ${this.config.openAIBaseUrl}?`,
+        );
+      } else {
+        this.log.error(`[OpenAI] Error fetching models: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Generate an embedding vector via Ollama (or the OpenAI-compatible server)
+   *
+   * @param {string} text - Text to embed
+   * @param {string} [model] - Embedding model (defaults to the configured one)
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async generateEmbedding(text, model) {
+    return await this._chatBackend.generateEmbedding(
+      this._validateInput(text, "embedding text"),
+      model || undefined,
+    );
+  }
+
+  /**
+   * Search the vector database for datapoints related to a query
+   *
+   * @param {string} query - Search text
+   * @param {number} [limit] - Maximum number of results
+   * @returns {Promise<Array<object>>} Matching datapoints with value and similarity
+   */
+  async searchContext(query, limit) {
+    return await this._chatBackend.searchContext(
+      this._validateInput(query, "query"),
+      limit || undefined,
+    );
+  }
+
   /**
    * Execute a model request through the appropriate backend
    * This is called by the ModelManager when a request is ready to execute
+   * Requests with conversation info continue and extend the session history
    *
    * @param {string} modelName - Name of the model
    * @param {object} requestData - Request data
-   * @returns {Promise<string>} Model response
+   * @returns {Promise<{content: string, usage: object|null}>} Model response with token usage
    */
   async _executeModelRequest(modelName, requestData) {
+    const conversation = requestData.conversation;
+    if (!conversation || !this._conversationManager) {
+      return await this._executeBackendRequest(modelName, requestData);
+    }
+
+    // Load the history when the request runs, so queued questions see earlier answers
+    const history = await this._conversationManager.getHistory(
+      conversation.modelId,
+      conversation.sessionId,
+      modelName,
+      conversation.requestOptions,
+      requestData.messageObj,
+    );
+    const result = await this._executeBackendRequest(modelName, {
+      ...requestData,
+      options: { ...requestData.options, history: history },
+    });
+
+    if (result?.content) {
+      await this._conversationManager.appendMessages(
+        conversation.modelId,
+        conversation.sessionId,
+        modelName,
+        conversation.requestOptions,
+        [
+          {
+            role: requestData.messageObj.role || "user",
+            content: requestData.messageObj.content,
+          },
+          { role: "assistant", content: result.content },
+        ],
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Send a model request to the first available backend
+   * (OpenWebUI + ToolServer, OpenWebUI, Ollama)
+   * An OpenAI-compatible server is always used directly, requests with a
+   * client profile (AI rules) or an abort signal (intent mode) always use the
+   * adapter's own tool loop, the only one that stops calling tools on abort
+   *
+   * @param {string} modelName - Name of the model
+   * @param {object} requestData - Request data
+   * @returns {Promise<{content: string, usage: object|null}>} Model response with token usage
+   */
+  async _executeBackendRequest(modelName, requestData) {
+    if (
+      this._openAICompatible ||
+      requestData.options?.client ||
+      requestData.options?.signal
+    ) {
+      const result = await this._processChatViaBackend(
+        modelName,
+        requestData.messageObj,
+        requestData.options,
+      );
+      await this._usageTracker?.record(modelName, result.usage);
+      return result;
+    }
+
     await this._checkServicesAvailability();
 
     // 1. Primary: OpenWebUI + ToolServer (if both available)
+    // Usage of this path is recorded by the ToolServer itself
     if (this._openWebUIAvailable && this._toolServerAvailable) {
       try {
         return await this._processChatViaToolServer(
@@ -377,11 +583,13 @@ class OllamaClient {
     // 2. Secondary: OpenWebUI directly (no ToolServer)
     if (this._openWebUIAvailable) {
       try {
-        return await this._processChatViaOpenWebUI(
+        const result = await this._processChatViaOpenWebUI(
           modelName,
           requestData.messageObj,
           requestData.options,
         );
+        await this._usageTracker?.record(modelName, result.usage);
+        return result;
       } catch (error) {
         this.log.warn(
           `[OllamaClient] OpenWebUI direct failed: ${error.message}`,
@@ -390,15 +598,17 @@ class OllamaClient {
       }
     }
 
-    // 3. Fallback: Ollama directly
-    this.log.warn(
-      `[OllamaClient] Using Ollama fallback (OpenWebUI unavailable)`,
+    // 3. Ollama native chat with tool calling and RAG
+    this.log.debug(
+      `[OllamaClient] Using native Ollama backend (OpenWebUI unavailable)`,
     );
-    return await this._processChatViaOllama(
+    const result = await this._processChatViaBackend(
       modelName,
       requestData.messageObj,
       requestData.options,
     );
+    await this._usageTracker?.record(modelName, result.usage);
+    return result;
   }
 
   /**
@@ -419,6 +629,7 @@ class OllamaClient {
    * @param {string} modelName - Name of the LLM model to use
    * @param {object} messageObj - Message object with content and role
    * @param {object} options - Optional parameters for the request
+   * @returns {Promise<{content: string, usage: object|null}>} Model response with token usage
    */
   async processChatMessage(modelName, messageObj, options = {}) {
     // Input validation and sanitization
@@ -452,9 +663,12 @@ class OllamaClient {
     }
 
     // Use ModelManager to queue the request
+    const { correlationId, conversation, ...requestOptions } = options;
     const requestData = {
       messageObj,
-      options,
+      options: requestOptions,
+      correlationId,
+      conversation,
     };
 
     return await this.modelManager.queueRequest(modelName, requestData);
@@ -469,18 +683,13 @@ class OllamaClient {
    */
   async _processChatViaToolServer(modelName, messageObj, options = {}) {
     return await this._retryOperation(async () => {
-      const messages = [
-        {
-          role: messageObj.role || "user",
-          content: messageObj.content,
-        },
-      ];
+      const messages = this._buildMessages(messageObj, options);
 
       const payload = {
         model: modelName,
         messages: messages,
-        temperature: this.config?.temperature ?? 0.7,
-        max_tokens: this.config?.maxTokens ?? 2048,
+        temperature: options.temperature ?? this.config?.temperature ?? 0.7,
+        max_tokens: options.max_tokens ?? this.config?.maxTokens ?? 2048,
         use_rag: true, // Always use RAG for enhanced context
       };
 
@@ -508,7 +717,11 @@ class OllamaClient {
         `${this._toolServerUrl}/chat/completions`,
         payload,
         {
-          headers: { "Content-Type": "application/json" },
+          headers: {
+            "Content-Type": "application/json",
+            ...this._getToolServerHeaders(),
+            "X-Audit-Source": options.source || "state chat",
+          },
           timeout: 50000,
         },
       );
@@ -524,7 +737,10 @@ class OllamaClient {
           `[API] Response content: ${content.substring(0, 200)}${content.length > 200 ? "..." : ""}`,
         );
 
-        return content;
+        return {
+          content,
+          usage: UsageTracker.normalize(response.data.usage),
+        };
       }
       throw new Error("Invalid Tool Server response format");
     }, "ToolServer Chat");
@@ -539,18 +755,13 @@ class OllamaClient {
    */
   async _processChatViaOpenWebUI(modelName, messageObj, options = {}) {
     try {
-      const messages = [
-        {
-          role: messageObj.role || "user",
-          content: messageObj.content,
-        },
-      ];
+      const messages = this._buildMessages(messageObj, options);
 
       const payload = {
         model: modelName,
         messages: messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.max_tokens || 500,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.max_tokens ?? 500,
         stream: false,
       };
 
@@ -572,7 +783,10 @@ class OllamaClient {
           `[OllamaClient] OpenWebUI response: ${content.substring(0, 200)}${content.length > 200 ? "..." : ""}`,
         );
 
-        return content;
+        return {
+          content,
+          usage: UsageTracker.normalize(response.data.usage),
+        };
       }
 
       throw new Error("Invalid OpenWebUI response format");
@@ -585,48 +799,39 @@ class OllamaClient {
   }
 
   /**
-   * Process chat via Ollama directly (fallback)
+   * Process chat via Ollama's native /api/chat endpoint or the OpenAI-compatible server
+   * Supports tool calling and RAG context without OpenWebUI
    *
    * @param {string} modelName - Name of the LLM model to use
    * @param {object} messageObj - Message object with content and role
    * @param {object} options - Optional parameters for the request
+   * @returns {Promise<{content: string, usage: object|null}>} Model response with token usage
    */
-  async _processChatViaOllama(modelName, messageObj, options = {}) {
+  async _processChatViaBackend(modelName, messageObj, options = {}) {
     try {
-      const payload = {
-        model: modelName,
-        prompt: messageObj.content,
-        stream: false,
-        options: {
-          temperature: options.temperature || 0.7,
-          num_predict: options.max_tokens || 500,
-        },
-      };
-
-      this.log.debug(
-        `[OllamaClient] Sending to Ollama fallback: ${JSON.stringify(payload)}`,
-      );
-
-      const response = await this._ollamaClient.post(
-        `${this._ollamaUrl}/api/generate`,
-        payload,
+      const result = await this._chatBackend.chat(
+        modelName,
+        this._buildMessages(messageObj, options),
         {
-          timeout: this._requestTimeout,
+          temperature: options.temperature,
+          max_tokens: options.max_tokens,
+          source: options.source || "state chat",
+          client: options.client,
+          tools: options.tools,
+          signal: options.signal,
         },
       );
 
-      if (response.data?.response) {
-        const content = response.data.response;
-        this.log.debug(
-          `[OllamaClient] Ollama fallback response: ${content.substring(0, 200)}${content.length > 200 ? "..." : ""}`,
-        );
-
-        return content;
-      }
+      this.log.debug(
+        `[OllamaClient] Backend response after ${result.trace.length} tool call(s): ${result.content.substring(0, 200)}${result.content.length > 200 ? "..." : ""}`,
+      );
 
-      throw new Error("Invalid Ollama response format");
+      return {
+        content: result.content,
+        usage: result.usage,
+      };
     } catch (error) {
-      this.log.error(`[OllamaClient] Ollama fallback failed: ${error.message}`);
+      this.log.error(`[OllamaClient] Backend chat failed: ${error.message}`);
       throw error;
     }
   }
@@ -646,12 +851,7 @@ class OllamaClient {
     );
 
     try {
-      const messages = [
-        {
-          role: messageObj.role || "user",
-          content: messageObj.content,
-        },
-      ];
+      const messages = this._buildMessages(messageObj, options);
 
       const payload = {
         model: modelName,
@@ -714,6 +914,7 @@ class OllamaClient {
       const response = await this._defaultClient.get(
         `${this._toolServerUrl}/health`,
         {
+          headers: this._getToolServerHeaders(),
           timeout: 3000,
         },
       );
@@ -842,6 +1043,8 @@ class OllamaClient {
 
   /**
    * Process chat message from ioBroker state change with full state management
+   * Requests are queued per model, so messages written while the model is busy
+   * are answered one after another
    *
    * @param {string} id - State ID that triggered the chat
    * @param {object} state - State object with value and timestamp
@@ -853,75 +1056,148 @@ class OllamaClient {
       return;
     }
 
-    try {
-      // Extract model information
-      const modelMatch = id.match(/models\.([^.]+)\.messages\.content$/);
-      if (!modelMatch) {
-        adapter.log.error(`Invalid state ID format: ${id}`);
-        return;
-      }
+    // Extract model information
+    const modelMatch = id.match(/models\.([^.]+)\.messages\.content$/);
+    if (!modelMatch) {
+      adapter.log.error(`Invalid state ID format: ${id}`);
+      return;
+    }
 
-      const modelId = modelMatch[1];
+    const modelId = modelMatch[1];
+    let modelName = modelId.replace(/_/g, ":");
+    let correlationId = null;
 
-      // Check if model is already processing
-      const processingState = await adapter.getStateAsync(
-        `models.${modelId}.processing`,
+    try {
+      // Capture everything belonging to this question before it is queued
+      const [
+        originalNameState,
+        roleState,
+        optionsState,
+        correlationState,
+        sessionId,
+      ] = await Promise.all([
+        adapter.getStateAsync(`models.${modelId}.originalName`),
+        adapter.getStateAsync(`models.${modelId}.messages.role`),
+        adapter.getStateAsync(`models.${modelId}.options`),
+        adapter.getStateAsync(`models.${modelId}.messages.correlationId`),
+        this._conversationManager?.getSessionId(modelId),
+      ]);
+      modelName = originalNameState?.val || modelName;
+
+      // Use the caller's correlation ID if it was written for this question
+      correlationId =
+        correlationState && !correlationState.ack && correlationState.val
+          ? String(correlationState.val)
+          : OllamaClient.createCorrelationId();
+      await adapter.setState(
+        `models.${modelId}.messages.correlationId`,
+        correlationId,
+        true,
       );
-      if (processingState?.val === true) {
-        adapter.log.warn(
-          `[API] Model ${modelId} is already processing a request. Ignoring new request.`,
-        );
-        return;
+
+      const messageObj = {
+        role: roleState?.val || "user",
+        content: state?.val || "",
+      };
+
+      let requestOptions = {};
+      try {
+        requestOptions = JSON.parse(optionsState?.val || "{}") || {};
+      } catch (_e) {
+        requestOptions = {};
       }
 
-      // Set processing state
+      this._latestStateRequests.set(modelName, correlationId);
       await adapter.setState(`models.${modelId}.processing`, true, true);
 
-      try {
-        // Get the original model name from the stored state
-        const originalNameState = await adapter.getStateAsync(
-          `models.${modelId}.originalName`,
-        );
-        const modelName = originalNameState?.val || modelId.replace(/_/g, ":");
-
-        // Get essential states
-        const [roleState, contentState, optionsState] = await Promise.all([
-          adapter.getStateAsync(`models.${modelId}.messages.role`),
-          adapter.getStateAsync(`models.${modelId}.messages.content`),
-          adapter.getStateAsync(`models.${modelId}.options`),
-        ]);
-
-        // Build message object
-        const messageObj = {
-          role: roleState?.val || "user",
-          content: contentState?.val || "",
-        };
+      adapter.log.debug(
+        `[API] Queuing request ${correlationId} for model ${modelName}`,
+      );
 
-        // Process message
-        const result = await this.processChatMessage(modelName, messageObj, {
-          options: optionsState?.val,
-          stream: false,
-        });
+      const result = await this.processChatMessage(modelName, messageObj, {
+        options: optionsState?.val,
+        stream: false,
+        correlationId: correlationId,
+        conversation: this._conversationManager
+          ? { modelId, sessionId, requestOptions }
+          : undefined,
+      });
 
-        if (result) {
-          // Set response state (result is a string directly from processChatMessage)
-          await adapter.setState(`models.${modelId}.response`, result, true);
+      if (result?.content) {
+        const content = result.content;
+        // Write the ID first so readers of response always find the matching ID
+        await adapter.setState(
+          `models.${modelId}.responseId`,
+          correlationId,
+          true,
+        );
+        await adapter.setState(`models.${modelId}.response`, content, true);
 
-          adapter.log.info(
-            `[API] Response set for model ${modelName}: ${result.substring(0, 100)}${result.length > 100 ? "..." : ""}`,
-          );
-        } else {
-          adapter.log.error(`[API] No result received from model ${modelName}`);
-        }
-      } finally {
-        // Always clear processing state
-        await adapter.setState(`models.${modelId}.processing`, false, true);
+        adapter.log.info(
+          `[API] Response ${correlationId} set for model ${modelName}: ${content.substring(0, 100)}${content.length > 100 ? "..." : ""}`,
+        );
+      } else {
+        adapter.log.error(
+          `[API] No result received from model ${modelName} for request ${correlationId}`,
+        );
       }
     } catch (error) {
-      adapter.log.error(`Error processing chat message: ${error.message}`);
+      adapter.log.error(
+        `Error processing chat message${correlationId ? ` ${correlationId}` : ""}: ${error.message}`,
+      );
+    } finally {
+      // Only clear processing when no further request is waiting for this model
+      if (
+        this.modelManager.isModelAvailable(modelName) &&
+        this.modelManager.getQueueLength(modelName) === 0
+      ) {
+        await adapter.setState(`models.${modelId}.processing`, false, true);
+      }
     }
   }
 
+  /**
+   * Create a unique correlation ID for a request
+   *
+   * @returns {string} Correlation ID
+   */
+  static createCorrelationId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Update the queue states of a model (called by ModelManager on queue changes)
+   *
+   * @param {string} modelName - Name of the model
+   */
+  async _updateQueueStates(modelName) {
+    if (!this._setStateCallback) {
+      return;
+    }
+
+    const modelId = modelName.replace(/[^a-zA-Z0-9_]/g, "_");
+    const latestId = this._latestStateRequests.get(modelName);
+    const position = latestId
+      ? this.modelManager.getQueuePosition(modelName, latestId)
+      : -1;
+
+    await this._setStateCallback(
+      `models.${modelId}.queue.length`,
+      this.modelManager.getQueueLength(modelName),
+      true,
+    );
+    await this._setStateCallback(
+      `models.${modelId}.queue.position`,
+      position,
+      true,
+    );
+    await this._setStateCallback(
+      `models.${modelId}.queue.activeRequest`,
+      this.modelManager.getActiveCorrelationId(modelName) || "",
+      true,
+    );
+  }
+
   /**
    * Create ioBroker states for all available models
    *
@@ -1062,6 +1338,84 @@ class OllamaClient {
         native: {},
       });
 
+      // Request correlation
+      await adapter.setObjectNotExistsAsync(
+        `models.${modelId}.messages.correlationId`,
+        {
+          type: "state",
+          common: {
+            name: adapter.translate("Correlation ID"),
+            type: "string",
+            role: "text",
+            read: true,
+            write: true,
+            def: "",
+          },
+          native: {},
+        },
+      );
+      await adapter.setObjectNotExistsAsync(`models.${modelId}.responseId`, {
+        type: "state",
+        common: {
+          name: adapter.translate("Response Correlation ID"),
+          type: "string",
+          role: "text",
+          read: true,
+          write: false,
+          def: "",
+        },
+        native: {},
+      });
+
+      // Request queue
+      await adapter.setObjectNotExistsAsync(`models.${modelId}.queue`, {
+        type: "channel",
+        common: { name: adapter.translate("Request Queue") },
+        native: {},
+      });
+      await adapter.setObjectNotExistsAsync(`models.${modelId}.queue.length`, {
+        type: "state",
+        common: {
+          name: adapter.translate("Queued requests"),
+          type: "number",
+          role: "value",
+          read: true,
+          write: false,
+          def: 0,
+        },
+        native: {},
+      });
+      await adapter.setObjectNotExistsAsync(
+        `models.${modelId}.queue.position`,
+        {
+          type: "state",
+          common: {
+            name: adapter.translate("Queue position of latest request"),
+            type: "number",
+            role: "value",
+            read: true,
+            write: false,
+            def: -1,
+          },
+          native: {},
+        },
+      );
+      await adapter.setObjectNotExistsAsync(
+        `models.${modelId}.queue.activeRequest`,
+        {
+          type: "state",
+          common: {
+            name: adapter.translate("Active request"),
+            type: "string",
+            role: "text",
+            read: true,
+            write: false,
+            def: "",
+          },
+          native: {},
+        },
+      );
+
       // Store original model name for later retrieval
       await adapter.setObjectNotExistsAsync(`models.${modelId}.originalName`, {
         type: "state",
@@ -1077,6 +1431,16 @@ class OllamaClient {
       });
       await adapter.setState(`models.${modelId}.originalName`, model, true);
 
+      // Token usage statistics
+      if (this._usageTracker) {
+        await this._usageTracker.createModelStates(modelId);
+      }
+
+      // Conversation history and session states
+      if (this._conversationManager) {
+        await this._conversationManager.createModelStates(modelId);
+      }
+
       // Add model entry for monitoring
       adapter._models.push({ name: model, id: modelId });
     }
@@ -0,0 +1,147 @@
+"use strict";
+
+const OllamaChatBackend = require("./ollamaChatBackend");
+const UsageTracker = require("./usageTracker");
+
+/**
+ * Chat backend for OpenAI-compatible servers (llama.cpp server, LM Studio, vLLM)
+ * Same tool calling and RAG flow as the native Ollama backend, but speaks
+ * /chat/completions, /embeddings and a configurable model list path
+ */
+class OpenAIChatBackend extends OllamaChatBackend {
+  /**
+   * Create a new OpenAI-compatible chat backend
+   *
+   * @param {object} log - Logger instance
+   * @param {object} config - Adapter configuration (openAIBaseUrl, openAIApiKey, openAIModelsPath)
+   * @param {object} httpClient - HttpClient class providing connection pools
+   */
+  constructor(log, config, httpClient) {
+    super("", log, config, httpClient);
+    this.baseUrl = String(this.config.openAIBaseUrl || "").replace(/\/+$/, "");
+    this.apiKey = this.config.openAIApiKey || "";
+    this.modelsPath = this.config.openAIModelsPath || "/models";
+  }
+
+  /**
+   * Request headers including the API key (if configured)
+   *
+   * @returns {object} Headers
+   */
+  getHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Send one request to /chat/completions
+   *
+   * @param {string} model - Model name
+   * @param {Array} messages - Chat messages
+   * @param {Array} tools - Function definitions offered to the model
+   * @param {object} options - Request options (temperature, max_tokens, signal)
+   * @param {object} usage - Usage accumulator
+   * @returns {Promise<object>} Assistant message
+   */
+  async _postChat(model, messages, tools, options, usage) {
+    const payload = {
+      model: model,
+      messages: messages,
+      stream: false,
+      temperature: options.temperature ?? this.config.temperature ?? 0.7,
+      max_tokens: options.max_tokens ?? this.config.maxTokens ?? 2048,
+    };
+    if (tools.length > 0) {
+      payload.tools = tools;
+      payload.tool_choice = "auto";
+    }
+
+    const response = await this.httpClient
+      .getOpenAICompatible()
+      .post(`${this.baseUrl}/chat/completions`, payload, {
+        headers: this.getHeaders(),
+        timeout: this.requestTimeout,
+        signal: options.signal,
+      });
+
+    if (response.status >= 400) {
+      const error = response.data?.error;
+      throw new Error(
+        `OpenAI-compatible server returned HTTP ${response.status}: ${error?.message || error || response.statusText}`,
+      );
+    }
+
+    UsageTracker.add(usage, response.data?.usage);
+    return response.data?.choices?.[0]?.message;
+  }
+
+  /**
+   * Build the tool result message (OpenAI format references the call ID)
+   *
+   * @param {object} toolCall - Tool call from the model
+   * @param {object} result - Result of the function call
+   * @returns {object} Tool message
+   */
+  _createToolResult(toolCall, result) {
+    return {
+      role: "tool",
+      tool_call_id: toolCall.id,
+      name: toolCall.function?.name,
+      content: JSON.stringify(result),
+    };
+  }
+
+  /**
+   * Generate an embedding vector with /embeddings
+   *
+   * @param {string} text - Text to embed
+   * @param {string} [model] - Embedding model (defaults to the configured one)
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async generateEmbedding(text, model = this.embeddingModel) {
+    const response = await this.httpClient
+      .getOpenAICompatible()
+      .post(
+        `${this.baseUrl}/embeddings`,
+        { model: model, input: text },
+        { headers: this.getHeaders(), timeout: this.embeddingTimeout },
+      );
+
+    const embedding = response.data?.data?.[0]?.embedding;
+    if (!embedding) {
+      const error = response.data?.error;
+      throw new Error(
+        error?.message ||
+          error ||
+          "No embedding data received from OpenAI-compatible server",
+      );
+    }
+    return embedding;
+  }
+
+  /**
+   * List the models available on the server
+   * Accepts the OpenAI format ({ data: [{ id }] }) and Ollama's ({ models: [{ name }] })
+   *
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async listModels() {
+    const response = await this.httpClient
+      .getOpenAICompatible()
+      .get(`${this.baseUrl}${this.modelsPath}`, {
+        headers: this.getHeaders(),
+        timeout: 10000,
+      });
+
+    if (Array.isArray(response.data?.data)) {
+      return response.data.data.map((model) => model.id);
+    }
+    if (Array.isArray(response.data?.models)) {
+      return response.data.models.map((model) => model.name || model.model);
+    }
+    throw new Error(
+      `Unexpected model list format from ${this.baseUrl}${this.modelsPath} (HTTP ${response.status})`,
+    );
+  }
+}
+
+module.exports = OpenAIChatBackend;
@@ -0,0 +1,327 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * Human confirmation for AI-initiated writes
+ * Writes to datapoints with requireConfirmation are held in pending.<actionId>
+ * until a user presses confirm (executed) or reject, or until they expire
+ */
+class PendingActionManager {
+  /**
+   * Create a new pending action manager
+   *
+   * @param {object} adapter - ioBroker adapter instance for state management
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this.timeoutMs = (adapter.config?.confirmationTimeout || 300) * 1000;
+    this._actions = new Map(); // actionId -> { datapoint, value, description, context, client, undoEntry, expiresAt, timer }
+  }
+
+  /**
+   * Create a new action ID (valid as ioBroker object ID part)
+   *
+   * @returns {string} Action ID
+   */
+  static createActionId() {
+    return `${Date.now().toString(36)}${crypto.randomBytes(3).toString("hex")}`;
+  }
+
+  /**
+   * Create the pending folder and remove actions left over from the last run
+   * (their timers are gone, so they can neither be confirmed nor expire)
+   */
+  async initialize() {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync("pending", {
+      type: "folder",
+      common: { name: adapter.translate("Pending actions") },
+      native: {},
+    });
+
+    const channels = await adapter.getChannelsOfAsync("pending");
+    for (const channel of channels || []) {
+      const actionId = channel._id.split(".").pop();
+      await this._removeObjects(actionId);
+      this.log.info(
+        `[PendingAction] Discarded action ${actionId} from previous run`,
+      );
+    }
+  }
+
+  /**
+   * Hold a write until it is confirmed
+   * An older pending action for the same datapoint is replaced
+   *
+   * @param {string} datapoint - Datapoint ID
+   * @param {boolean|number|string} value - Value to write on confirmation
+   * @param {string} description - Human readable description of the action
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the write (for the audit log)
+   * @param {object} [client] - Client profile whose write permission is checked again on confirmation
+   * @param {object} [undoEntry] - Undo stack entry the write restores (not recorded for undo again)
+   * @returns {Promise<{actionId: string, expiresAt: string}>} Created action
+   */
+  async createAction(
+    datapoint,
+    value,
+    description,
+    context = {},
+    client = null,
+    undoEntry = null,
+  ) {
+    for (const [actionId, action] of this._actions) {
+      if (action.datapoint === datapoint) {
+        await this.reject(actionId, "replaced by a newer request");
+      }
+    }
+
+    const actionId = PendingActionManager.createActionId();
+    const expiresAt = new Date(Date.now() + this.timeoutMs).toISOString();
+    await this._createObjects(
+      actionId,
+      datapoint,
+      value,
+      description,
+      expiresAt,
+    );
+
+    const timer = this.adapter.setTimeout(() => {
+      this._expire(actionId).catch((error) =>
+        this.log.warn(
+          `[PendingAction] Could not remove expired action ${actionId}: ${error.message}`,
+        ),
+      );
+    }, this.timeoutMs);
+    this._actions.set(actionId, {
+      datapoint,
+      value,
+      description,
+      context,
+      client,
+      undoEntry,
+      expiresAt,
+      timer,
+    });
+
+    this.log.info(
+      `[PendingAction] ${description} is waiting for confirmation (action ${actionId}, expires ${expiresAt})`,
+    );
+    return { actionId, expiresAt };
+  }
+
+  /**
+   * Execute a pending action
+   * The write permission is checked again, as it may have been revoked meanwhile
+   *
+   * @param {string} actionId - Action ID
+   * @returns {Promise<object>} Result of the write
+   */
+  async confirm(actionId) {
+    const action = this._actions.get(actionId);
+    if (!action) {
+      return {
+        success: false,
+        error: `Unknown or expired action: ${actionId}`,
+      };
+    }
+    await this._discard(actionId);
+
+    const controller = this.adapter.datapointController;
+    const result = controller.isDatapointWriteAllowed(
+      action.datapoint,
+      action.client,
+    )
+      ? await controller.writeDatapointValue(
+          action.datapoint,
+          action.value,
+          !action.undoEntry,
+        )
+      : {
+          success: false,
+          error: `Datapoint is no longer allowed for writing: ${action.datapoint}`,
+        };
+    await controller.recordAudit(
+      "setState",
+      { datapoint: action.datapoint, value: action.value },
+      result,
+      action.client,
+      { ...action.context, source: "user confirmation" },
+    );
+    if (result.success && action.undoEntry) {
+      controller.removeUndoEntry(action.undoEntry);
+    }
+    if (result.success) {
+      this.log.info(`[PendingAction] Confirmed: ${action.description}`);
+    } else {
+      this.log.warn(
+        `[PendingAction] Confirmed action ${actionId} failed: ${result.error}`,
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Drop a pending action without executing it
+   *
+   * @param {string} actionId - Action ID
+   * @param {string} [reason] - Reason for the log
+   */
+  async reject(actionId, reason = "rejected by user") {
+    const action = this._actions.get(actionId);
+    if (!action) {
+      return;
+    }
+    await this._discard(actionId);
+    this.log.info(`[PendingAction] Dropped (${reason}): ${action.description}`);
+  }
+
+  /**
+   * Handle writes to pending.<actionId>.confirm / .reject
+   *
+   * @param {string} id - Full state ID
+   * @param {ioBroker.State} state - New state
+   * @returns {Promise<boolean>} True if the state belonged to a pending action
+   */
+  async handleStateChange(id, state) {
+    const prefix = `${this.adapter.namespace}.pending.`;
+    const [actionId, command, ...rest] = id.startsWith(prefix)
+      ? id.slice(prefix.length).split(".")
+      : [];
+    if (!["confirm", "reject"].includes(command) || rest.length > 0) {
+      return false;
+    }
+    if (state.ack || !state.val) {
+      return true;
+    }
+
+    if (!this._actions.has(actionId)) {
+      this.log.warn(`[PendingAction] Unknown or expired action: ${actionId}`);
+      await this._removeObjects(actionId);
+    } else if (command === "confirm") {
+      await this.confirm(actionId);
+    } else {
+      await this.reject(actionId);
+    }
+    return true;
+  }
+
+  /**
+   * Stop all expiry timers (pending actions are discarded on next start)
+   */
+  stop() {
+    for (const action of this._actions.values()) {
+      this.adapter.clearTimeout(action.timer);
+    }
+    this._actions.clear();
+  }
+
+  /**
+   * Remove an expired action
+   *
+   * @param {string} actionId - Action ID
+   */
+  async _expire(actionId) {
+    const action = this._actions.get(actionId);
+    if (!action) {
+      return;
+    }
+    await this._discard(actionId);
+    this.log.info(`[PendingAction] Expired: ${action.description}`);
+  }
+
+  /**
+   * Forget an action and remove its objects
+   *
+   * @param {string} actionId - Action ID
+   */
+  async _discard(actionId) {
+    const action = this._actions.get(actionId);
+    if (action) {
+      this.adapter.clearTimeout(action.timer);
+      this._actions.delete(actionId);
+    }
+    await this._removeObjects(actionId);
+  }
+
+  /**
+   * Create the channel and states of an action
+   *
+   * @param {string} actionId - Action ID
+   * @param {string} datapoint - Datapoint ID
+   * @param {boolean|number|string} value - Value to write
+   * @param {string} description - Description of the action
+   * @param {string} expiresAt - Expiry time (ISO string)
+   */
+  async _createObjects(actionId, datapoint, value, description, expiresAt) {
+    const adapter = this.adapter;
+    const base = `pending.${actionId}`;
+
+    await adapter.setObjectNotExistsAsync(base, {
+      type: "channel",
+      common: { name: description },
+      native: {},
+    });
+
+    const textStates = {
+      description: ["Description", "text", description],
+      datapoint: ["Datapoint", "text", datapoint],
+      value: ["Requested value", "json", JSON.stringify(value)],
+      expires: ["Expires", "date", expiresAt],
+    };
+    for (const [stateId, [name, role, val]] of Object.entries(textStates)) {
+      await adapter.setObjectNotExistsAsync(`${base}.${stateId}`, {
+        type: "state",
+        common: {
+          name: adapter.translate(name),
+          type: "string",
+          role: role,
+          read: true,
+          write: false,
+          def: "",
+        },
+        native: {},
+      });
+      await adapter.setState(`${base}.${stateId}`, val, true);
+    }
+
+    for (const [stateId, name] of [
+      ["confirm", "Confirm action"],
+      ["reject", "Reject action"],
+    ]) {
+      await adapter.setObjectNotExistsAsync(`${base}.${stateId}`, {
+        type: "state",
+        common: {
+          name: adapter.translate(name),
+          type: "boolean",
+          role: "button",
+          read: false,
+          write: true,
+          def: false,
+        },
+        native: {},
+      });
+    }
+  }
+
+  /**
+   * Remove the channel of an action including its states
+   *
+   * @param {string} actionId - Action ID
+   */
+  async _removeObjects(actionId) {
+    try {
+      await this.adapter.delObjectAsync(`pending.${actionId}`, {
+        recursive: true,
+      });
+    } catch (error) {
+      this.log.debug(
+        `[PendingAction] Could not remove objects of ${actionId}: ${error.message}`,
+      );
+    }
+  }
+}
+
+module.exports = PendingActionManager;
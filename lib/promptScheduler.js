@@ -0,0 +1,437 @@
+"use strict";
+
+// Fields of a cron expression with their allowed range
+const CRON_FIELDS = [
+  { field: "minute", min: 0, max: 59 },
+  { field: "hour", min: 0, max: 23 },
+  { field: "dayOfMonth", min: 1, max: 31 },
+  { field: "month", min: 1, max: 12 },
+  { field: "dayOfWeek", min: 0, max: 7 },
+];
+
+const CRON_SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+/**
+ * Scheduled prompts ("morning briefing at 7:00")
+ * Jobs are configured in admin with a cron expression, model and prompt
+ * template. Every run goes through OllamaClient.processChatMessage with
+ * tools and RAG; the answer is written to the target state or sent to a
+ * notification channel. Each job has the states promptJobs.<jobId>.*
+ */
+class PromptScheduler {
+  /**
+   * Create a new prompt scheduler
+   *
+   * @param {object} adapter - ioBroker adapter instance for objects, states and timers
+   * @param {object} ollamaClient - OllamaClient executing the prompts
+   * @param {object} controller - DatapointController (datapoint values and notify)
+   * @param {Array<object>} jobs - Sanitized jobs: name, cron, model, prompt, targetState, notifyChannel
+   * @param {string} defaultModel - Model of jobs without their own model
+   */
+  constructor(adapter, ollamaClient, controller, jobs, defaultModel) {
+    this.adapter = adapter;
+    this.ollamaClient = ollamaClient;
+    this.controller = controller;
+    this.log = adapter.log;
+    this.jobs = new Map(
+      jobs.map((job) => [
+        PromptScheduler.toJobId(job.name),
+        {
+          ...job,
+          model: job.model || defaultModel,
+          schedule: PromptScheduler.parseCron(job.cron),
+        },
+      ]),
+    );
+    this._timers = new Map(); // Job ID -> timer
+    this._running = new Set(); // Job IDs with a running prompt
+  }
+
+  /**
+   * Convert a job name to a valid object ID part
+   *
+   * @param {string} name - Job name
+   * @returns {string} Job ID
+   */
+  static toJobId(name) {
+    return String(name || "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+  }
+
+  /**
+   * Parse a cron expression (minute hour day-of-month month day-of-week)
+   * Supports *, lists, ranges, steps and the shortcuts `@hourly`, `@daily`, `@weekly` and `@monthly`
+   *
+   * @param {string} expression - Cron expression
+   * @returns {object|null} Allowed values per field or null if invalid
+   */
+  static parseCron(expression) {
+    const text = String(expression || "")
+      .trim()
+      .toLowerCase();
+    const parts = (CRON_SHORTCUTS[text] || text).split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+      return null;
+    }
+
+    const schedule = {};
+    for (let i = 0; i < CRON_FIELDS.length; i++) {
+      const { field, min, max } = CRON_FIELDS[i];
+      const values = new Set();
+      for (const item of parts[i].split(",")) {
+        const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+          return null;
+        }
+        const from = match[1] === "*" ? min : parseInt(match[2], 10);
+        const to =
+          match[1] === "*"
+            ? max
+            : match[3] !== undefined
+              ? parseInt(match[3], 10)
+              : match[4] !== undefined
+                ? max
+                : from;
+        const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+        if (from < min || to > max || from > to || step < 1) {
+          return null;
+        }
+        for (let value = from; value <= to; value += step) {
+          // Sunday can be written as 0 or 7
+          values.add(field === "dayOfWeek" && value === 7 ? 0 : value);
+        }
+      }
+      schedule[field] = values;
+      schedule[`${field}Restricted`] = parts[i] !== "*";
+    }
+    return schedule;
+  }
+
+  /**
+   * Calculate the next run of a cron schedule after a time
+   *
+   * @param {object} schedule - Parsed cron expression
+   * @param {Date} after - Time after which the job runs next
+   * @returns {Date|null} Next run or null if there is none within 5 years
+   */
+  static nextRun(schedule, after) {
+    const next = new Date(after.getTime());
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+
+    const limit = after.getTime() + 5 * 366 * 86400000;
+    while (next.getTime() < limit) {
+      if (!schedule.month.has(next.getMonth() + 1)) {
+        next.setMonth(next.getMonth() + 1, 1);
+        next.setHours(0, 0);
+        continue;
+      }
+      // Like cron: if both day fields are restricted, either of them matches
+      const dayOfMonth = schedule.dayOfMonth.has(next.getDate());
+      const dayOfWeek = schedule.dayOfWeek.has(next.getDay());
+      const dayMatches =
+        schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted
+          ? dayOfMonth || dayOfWeek
+          : dayOfMonth && dayOfWeek;
+      if (!dayMatches) {
+        next.setDate(next.getDate() + 1);
+        next.setHours(0, 0);
+        continue;
+      }
+      if (!schedule.hour.has(next.getHours())) {
+        next.setHours(next.getHours() + 1, 0);
+        continue;
+      }
+      if (!schedule.minute.has(next.getMinutes())) {
+        next.setMinutes(next.getMinutes() + 1);
+        continue;
+      }
+      return next;
+    }
+    return null;
+  }
+
+  /**
+   * Create the states of the jobs and start their timers
+   */
+  async initialize() {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync("promptJobs", {
+      type: "folder",
+      common: { name: adapter.translate("Scheduled prompts") },
+      native: {},
+    });
+
+    for (const [jobId, job] of this.jobs) {
+      await this._writeObjects(jobId, job);
+      this._arm(jobId);
+    }
+
+    // Remove the states of jobs that were deleted in the configuration
+    const channels = await adapter.getChannelsOfAsync("promptJobs");
+    for (const channel of channels || []) {
+      const jobId = channel._id.split(".").pop();
+      if (!this.jobs.has(jobId)) {
+        await adapter.delObjectAsync(`promptJobs.${jobId}`, {
+          recursive: true,
+        });
+      }
+    }
+
+    if (this.jobs.size > 0) {
+      this.log.info(
+        `[Prompt] Scheduled ${this.jobs.size} prompt job(s): ${[...this.jobs.values()].map((job) => `${job.name} (${job.cron})`).join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Handle the run buttons of the jobs
+   *
+   * @param {string} id - Full state ID
+   * @param {ioBroker.State} state - New state
+   * @returns {Promise<boolean>} True if the state belonged to the prompt jobs
+   */
+  async handleStateChange(id, state) {
+    const prefix = `${this.adapter.namespace}.promptJobs.`;
+    if (!id.startsWith(prefix)) {
+      return false;
+    }
+    const [jobId, command] = id.slice(prefix.length).split(".");
+    if (command !== "run" || state.ack || !state.val) {
+      return true;
+    }
+
+    await this.adapter.setState(id, false, true);
+    if (this.jobs.has(jobId)) {
+      await this.run(jobId);
+    }
+    return true;
+  }
+
+  /**
+   * Stop all job timers
+   */
+  stop() {
+    for (const timer of this._timers.values()) {
+      this.adapter.clearTimeout(timer);
+    }
+    this._timers.clear();
+  }
+
+  /**
+   * Execute a job and deliver its answer
+   * A job is skipped while its previous run is still in progress
+   *
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} Result of the run
+   */
+  async run(jobId) {
+    const job = this.jobs.get(jobId);
+    if (this._running.has(jobId)) {
+      this.log.warn(`[Prompt] ${job.name} is still running - skipped`);
+      return { success: false, error: "Previous run still in progress" };
+    }
+
+    const base = `promptJobs.${jobId}`;
+    const start = Date.now();
+    this._running.add(jobId);
+    await this.adapter.setState(`${base}.status`, "running", true);
+    await this.adapter.setState(
+      `${base}.lastRun`,
+      new Date(start).toISOString(),
+      true,
+    );
+
+    let status;
+    try {
+      const prompt = await this._buildPrompt(job, new Date(start));
+      const result = await this.ollamaClient.processChatMessage(
+        job.model,
+        { role: "user", content: prompt },
+        { source: `prompt job ${job.name}` },
+      );
+      if (!result?.content) {
+        throw new Error("No answer from the model");
+      }
+
+      await this.adapter.setState(`${base}.response`, result.content, true);
+      if (job.targetState) {
+        await this.adapter.setForeignStateAsync(
+          job.targetState,
+          result.content,
+        );
+      }
+      if (job.notifyChannel) {
+        const delivery = await this.controller.executeFunctionCall(
+          "notify",
+          { channel: job.notifyChannel, text: result.content },
+          null,
+          { source: `prompt job ${job.name}`, model: job.model },
+        );
+        if (!delivery.success) {
+          throw new Error(`Notification failed: ${delivery.error}`);
+        }
+      }
+      status = "success";
+    } catch (error) {
+      status = `error: ${error.message}`;
+      this.log.warn(`[Prompt] ${job.name} failed: ${error.message}`);
+    } finally {
+      this._running.delete(jobId);
+    }
+
+    const duration = Date.now() - start;
+    await this.adapter.setState(`${base}.status`, status, true);
+    await this.adapter.setState(`${base}.duration`, duration, true);
+    this.log.info(`[Prompt] ${job.name} finished in ${duration} ms: ${status}`);
+    return status === "success"
+      ? { success: true, duration: duration }
+      : { success: false, error: status, duration: duration };
+  }
+
+  /**
+   * Fill the placeholders of the prompt template
+   * {date}, {time} and {weekday} of the run, {datapoints} with the current
+   * values of all datapoints enabled for the AI
+   *
+   * @param {object} job - Job
+   * @param {Date} now - Time of the run
+   * @returns {Promise<string>} Prompt
+   */
+  async _buildPrompt(job, now) {
+    const values = {
+      date: now.toLocaleDateString(),
+      time: now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+      weekday: now.toLocaleDateString("en", { weekday: "long" }),
+    };
+    if (job.prompt.includes("{datapoints}")) {
+      values.datapoints = await this._describeDatapoints();
+    }
+    return job.prompt.replace(/\{(\w+)\}/g, (match, key) =>
+      key in values ? values[key] : match,
+    );
+  }
+
+  /**
+   * Current values of all datapoints enabled for the AI, one per line
+   *
+   * @returns {Promise<string>} Datapoint list
+   */
+  async _describeDatapoints() {
+    const lines = [];
+    for (const id of this.controller.allowedDatapoints) {
+      const [obj, state] = await Promise.all([
+        this.adapter.getForeignObjectAsync(id),
+        this.adapter.getForeignStateAsync(id),
+      ]);
+      const name =
+        typeof obj?.common?.name === "object"
+          ? obj.common.name.en || Object.values(obj.common.name)[0]
+          : obj?.common?.name || id;
+      const unit = obj?.common?.unit ? ` ${obj.common.unit}` : "";
+      lines.push(`- ${name} (${id}): ${state?.val ?? "no value"}${unit}`);
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Start the timer for the next run of a job
+   * Long delays are split, because timers only hold about 24 days
+   *
+   * @param {string} jobId - Job ID
+   * @param {Date} [runAt] - Planned run (default: next run from now)
+   */
+  _arm(jobId, runAt) {
+    const job = this.jobs.get(jobId);
+    const next = runAt || PromptScheduler.nextRun(job.schedule, new Date());
+    if (!next) {
+      this.log.warn(`[Prompt] ${job.name} has no next run for "${job.cron}"`);
+      return;
+    }
+    this.adapter
+      .setState(`promptJobs.${jobId}.nextRun`, next.toISOString(), true)
+      .catch((error) =>
+        this.log.debug(`[Prompt] Could not set next run: ${error.message}`),
+      );
+
+    const timer = this.adapter.setTimeout(
+      () => {
+        this._timers.delete(jobId);
+        if (next.getTime() > Date.now()) {
+          this._arm(jobId, next);
+          return;
+        }
+        this._arm(jobId);
+        this.run(jobId).catch((error) =>
+          this.log.warn(`[Prompt] Could not run ${job.name}: ${error.message}`),
+        );
+      },
+      Math.min(Math.max(next.getTime() - Date.now(), 0), 86400000),
+    );
+    this._timers.set(jobId, timer);
+  }
+
+  /**
+   * Create the channel and states of a job
+   *
+   * @param {string} jobId - Job ID
+   * @param {object} job - Job
+   */
+  async _writeObjects(jobId, job) {
+    const adapter = this.adapter;
+    const base = `promptJobs.${jobId}`;
+
+    await adapter.setObjectAsync(base, {
+      type: "channel",
+      common: { name: job.name, desc: job.cron },
+      native: {},
+    });
+
+    const states = {
+      lastRun: ["Last run", "string", "date", ""],
+      nextRun: ["Next run", "string", "date", ""],
+      status: ["Status of the last run", "string", "text", ""],
+      duration: ["Duration of the last run", "number", "value.interval", 0],
+      response: ["Last answer", "string", "text", ""],
+    };
+    for (const [stateId, [name, type, role, def]] of Object.entries(states)) {
+      await adapter.setObjectNotExistsAsync(`${base}.${stateId}`, {
+        type: "state",
+        common: {
+          name: adapter.translate(name),
+          type: type,
+          role: role,
+          read: true,
+          write: false,
+          def: def,
+          ...(stateId === "duration" ? { unit: "ms" } : {}),
+        },
+        native: {},
+      });
+    }
+    await adapter.setObjectNotExistsAsync(`${base}.run`, {
+      type: "state",
+      common: {
+        name: adapter.translate("Run now"),
+        type: "boolean",
+        role: "button",
+        read: false,
+        write: true,
+        def: false,
+      },
+      native: {},
+    });
+  }
+}
+
+module.exports = PromptScheduler;
@@ -3,6 +3,7 @@
 const { QdrantClient } = require("@qdrant/qdrant-js");
 const axios = require("axios");
 const OllamaClient = require("./ollamaClient");
+const DatapointController = require("./datapointController");
 
 /**
  * Helper class for Qdrant vector database operations
@@ -16,7 +17,7 @@ class QdrantHelper {
    * @param {number|string} port - Port number of the Qdrant server
    * @param {object} log - Logger instance with info, error, debug methods
    * @returns {Promise<boolean>} Promise that resolves to server availability status
-   * @throws Will throw an error if the server is not reachable
+   * @throws {Error} Will throw an error if the server is not reachable
    */
   static async checkAvailability(ip, port, log) {
     const url = OllamaClient.createHttpUrl(ip, port);
@@ -41,7 +42,7 @@ class QdrantHelper {
    * @param {object} config - adapter configuration
    * @param {object} log - ioBroker logger
    * @param {Set|object} processedStates - Set of already processed state IDs or LRU cache
-   * @param {Function} getForeignObjectAsync - Function to get ioBroker objects
+   * @param {function(string): Promise<object>} getForeignObjectAsync - Function to get ioBroker objects
    * @returns {Promise<boolean>} Success status
    */
   static async processEmbeddingDatapoint(
@@ -125,10 +126,6 @@ class QdrantHelper {
 
       // Note: LRU cache automatically handles cleanup, no manual intervention needed
 
-      const openWebUIUrl = OllamaClient.createHttpUrl(
-        config.openWebUIIp,
-        config.openWebUIPort,
-      );
       const qdrantUrl = OllamaClient.createHttpUrl(
         config.vectorDbIp,
         config.vectorDbPort,
@@ -138,11 +135,10 @@ class QdrantHelper {
         id,
         state,
         customConfig,
-        openWebUIUrl,
         qdrantUrl,
         log,
-        config.embeddingModel || "nomic-embed-text",
-        config.openWebUIApiKey || "",
+        config,
+        obj.common.states,
       );
 
       // Note: Random cleanup removed - now using configurable retention policy
@@ -161,31 +157,32 @@ class QdrantHelper {
    * @param {string} id - Datapoint ID
    * @param {object} state - State object
    * @param {object} customConfig - Custom configuration
-   * @param {string} openWebUIUrl - OpenWebUI server URL
    * @param {string} qdrantUrl - Qdrant server URL
    * @param {object} log - Logger instance
-   * @param {string} embeddingModel - Model for embeddings
-   * @param {string} apiKey - API key for authentication
+   * @param {object} config - Adapter configuration (selects the embedding backend)
+   * @param {object|Array|string} [states] - common.states of the datapoint
    * @returns {Promise<boolean>} Success status
    */
   static async processEmbeddingEnabledDatapoint(
     id,
     state,
     customConfig,
-    openWebUIUrl,
     qdrantUrl,
     log,
-    embeddingModel = "nomic-embed-text",
-    apiKey = "",
+    config,
+    states = null,
   ) {
     try {
-      const formattedData = this.formatDataForVectorDB(id, state, customConfig);
-      const embedding = await this.generateEmbedding(
+      const formattedData = this.formatDataForVectorDB(
+        id,
+        state,
+        customConfig,
+        states,
+      );
+      const embedding = await this.embedText(
         formattedData.formattedText,
-        openWebUIUrl,
+        config,
         log,
-        embeddingModel,
-        apiKey,
       );
       const dataWithEmbedding = { ...formattedData, embedding };
       await this.sendToQdrant(
@@ -209,9 +206,10 @@ class QdrantHelper {
    * @param {string} id - Datapoint ID
    * @param {object} state - State object with value and timestamp
    * @param {object} customConfig - Custom configuration for formatting
+   * @param {object|Array|string} [states] - common.states (selection lists show their label)
    * @returns {object} Formatted data object
    */
-  static formatDataForVectorDB(id, state, customConfig) {
+  static formatDataForVectorDB(id, state, customConfig, states = null) {
     const timestamp = new Date().toISOString();
 
     // Extract readable parts from the datapoint ID
@@ -226,6 +224,7 @@ class QdrantHelper {
       id,
       timestamp,
       value: state.val,
+      valueLabel: DatapointController.getStateLabel(state.val, states),
       description: customConfig.description || "",
       location: customConfig.location || "",
       dataType: customConfig.dataType || "text",
@@ -240,23 +239,29 @@ class QdrantHelper {
     const desc = baseData.description || deviceName; // Use deviceName as fallback
     const loc = baseData.location ? ` (${baseData.location})` : "";
 
+    // Selection lists show the label (e.g. "eco") instead of the stored key
+    const value = baseData.valueLabel ?? state.val;
+
     switch (customConfig.dataType) {
       case "boolean": {
-        const displayValue = state.val
-          ? customConfig.booleanTrueValue || "true"
-          : customConfig.booleanFalseValue || "false";
+        const displayValue =
+          baseData.valueLabel ??
+          (state.val
+            ? customConfig.booleanTrueValue || "true"
+            : customConfig.booleanFalseValue || "false");
         formattedText = `${desc} ${displayValue}${loc}`;
         break;
       }
 
       case "number": {
-        const units = customConfig.units || "";
-        formattedText = `${desc}: ${state.val}${units}${loc}`;
+        const units =
+          baseData.valueLabel === undefined ? customConfig.units || "" : "";
+        formattedText = `${desc}: ${value}${units}${loc}`;
         break;
       }
 
       default:
-        formattedText = `${desc}: ${state.val}${loc}`;
+        formattedText = `${desc}: ${value}${loc}`;
         if (customConfig.additionalText) {
           formattedText += ` - ${customConfig.additionalText}`;
         }
@@ -269,14 +274,47 @@ class QdrantHelper {
     return { ...baseData, formattedText: searchableText };
   }
 
+  /**
+   * Generate embedding vector with the configured backend
+   * (OpenAI-compatible server, or OpenWebUI with Ollama fallback)
+   *
+   * @param {string} text - Text to generate embedding for
+   * @param {object} config - Adapter configuration
+   * @param {object} log - Logger instance
+   * @returns {Promise<Array>} Embedding vector
+   */
+  static async embedText(text, config, log) {
+    const embeddingModel = config.embeddingModel || "nomic-embed-text";
+    if (config.backendType === "openai") {
+      return await this._generateOpenAIEmbedding(
+        text,
+        config.openAIBaseUrl,
+        config.openAIApiKey || "",
+        log,
+        embeddingModel,
+      );
+    }
+
+    return await this.generateEmbedding(
+      text,
+      OllamaClient.createHttpUrl(config.openWebUIIp, config.openWebUIPort),
+      log,
+      embeddingModel,
+      config.openWebUIApiKey || "",
+      OllamaClient.createHttpUrl(config.ollamaIp, config.ollamaPort),
+    );
+  }
+
   /**
    * Generate embedding vector for text using OpenWebUI API
+   * Falls back to Ollama's /api/embeddings if an Ollama URL is given
    *
    * @param {string} text - Text to generate embedding for
    * @param {string} openWebUIUrl - OpenWebUI server URL
    * @param {object} log - Logger instance
    * @param {string} embeddingModel - Model name for embeddings
    * @param {string} apiKey - API key for authentication
+   * @param {string} [ollamaUrl] - Ollama server URL for installations without OpenWebUI
    * @returns {Promise<Array>} Embedding vector
    */
   static async generateEmbedding(
@@ -285,6 +323,7 @@ class QdrantHelper {
     log,
     embeddingModel = "nomic-embed-text",
     apiKey = "",
+    ollamaUrl = "",
   ) {
     try {
       const headers = this._buildHeaders(apiKey);
@@ -321,6 +360,18 @@ class QdrantHelper {
           code: openWebUIError.code || "No error code",
         };
 
+        if (ollamaUrl) {
+          log.debug(
+            `[VectorDB] OpenWebUI embeddings API failed (${errorDetails.status} ${errorDetails.statusText}), using Ollama: ${openWebUIError.message}`,
+          );
+          return await this._generateOllamaEmbedding(
+            text,
+            ollamaUrl,
+            log,
+            embeddingModel,
+          );
+        }
+
         log.error(
           `[VectorDB] OpenWebUI embeddings API failed (${errorDetails.status} ${errorDetails.statusText}): ${openWebUIError.message}`,
         );
@@ -343,7 +394,6 @@ class QdrantHelper {
           `[VectorDB] Embedding generation failed - VectorDB functionality requires working OpenWebUI connection`,
         );
 
-        // No fallback to Ollama - embeddings only make sense with OpenWebUI/VectorDB
         throw new Error(
           `OpenWebUI embeddings API failed: ${openWebUIError.message}. VectorDB functionality disabled.`,
         );
@@ -356,6 +406,69 @@ class QdrantHelper {
     }
   }
 
+  /**
+   * Generate embedding vector for text using an OpenAI-compatible /embeddings endpoint
+   *
+   * @param {string} text - Text to generate embedding for
+   * @param {string} baseUrl - Base URL of the server (including /v1)
+   * @param {string} apiKey - API key for authentication
+   * @param {object} log - Logger instance
+   * @param {string} embeddingModel - Model name for embeddings
+   * @returns {Promise<Array>} Embedding vector
+   */
+  static async _generateOpenAIEmbedding(
+    text,
+    baseUrl,
+    apiKey,
+    log,
+    embeddingModel,
+  ) {
+    const response = await axios.post(
+      `${baseUrl}/embeddings`,
+      {
+        model: embeddingModel,
+        input: text,
+      },
+      { headers: this._buildHeaders(apiKey), timeout: 30000 },
+    );
+
+    if (!response.data?.data?.[0]?.embedding) {
+      throw new Error(
+        "No embedding data received from OpenAI-compatible server",
+      );
+    }
+    log.debug(
+      `[VectorDB] Successfully generated embedding using OpenAI-compatible server`,
+    );
+    return response.data.data[0].embedding;
+  }
+
+  /**
+   * Generate embedding vector for text using Ollama's /api/embeddings
+   *
+   * @param {string} text - Text to generate embedding for
+   * @param {string} ollamaUrl - Ollama server URL
+   * @param {object} log - Logger instance
+   * @param {string} embeddingModel - Model name for embeddings
+   * @returns {Promise<Array>} Embedding vector
+   */
+  static async _generateOllamaEmbedding(text, ollamaUrl, log, embeddingModel) {
+    const response = await axios.post(
+      `${ollamaUrl}/api/embeddings`,
+      {
+        model: embeddingModel,
+        prompt: text, // Ollama format uses "prompt"
+      },
+      { timeout: 30000 },
+    );
+
+    if (!response.data?.embedding) {
+      throw new Error("No embedding data received from Ollama");
+    }
+    log.debug(`[VectorDB] Successfully generated embedding using Ollama`);
+    return response.data.embedding;
+  }
+
   /**
    * Build HTTP headers for API requests
    *
@@ -408,6 +521,7 @@ class QdrantHelper {
           datapoint_id: data.id, // GitHub Version: datapoint_id
           timestamp: data.timestamp,
           value: data.value,
+          valueLabel: data.valueLabel,
           description: data.description,
           location: data.location,
           dataType: data.dataType,
@@ -0,0 +1,441 @@
+"use strict";
+
+// Comparison operators of rule conditions (longest first for parsing)
+const CONDITION_OPERATORS = ["==", "!=", ">=", "<=", ">", "<"];
+
+/**
+ * Event-triggered AI rules ("when the window opens while the heating is on, ask the model")
+ * Rules are configured in admin with a trigger datapoint, an optional condition,
+ * model and prompt. Changes of the trigger are debounced; a matching change runs
+ * the prompt with the old and new value through OllamaClient.processChatMessage.
+ * Tool calls of a rule only write the datapoints listed for the rule. Each rule
+ * has the states rules.<ruleId>.*
+ */
+class RuleEngine {
+  /**
+   * Create a new rule engine
+   *
+   * @param {object} adapter - ioBroker adapter instance for objects, states and timers
+   * @param {object} ollamaClient - OllamaClient executing the prompts
+   * @param {object} controller - DatapointController (notify)
+   * @param {Array<object>} rules - Sanitized rules: name, trigger, condition, model, prompt, useTools, writeDatapoints, debounce, cooldown, notifyChannel
+   * @param {string} defaultModel - Model of rules without their own model
+   */
+  constructor(adapter, ollamaClient, controller, rules, defaultModel) {
+    this.adapter = adapter;
+    this.ollamaClient = ollamaClient;
+    this.controller = controller;
+    this.log = adapter.log;
+    this.rules = new Map(
+      rules.map((rule) => [
+        RuleEngine.toRuleId(rule.name),
+        {
+          ...rule,
+          model: rule.model || defaultModel,
+          parsedCondition: RuleEngine.parseCondition(rule.condition),
+        },
+      ]),
+    );
+    this.triggers = new Map(); // Trigger datapoint -> rule IDs
+    for (const [ruleId, rule] of this.rules) {
+      this.triggers.set(rule.trigger, [
+        ...(this.triggers.get(rule.trigger) || []),
+        ruleId,
+      ]);
+    }
+    this._values = new Map(); // Trigger datapoint -> last known value
+    this._pending = new Map(); // Rule ID -> debounce timer and value before the changes
+    this._lastRun = new Map(); // Rule ID -> start of the last run (cooldown)
+    this._running = new Set(); // Rule IDs with a running prompt
+  }
+
+  /**
+   * Convert a rule name to a valid object ID part
+   *
+   * @param {string} name - Rule name
+   * @returns {string} Rule ID
+   */
+  static toRuleId(name) {
+    return String(name || "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+  }
+
+  /**
+   * Parse a rule condition on the new value
+   * Empty conditions match every change; otherwise an operator (==, !=, >, >=, <, <=)
+   * followed by a number, true/false or text, e.g. "> 25" or "== true"
+   *
+   * @param {string} text - Condition from the configuration
+   * @returns {{operator: string, value: boolean|number|string}|null} Parsed condition (operator "changed" for empty conditions) or null if invalid
+   */
+  static parseCondition(text) {
+    const condition = String(text ?? "").trim();
+    if (!condition) {
+      return { operator: "changed", value: "" };
+    }
+    const operator = CONDITION_OPERATORS.find((op) => condition.startsWith(op));
+    if (!operator) {
+      return null;
+    }
+    const raw = condition
+      .slice(operator.length)
+      .trim()
+      .replace(/^(["'])(.*)\1$/, "$2");
+    if (!raw && operator !== "==" && operator !== "!=") {
+      return null;
+    }
+
+    const value =
+      raw === "true" || raw === "false"
+        ? raw === "true"
+        : raw !== "" && !isNaN(Number(raw))
+          ? Number(raw)
+          : raw;
+    if (typeof value !== "number" && operator !== "==" && operator !== "!=") {
+      return null;
+    }
+    return { operator: operator, value: value };
+  }
+
+  /**
+   * Check whether a change matches a condition
+   * The value has to differ from the old value; numbers given as strings are compared as numbers
+   *
+   * @param {{operator: string, value: boolean|number|string}} condition - Parsed condition
+   * @param {ioBroker.StateValue} val - New value
+   * @param {ioBroker.StateValue} oldVal - Value before the change
+   * @returns {boolean} True if the rule should run
+   */
+  static matches(condition, val, oldVal) {
+    if (val === oldVal) {
+      return false;
+    }
+    const expected = condition.value;
+    let actual = val;
+    if (typeof expected === "number") {
+      actual = typeof val === "string" && val.trim() ? Number(val) : val;
+    } else if (typeof expected === "boolean" && typeof val !== "boolean") {
+      actual =
+        val === 1 || val === "true"
+          ? true
+          : val === 0 || val === "false"
+            ? false
+            : val;
+    } else if (typeof expected === "string" && val !== null) {
+      actual = String(val);
+    }
+
+    switch (condition.operator) {
+      case "changed":
+        return true;
+      case "==":
+        return actual === expected;
+      case "!=":
+        return actual !== expected;
+      default:
+        if (typeof actual !== "number" || isNaN(actual)) {
+          return false;
+        }
+        return condition.operator === ">"
+          ? actual > Number(expected)
+          : condition.operator === ">="
+            ? actual >= Number(expected)
+            : condition.operator === "<"
+              ? actual < Number(expected)
+              : actual <= Number(expected);
+    }
+  }
+
+  /**
+   * Create the states of the rules and subscribe their triggers
+   */
+  async initialize() {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync("rules", {
+      type: "folder",
+      common: { name: adapter.translate("AI rules") },
+      native: {},
+    });
+
+    for (const [ruleId, rule] of this.rules) {
+      await this._writeObjects(ruleId, rule);
+    }
+
+    // Remove the states of rules that were deleted in the configuration
+    const channels = await adapter.getChannelsOfAsync("rules");
+    for (const channel of channels || []) {
+      const ruleId = channel._id.split(".").pop();
+      if (!this.rules.has(ruleId)) {
+        await adapter.delObjectAsync(`rules.${ruleId}`, { recursive: true });
+      }
+    }
+
+    for (const trigger of this.triggers.keys()) {
+      try {
+        const state = await adapter.getForeignStateAsync(trigger);
+        this._values.set(trigger, state ? state.val : null);
+      } catch (error) {
+        this.log.warn(
+          `[Rules] Could not read trigger ${trigger}: ${error.message}`,
+        );
+      }
+      adapter.subscribeForeignStates(trigger);
+    }
+
+    if (this.rules.size > 0) {
+      this.log.info(
+        `[Rules] Watching ${this.triggers.size} datapoint(s) for ${this.rules.size} rule(s): ${[...this.rules.values()].map((rule) => `${rule.name} (${rule.trigger} ${rule.condition || "changed"})`).join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Start the debounce of the rules of a changed trigger
+   * The prompts run in the background, so other handlers are not blocked
+   *
+   * @param {string} id - Full state ID
+   * @param {ioBroker.State} state - New state
+   * @returns {boolean} True if the state is a rule trigger
+   */
+  handleStateChange(id, state) {
+    const ruleIds = this.triggers.get(id);
+    if (!ruleIds) {
+      return false;
+    }
+    const oldVal = this._values.has(id) ? this._values.get(id) : null;
+    this._values.set(id, state.val);
+
+    // Writes of the adapter itself (e.g. by a rule) never trigger rules
+    if (
+      state.from === `system.adapter.${this.adapter.namespace}` ||
+      state.val === oldVal
+    ) {
+      return true;
+    }
+
+    for (const ruleId of ruleIds) {
+      const rule = this.rules.get(ruleId);
+      const pending = this._pending.get(ruleId);
+      if (pending) {
+        this.adapter.clearTimeout(pending.timer);
+      } else if (!RuleEngine.matches(rule.parsedCondition, state.val, oldVal)) {
+        continue;
+      }
+
+      const startVal = pending ? pending.oldVal : oldVal;
+      this._pending.set(ruleId, {
+        oldVal: startVal,
+        timer: this.adapter.setTimeout(() => {
+          this._pending.delete(ruleId);
+          this._fire(ruleId, startVal);
+        }, rule.debounce * 1000),
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Stop all debounce timers
+   */
+  stop() {
+    for (const pending of this._pending.values()) {
+      this.adapter.clearTimeout(pending.timer);
+    }
+    this._pending.clear();
+  }
+
+  /**
+   * Run a rule after its debounce if the condition still holds
+   * Rules in their cooldown or with a running prompt are skipped
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {ioBroker.StateValue} oldVal - Value before the first change of the debounce
+   */
+  _fire(ruleId, oldVal) {
+    const rule = this.rules.get(ruleId);
+    const val = this._values.get(rule.trigger);
+    if (!RuleEngine.matches(rule.parsedCondition, val, oldVal)) {
+      this.log.debug(
+        `[Rules] ${rule.name}: condition no longer holds after debounce`,
+      );
+      return;
+    }
+    if (this._running.has(ruleId)) {
+      this.log.debug(`[Rules] ${rule.name} is still running - skipped`);
+      return;
+    }
+    const lastRun = this._lastRun.get(ruleId) || 0;
+    if (Date.now() - lastRun < rule.cooldown * 1000) {
+      this.log.debug(
+        `[Rules] ${rule.name} is in its cooldown until ${new Date(lastRun + rule.cooldown * 1000).toISOString()} - skipped`,
+      );
+      return;
+    }
+
+    this.run(ruleId, val, oldVal).catch((error) =>
+      this.log.warn(`[Rules] Could not run ${rule.name}: ${error.message}`),
+    );
+  }
+
+  /**
+   * Ask the model of a rule about a change and deliver its answer
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {ioBroker.StateValue} val - New value
+   * @param {ioBroker.StateValue} oldVal - Old value
+   * @returns {Promise<object>} Result of the run
+   */
+  async run(ruleId, val, oldVal) {
+    const rule = this.rules.get(ruleId);
+    const base = `rules.${ruleId}`;
+    const start = Date.now();
+    this._running.add(ruleId);
+    this._lastRun.set(ruleId, start);
+    await this.adapter.setState(`${base}.status`, "running", true);
+    await this.adapter.setState(
+      `${base}.lastRun`,
+      new Date(start).toISOString(),
+      true,
+    );
+
+    const source = `rule ${rule.name}`;
+    let status;
+    try {
+      const prompt = await this._buildPrompt(
+        rule,
+        val,
+        oldVal,
+        new Date(start),
+      );
+      const result = await this.ollamaClient.processChatMessage(
+        rule.model,
+        { role: "user", content: prompt },
+        {
+          source: source,
+          tools: rule.useTools,
+          client: {
+            name: source,
+            readOnly: rule.writeDatapoints.length === 0,
+            datapoints: null,
+            writeDatapoints: new Set(rule.writeDatapoints),
+          },
+        },
+      );
+      if (!result?.content) {
+        throw new Error("No answer from the model");
+      }
+
+      await this.adapter.setState(`${base}.lastResult`, result.content, true);
+      if (rule.notifyChannel) {
+        const delivery = await this.controller.executeFunctionCall(
+          "notify",
+          { channel: rule.notifyChannel, text: result.content },
+          null,
+          { source: source, model: rule.model },
+        );
+        if (!delivery.success) {
+          throw new Error(`Notification failed: ${delivery.error}`);
+        }
+      }
+      status = "success";
+    } catch (error) {
+      status = "error";
+      this.log.warn(`[Rules] ${rule.name} failed: ${error.message}`);
+      await this.adapter.setState(`${base}.lastError`, error.message, true);
+    } finally {
+      this._running.delete(ruleId);
+    }
+
+    const duration = Date.now() - start;
+    await this.adapter.setState(`${base}.status`, status, true);
+    await this.adapter.setState(`${base}.duration`, duration, true);
+    this.log.info(
+      `[Rules] ${rule.name} (${oldVal} -> ${val}) finished in ${duration} ms: ${status}`,
+    );
+    return { success: status === "success", duration: duration };
+  }
+
+  /**
+   * Fill the placeholders of the prompt template
+   * {old}, {new}, {id}, {name} and {unit} of the trigger, {time} of the run.
+   * Prompts without {new} get a sentence describing the change appended
+   *
+   * @param {object} rule - Rule
+   * @param {ioBroker.StateValue} val - New value
+   * @param {ioBroker.StateValue} oldVal - Old value
+   * @param {Date} now - Time of the run
+   * @returns {Promise<string>} Prompt
+   */
+  async _buildPrompt(rule, val, oldVal, now) {
+    const obj = await this.adapter.getForeignObjectAsync(rule.trigger);
+    const name =
+      typeof obj?.common?.name === "object"
+        ? obj.common.name.en || Object.values(obj.common.name)[0]
+        : obj?.common?.name || rule.trigger;
+    const values = {
+      old: String(oldVal ?? "no value"),
+      new: String(val ?? "no value"),
+      id: rule.trigger,
+      name: name,
+      unit: obj?.common?.unit || "",
+      time: now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+    };
+    const prompt = rule.prompt.replace(/\{(\w+)\}/g, (match, key) =>
+      key in values ? values[key] : match,
+    );
+    if (rule.prompt.includes("{new}")) {
+      return prompt;
+    }
+    const unit = values.unit ? ` ${values.unit}` : "";
+    return `${prompt}\n\n${name} (${rule.trigger}) changed from ${values.old}${unit} to ${values.new}${unit} at ${values.time}.`;
+  }
+
+  /**
+   * Create the channel and states of a rule
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {object} rule - Rule
+   */
+  async _writeObjects(ruleId, rule) {
+    const adapter = this.adapter;
+    const base = `rules.${ruleId}`;
+
+    await adapter.setObjectAsync(base, {
+      type: "channel",
+      common: {
+        name: rule.name,
+        desc: `${rule.trigger} ${rule.condition || "changed"}`,
+      },
+      native: {},
+    });
+
+    const states = {
+      lastRun: ["Last run", "string", "date", ""],
+      status: ["Status of the last run", "string", "text", ""],
+      duration: ["Duration of the last run", "number", "value.interval", 0],
+      lastResult: ["Last answer", "string", "text", ""],
+      lastError: ["Last error", "string", "text", ""],
+    };
+    for (const [stateId, [name, type, role, def]] of Object.entries(states)) {
+      await adapter.setObjectNotExistsAsync(`${base}.${stateId}`, {
+        type: "state",
+        common: {
+          name: adapter.translate(name),
+          type: type,
+          role: role,
+          read: true,
+          write: false,
+          def: def,
+          ...(stateId === "duration" ? { unit: "ms" } : {}),
+        },
+        native: {},
+      });
+    }
+  }
+}
+
+module.exports = RuleEngine;
@@ -0,0 +1,402 @@
+"use strict";
+
+/**
+ * Saved scenes: named snapshots of datapoint values
+ * Each scene is stored in the native part of the channel scenes.<sceneId>,
+ * restores are executed as setStates batch and pass the same write checks as setState
+ */
+class SceneManager {
+  /**
+   * Create a new scene manager
+   *
+   * @param {object} adapter - ioBroker adapter instance for object and state management
+   * @param {object} controller - DatapointController executing the writes
+   */
+  constructor(adapter, controller) {
+    this.adapter = adapter;
+    this.controller = controller;
+    this.log = adapter.log;
+  }
+
+  /**
+   * Convert a scene name to a valid object ID part
+   *
+   * @param {string} name - Scene name
+   * @returns {string} Scene ID (empty if the name has no usable characters)
+   */
+  static toSceneId(name) {
+    return String(name || "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9äöüß_-]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+  }
+
+  /**
+   * Create the scenes folder and the save input
+   */
+  async initialize() {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync("scenes", {
+      type: "folder",
+      common: { name: adapter.translate("Saved scenes") },
+      native: {},
+    });
+    await adapter.setObjectNotExistsAsync("scenes.save", {
+      type: "state",
+      common: {
+        name: adapter.translate("Save scene"),
+        desc: adapter.translate(
+          'Scene name, or JSON {"name": "...", "datapoints": [...]}',
+        ),
+        type: "string",
+        role: "text",
+        read: true,
+        write: true,
+        def: "",
+      },
+      native: {},
+    });
+  }
+
+  /**
+   * Save the current values of datapoints as a scene
+   * An existing scene with the same name is replaced
+   *
+   * @param {string} name - Scene name
+   * @param {Array<string>} [datapoints] - Datapoint names or IDs (default: all writable datapoints)
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @returns {Promise<object>} Saved values and skipped datapoints
+   */
+  async saveScene(name, datapoints = [], client = null) {
+    const sceneId = SceneManager.toSceneId(name);
+    if (!sceneId) {
+      return { success: false, error: "Missing required parameter: name" };
+    }
+    if (sceneId === "save") {
+      return { success: false, error: 'The scene name "save" is reserved' };
+    }
+    if (client?.readOnly) {
+      return {
+        success: false,
+        error: `Client "${client.name}" has read-only access`,
+      };
+    }
+
+    const ids = [];
+    if (Array.isArray(datapoints) && datapoints.length > 0) {
+      const invalid = [];
+      for (const datapoint of datapoints) {
+        const id = await this.controller._resolveDatapointId(datapoint);
+        if (!id || !this.controller.isDatapointWriteAllowed(id, client)) {
+          invalid.push(datapoint);
+        } else if (!ids.includes(id)) {
+          ids.push(id);
+        }
+      }
+      if (invalid.length > 0) {
+        return {
+          success: false,
+          error: `Datapoints not found or not allowed for writing: ${invalid.join(", ")}`,
+        };
+      }
+    } else {
+      for (const id of this.controller.writeAllowedDatapoints) {
+        if (this.controller.isDatapointWriteAllowed(id, client)) {
+          ids.push(id);
+        }
+      }
+    }
+
+    if (ids.length === 0) {
+      return {
+        success: false,
+        error: "No writable datapoints available for the scene",
+      };
+    }
+    if (ids.length > this.controller.maxBatchSize) {
+      return {
+        success: false,
+        error: `Too many datapoints for one scene: ${ids.length} (maximum ${this.controller.maxBatchSize})`,
+      };
+    }
+
+    // Datapoints without a value cannot be restored
+    const values = {};
+    const skipped = [];
+    for (const id of ids) {
+      const state = await this.adapter.getForeignStateAsync(id);
+      if (state?.val === undefined || state?.val === null) {
+        skipped.push(id);
+      } else {
+        values[id] = state.val;
+      }
+    }
+    if (Object.keys(values).length === 0) {
+      return {
+        success: false,
+        error: `None of the datapoints has a value: ${skipped.join(", ")}`,
+      };
+    }
+
+    await this._writeObjects(sceneId, String(name).trim(), values);
+    this.log.info(
+      `[Scene] Saved "${name}" with ${Object.keys(values).length} datapoints`,
+    );
+
+    return {
+      success: true,
+      scene: String(name).trim(),
+      values: values,
+      ...(skipped.length > 0 ? { skipped: skipped } : {}),
+      message: `Saved scene "${String(name).trim()}" with ${Object.keys(values).length} datapoints${skipped.length > 0 ? ` (without value, not saved: ${skipped.join(", ")})` : ""}`,
+    };
+  }
+
+  /**
+   * List the saved scenes
+   *
+   * @param {object} [client] - ToolServer client profile (only shows datapoints it may read)
+   * @returns {Promise<object>} Scenes with name, values and save time
+   */
+  async listScenes(client = null) {
+    const channels = await this.adapter.getChannelsOfAsync("scenes");
+    const scenes = (channels || [])
+      .filter((channel) => channel.native?.values)
+      .map((channel) => ({
+        name: channel.native.name || channel._id.split(".").pop(),
+        values: Object.fromEntries(
+          Object.entries(channel.native.values).filter(([id]) =>
+            this.controller.isDatapointReadAllowed(id, client),
+          ),
+        ),
+        savedAt: channel.native.savedAt,
+      }));
+
+    return {
+      success: true,
+      scenes: scenes,
+      message:
+        scenes.length > 0
+          ? `Saved scenes: ${scenes.map((scene) => `${scene.name} (${Object.keys(scene.values).length} datapoints)`).join(", ")}`
+          : "There are no saved scenes",
+    };
+  }
+
+  /**
+   * Restore the values of a scene
+   * The writes run as one setStates call: nothing is changed if a value is
+   * no longer valid, and failed writes roll back the call
+   *
+   * @param {string} name - Scene name
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the restore (kept with pending actions)
+   * @param {boolean} [verify] - Wait for the device acknowledgements
+   * @returns {Promise<object>} Per-datapoint results like setStates
+   */
+  async applyScene(name, client = null, context = {}, verify = false) {
+    const scene = await this._getScene(name);
+    if (!scene) {
+      return { success: false, error: `Unknown scene: ${name}` };
+    }
+
+    const result = await this.controller.executeSetStates(
+      {
+        changes: Object.entries(scene.values).map(([datapoint, value]) => ({
+          datapoint,
+          value,
+        })),
+        verify: verify,
+      },
+      client,
+      context,
+    );
+
+    if (result.success) {
+      this.log.info(`[Scene] Applied "${scene.name}"`);
+    } else {
+      this.log.warn(`[Scene] Could not apply "${scene.name}": ${result.error}`);
+    }
+    return {
+      ...result,
+      scene: scene.name,
+      ...(result.message
+        ? { message: `Scene "${scene.name}": ${result.message}` }
+        : {}),
+    };
+  }
+
+  /**
+   * Remove a scene
+   *
+   * @param {string} name - Scene name
+   * @returns {Promise<object>} Result of the removal
+   */
+  async deleteScene(name) {
+    const scene = await this._getScene(name);
+    if (!scene) {
+      return { success: false, error: `Unknown scene: ${name}` };
+    }
+    await this.adapter.delObjectAsync(`scenes.${scene.id}`, {
+      recursive: true,
+    });
+    this.log.info(`[Scene] Deleted "${scene.name}"`);
+    return { success: true, scene: scene.name };
+  }
+
+  /**
+   * Handle writes to scenes.save and the apply/delete buttons of a scene
+   *
+   * @param {string} id - Full state ID
+   * @param {ioBroker.State} state - New state
+   * @returns {Promise<boolean>} True if the state belonged to the scenes
+   */
+  async handleStateChange(id, state) {
+    const prefix = `${this.adapter.namespace}.scenes.`;
+    if (!id.startsWith(prefix)) {
+      return false;
+    }
+    if (state.ack || !state.val) {
+      return true;
+    }
+
+    const [sceneId, command, ...rest] = id.slice(prefix.length).split(".");
+    if (sceneId === "save" && command === undefined) {
+      const { name, datapoints } = SceneManager.parseSaveInput(
+        String(state.val),
+      );
+      const result = await this.saveScene(name, datapoints);
+      if (!result.success) {
+        this.log.warn(`[Scene] Could not save "${name}": ${result.error}`);
+      }
+      await this.adapter.setState("scenes.save", String(state.val), true);
+      return true;
+    }
+    if (!["apply", "delete"].includes(command) || rest.length > 0) {
+      return false;
+    }
+
+    if (command === "apply") {
+      const result = await this.applyScene(sceneId, null, {
+        source: "scene button",
+      });
+      await this.controller.recordAudit(
+        "applyScene",
+        { name: sceneId },
+        result,
+        null,
+        { source: "scene button" },
+      );
+      await this.adapter.setState(id, false, true);
+    } else {
+      await this.deleteScene(sceneId);
+    }
+    return true;
+  }
+
+  /**
+   * Parse the value written to scenes.save
+   *
+   * @param {string} input - Scene name or JSON with name and datapoints
+   * @returns {{name: string, datapoints: Array<string>}} Scene name and datapoints (empty for all)
+   */
+  static parseSaveInput(input) {
+    const text = String(input).trim();
+    if (text.startsWith("{")) {
+      try {
+        const parsed = JSON.parse(text);
+        return {
+          name: String(parsed.name || ""),
+          datapoints: Array.isArray(parsed.datapoints) ? parsed.datapoints : [],
+        };
+      } catch (_e) {
+        // Not JSON - use the text as name
+      }
+    }
+    return { name: text, datapoints: [] };
+  }
+
+  /**
+   * Load a scene by name or ID
+   *
+   * @param {string} name - Scene name
+   * @returns {Promise<{id: string, name: string, values: object}|null>} Scene or null if unknown
+   */
+  async _getScene(name) {
+    const sceneId = SceneManager.toSceneId(name);
+    if (!sceneId) {
+      return null;
+    }
+    const obj = await this.adapter.getObjectAsync(`scenes.${sceneId}`);
+    if (!obj?.native?.values) {
+      return null;
+    }
+    return {
+      id: sceneId,
+      name: obj.native.name || sceneId,
+      values: obj.native.values,
+    };
+  }
+
+  /**
+   * Create or replace the channel and states of a scene
+   *
+   * @param {string} sceneId - Scene ID
+   * @param {string} name - Scene name
+   * @param {object} values - Datapoint ID -> value
+   */
+  async _writeObjects(sceneId, name, values) {
+    const adapter = this.adapter;
+    const base = `scenes.${sceneId}`;
+    const savedAt = new Date().toISOString();
+
+    await adapter.setObjectAsync(base, {
+      type: "channel",
+      common: { name: name },
+      native: { name: name, values: values, savedAt: savedAt },
+    });
+
+    const textStates = {
+      values: ["Scene values", "json", JSON.stringify(values, null, 2)],
+      savedAt: ["Saved at", "date", savedAt],
+    };
+    for (const [stateId, [stateName, role, val]] of Object.entries(
+      textStates,
+    )) {
+      await adapter.setObjectNotExistsAsync(`${base}.${stateId}`, {
+        type: "state",
+        common: {
+          name: adapter.translate(stateName),
+          type: "string",
+          role: role,
+          read: true,
+          write: false,
+          def: "",
+        },
+        native: {},
+      });
+      await adapter.setState(`${base}.${stateId}`, val, true);
+    }
+
+    for (const [stateId, stateName] of [
+      ["apply", "Apply scene"],
+      ["delete", "Delete scene"],
+    ]) {
+      await adapter.setObjectNotExistsAsync(`${base}.${stateId}`, {
+        type: "state",
+        common: {
+          name: adapter.translate(stateName),
+          type: "boolean",
+          role: "button",
+          read: false,
+          write: true,
+          def: false,
+        },
+        native: {},
+      });
+    }
+  }
+}
+
+module.exports = SceneManager;
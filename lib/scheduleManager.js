@@ -0,0 +1,498 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const RECURRENCES = ["hourly", "daily", "weekdays", "weekly"];
+
+/**
+ * Delayed and recurring writes ("turn off the heater in 30 minutes")
+ * Every job is a state schedules.<jobId> whose native part holds the job,
+ * so jobs survive restarts. Jobs are executed as setState call of the
+ * DatapointController and pass the same permission and value checks
+ */
+class ScheduleManager {
+  /**
+   * Create a new schedule manager
+   *
+   * @param {object} adapter - ioBroker adapter instance for object and state management
+   * @param {object} controller - DatapointController executing the writes
+   */
+  constructor(adapter, controller) {
+    this.adapter = adapter;
+    this.controller = controller;
+    this.log = adapter.log;
+    this.maxJobs = 50;
+    // Missed one-time jobs later than this are discarded at startup
+    this.maxLatenessMs = (adapter.config?.scheduleMaxLateness ?? 60) * 60000;
+    this._timers = new Map(); // jobId -> timer
+  }
+
+  /**
+   * Create a new job ID (valid as ioBroker object ID part)
+   *
+   * @returns {string} Job ID
+   */
+  static createJobId() {
+    return `${Date.now().toString(36)}${crypto.randomBytes(3).toString("hex")}`;
+  }
+
+  /**
+   * Calculate the first run of a job
+   *
+   * @param {{delayMinutes?: number|string, at?: string}} parameters - Delay in minutes or absolute time (ISO date or HH:MM)
+   * @param {number} [now] - Current time in ms
+   * @returns {Date|null} Time of the first run or null if invalid
+   */
+  static parseRunTime(parameters, now = Date.now()) {
+    const delay = parseFloat(String(parameters?.delayMinutes ?? ""));
+    if (!Number.isNaN(delay)) {
+      return delay > 0 ? new Date(now + delay * 60000) : null;
+    }
+
+    const at = String(parameters?.at ?? "").trim();
+    const time = at.match(/^(\d{1,2}):(\d{2})$/);
+    if (time) {
+      if (Number(time[1]) > 23 || Number(time[2]) > 59) {
+        return null;
+      }
+      // Time of day: today, or tomorrow if it has passed
+      const date = new Date(now);
+      date.setHours(Number(time[1]), Number(time[2]), 0, 0);
+      if (date.getTime() <= now) {
+        date.setDate(date.getDate() + 1);
+      }
+      return date;
+    }
+
+    const date = at ? new Date(at) : null;
+    return date && !Number.isNaN(date.getTime()) && date.getTime() > now
+      ? date
+      : null;
+  }
+
+  /**
+   * Calculate the next run of a recurring job after a given time
+   *
+   * @param {Date} runAt - Last planned run
+   * @param {string} recurrence - hourly, daily, weekdays or weekly
+   * @param {number} [now] - Current time in ms
+   * @returns {Date} Next run in the future
+   */
+  static nextRun(runAt, recurrence, now = Date.now()) {
+    const next = new Date(runAt.getTime());
+    do {
+      switch (recurrence) {
+        case "hourly":
+          next.setHours(next.getHours() + 1);
+          break;
+        case "weekly":
+          next.setDate(next.getDate() + 7);
+          break;
+        case "weekdays":
+          do {
+            next.setDate(next.getDate() + 1);
+          } while (next.getDay() === 0 || next.getDay() === 6);
+          break;
+        default:
+          next.setDate(next.getDate() + 1);
+      }
+    } while (next.getTime() <= now);
+    return next;
+  }
+
+  /**
+   * Create the schedules channel and restart the jobs of the last run
+   * One-time jobs that were due while the adapter was stopped run now,
+   * unless they are later than the configured maximum lateness
+   */
+  async initialize() {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync("schedules", {
+      type: "channel",
+      common: { name: adapter.translate("Scheduled actions") },
+      native: {},
+    });
+    await adapter.setObjectNotExistsAsync("schedules.cancel", {
+      type: "state",
+      common: {
+        name: adapter.translate("Cancel scheduled action"),
+        desc: adapter.translate("ID of the scheduled action to cancel"),
+        type: "string",
+        role: "text",
+        read: true,
+        write: true,
+        def: "",
+      },
+      native: {},
+    });
+
+    for (const job of await this._loadJobs()) {
+      if (new Date(job.runAt).getTime() <= Date.now()) {
+        if (job.recurrence) {
+          job.runAt = ScheduleManager.nextRun(
+            new Date(job.runAt),
+            job.recurrence,
+          ).toISOString();
+          await this._writeObject(job);
+        } else if (
+          Date.now() - new Date(job.runAt).getTime() >
+          this.maxLatenessMs
+        ) {
+          this.log.warn(
+            `[Schedule] Discarding ${job.jobId} that was due at ${job.runAt} while the adapter was stopped: ${ScheduleManager.describe(job)}`,
+          );
+          await this._discard(job.jobId);
+          continue;
+        } else {
+          this.log.info(
+            `[Schedule] Running ${job.jobId} that was due at ${job.runAt} while the adapter was stopped`,
+          );
+        }
+      }
+      this._arm(job);
+    }
+  }
+
+  /**
+   * Schedule a write
+   * The target and value are checked now and again when the job runs
+   *
+   * @param {object} parameters - datapoint, value, delayMinutes or at, optional recurrence
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who scheduled the write (used for the audit log of the execution)
+   * @returns {Promise<object>} Created job
+   */
+  async scheduleSetState(parameters, client = null, context = {}) {
+    const recurrence = parameters?.recurrence
+      ? String(parameters.recurrence).toLowerCase()
+      : null;
+    if (recurrence && !RECURRENCES.includes(recurrence)) {
+      return {
+        success: false,
+        error: `Invalid recurrence "${parameters.recurrence}". Allowed values: ${RECURRENCES.join(", ")}`,
+      };
+    }
+
+    let runAt = ScheduleManager.parseRunTime(parameters);
+    if (runAt && recurrence === "weekdays" && [0, 6].includes(runAt.getDay())) {
+      runAt = ScheduleManager.nextRun(runAt, recurrence, runAt.getTime());
+    }
+    if (!runAt) {
+      return {
+        success: false,
+        error:
+          "Missing or invalid time: use delayMinutes (> 0) or at (future ISO date/time or HH:MM)",
+      };
+    }
+
+    const jobs = await this._loadJobs();
+    if (jobs.length >= this.maxJobs) {
+      return {
+        success: false,
+        error: `Too many scheduled actions (maximum ${this.maxJobs}) - cancel one first`,
+      };
+    }
+
+    const check = await this.controller.checkWrite(
+      parameters?.datapoint,
+      parameters?.value,
+      client,
+    );
+    if (!check.success) {
+      return check;
+    }
+
+    const job = {
+      jobId: ScheduleManager.createJobId(),
+      datapoint: check.datapoint,
+      value: check.value,
+      runAt: runAt.toISOString(),
+      recurrence: recurrence,
+      client: client
+        ? {
+            name: client.name,
+            readOnly: client.readOnly,
+            datapoints: client.datapoints ? [...client.datapoints] : null,
+            writeDatapoints: client.writeDatapoints
+              ? [...client.writeDatapoints]
+              : null,
+          }
+        : null,
+      context: {
+        source: context.source,
+        model: context.model,
+        prompt: context.prompt,
+      },
+      createdAt: new Date().toISOString(),
+    };
+    await this._writeObject(job);
+    this._arm(job);
+
+    const description = ScheduleManager.describe(job);
+    this.log.info(`[Schedule] Scheduled ${job.jobId}: ${description}`);
+    return {
+      success: true,
+      scheduleId: job.jobId,
+      datapoint: job.datapoint,
+      value: job.value,
+      runAt: job.runAt,
+      ...(recurrence ? { recurrence: recurrence } : {}),
+      ...(check.adjustments.length > 0
+        ? { adjustments: check.adjustments }
+        : {}),
+      message: `Scheduled (ID ${job.jobId}): ${description}`,
+    };
+  }
+
+  /**
+   * List the scheduled writes
+   *
+   * @param {object} [client] - ToolServer client profile (only shows datapoints it may read)
+   * @returns {Promise<object>} Jobs ordered by next run
+   */
+  async listSchedules(client = null) {
+    const jobs = (await this._loadJobs())
+      .filter((job) =>
+        this.controller.isDatapointReadAllowed(job.datapoint, client),
+      )
+      .sort((a, b) => a.runAt.localeCompare(b.runAt))
+      .map((job) => ({
+        scheduleId: job.jobId,
+        datapoint: job.datapoint,
+        value: job.value,
+        runAt: job.runAt,
+        recurrence: job.recurrence,
+        description: ScheduleManager.describe(job),
+      }));
+
+    return {
+      success: true,
+      schedules: jobs,
+      message:
+        jobs.length > 0
+          ? `Scheduled actions: ${jobs.map((job) => `${job.scheduleId}: ${job.description}`).join("; ")}`
+          : "There are no scheduled actions",
+    };
+  }
+
+  /**
+   * Cancel a scheduled write
+   *
+   * @param {string} jobId - Job ID
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @returns {Promise<object>} Result of the cancellation
+   */
+  async cancelSchedule(jobId, client = null) {
+    const job = (await this._loadJobs()).find(
+      (entry) => entry.jobId === String(jobId || "").trim(),
+    );
+    if (!job) {
+      return { success: false, error: `Unknown scheduled action: ${jobId}` };
+    }
+    if (
+      client &&
+      !this.controller.isDatapointWriteAllowed(job.datapoint, client)
+    ) {
+      return {
+        success: false,
+        error: `Client "${client.name}" may not cancel actions for ${job.datapoint}`,
+      };
+    }
+
+    await this._discard(job.jobId);
+    const description = ScheduleManager.describe(job);
+    this.log.info(`[Schedule] Cancelled ${job.jobId}: ${description}`);
+    return {
+      success: true,
+      scheduleId: job.jobId,
+      message: `Cancelled: ${description}`,
+    };
+  }
+
+  /**
+   * Handle writes to schedules.cancel
+   *
+   * @param {string} id - Full state ID
+   * @param {ioBroker.State} state - New state
+   * @returns {Promise<boolean>} True if the state belonged to the schedules
+   */
+  async handleStateChange(id, state) {
+    if (id !== `${this.adapter.namespace}.schedules.cancel`) {
+      return false;
+    }
+    if (state.ack || !state.val) {
+      return true;
+    }
+
+    const result = await this.cancelSchedule(String(state.val));
+    if (!result.success) {
+      this.log.warn(`[Schedule] ${result.error}`);
+    }
+    await this.adapter.setState("schedules.cancel", String(state.val), true);
+    return true;
+  }
+
+  /**
+   * Stop all timers (jobs are restarted from their objects on next start)
+   */
+  stop() {
+    for (const timer of this._timers.values()) {
+      this.adapter.clearTimeout(timer);
+    }
+    this._timers.clear();
+  }
+
+  /**
+   * Describe a job for the model and the schedules channel
+   *
+   * @param {object} job - Job
+   * @returns {string} Description
+   */
+  static describe(job) {
+    const time = new Date(job.runAt).toLocaleString();
+    return job.recurrence
+      ? `Set ${job.datapoint} to ${job.value} ${job.recurrence}, next run ${time}`
+      : `Set ${job.datapoint} to ${job.value} at ${time}`;
+  }
+
+  /**
+   * Start the timer of a job
+   * Long delays are split, because timers only hold about 24 days
+   *
+   * @param {object} job - Job
+   */
+  _arm(job) {
+    if (this._timers.has(job.jobId)) {
+      this.adapter.clearTimeout(this._timers.get(job.jobId));
+    }
+    const delay = Math.max(new Date(job.runAt).getTime() - Date.now(), 0);
+    const timer = this.adapter.setTimeout(
+      () => {
+        this._timers.delete(job.jobId);
+        if (new Date(job.runAt).getTime() > Date.now()) {
+          this._arm(job);
+          return;
+        }
+        this._run(job).catch((error) =>
+          this.log.warn(
+            `[Schedule] Could not run ${job.jobId}: ${error.message}`,
+          ),
+        );
+      },
+      Math.min(delay, 86400000),
+    );
+    this._timers.set(job.jobId, timer);
+  }
+
+  /**
+   * Execute a job and plan its next run or remove it
+   *
+   * @param {object} job - Job
+   */
+  async _run(job) {
+    const client = job.client
+      ? {
+          ...job.client,
+          datapoints: job.client.datapoints
+            ? new Set(job.client.datapoints)
+            : null,
+          writeDatapoints: job.client.writeDatapoints
+            ? new Set(job.client.writeDatapoints)
+            : null,
+        }
+      : null;
+    const result = await this.controller.executeFunctionCall(
+      "setState",
+      { datapoint: job.datapoint, value: job.value },
+      client,
+      { ...job.context, source: `schedule ${job.jobId}` },
+    );
+    if (result.success) {
+      this.log.info(
+        `[Schedule] Executed ${job.jobId}: ${ScheduleManager.describe(job)}`,
+      );
+    } else {
+      this.log.warn(`[Schedule] ${job.jobId} failed: ${result.error}`);
+    }
+
+    if (job.recurrence) {
+      job.runAt = ScheduleManager.nextRun(
+        new Date(job.runAt),
+        job.recurrence,
+      ).toISOString();
+      await this._writeObject(job);
+      this._arm(job);
+    } else {
+      await this._discard(job.jobId);
+    }
+  }
+
+  /**
+   * Load all jobs from their objects
+   *
+   * @returns {Promise<Array<object>>} Jobs
+   */
+  async _loadJobs() {
+    const objects = await this.adapter.getForeignObjectsAsync(
+      `${this.adapter.namespace}.schedules.*`,
+      "state",
+    );
+    return Object.values(objects || {})
+      .map((obj) => obj?.native)
+      .filter((job) => job?.jobId && job.datapoint && job.runAt);
+  }
+
+  /**
+   * Create or update the state of a job
+   *
+   * @param {object} job - Job
+   */
+  async _writeObject(job) {
+    const description = ScheduleManager.describe(job);
+    await this.adapter.setObjectAsync(`schedules.${job.jobId}`, {
+      type: "state",
+      common: {
+        name: description,
+        type: "string",
+        role: "json",
+        read: true,
+        write: false,
+        def: "",
+      },
+      native: job,
+    });
+    await this.adapter.setState(
+      `schedules.${job.jobId}`,
+      JSON.stringify({
+        description: description,
+        datapoint: job.datapoint,
+        value: job.value,
+        nextRun: job.runAt,
+        recurrence: job.recurrence,
+      }),
+      true,
+    );
+  }
+
+  /**
+   * Stop a job and remove its state
+   *
+   * @param {string} jobId - Job ID
+   */
+  async _discard(jobId) {
+    if (this._timers.has(jobId)) {
+      this.adapter.clearTimeout(this._timers.get(jobId));
+      this._timers.delete(jobId);
+    }
+    try {
+      await this.adapter.delObjectAsync(`schedules.${jobId}`);
+    } catch (error) {
+      this.log.debug(
+        `[Schedule] Could not remove objects of ${jobId}: ${error.message}`,
+      );
+    }
+  }
+}
+
+module.exports = ScheduleManager;
@@ -0,0 +1,299 @@
+"use strict";
+
+/**
+ * User-defined tools registered by scripts through sendTo("registerTool")
+ * Tool calls of the model are forwarded to the script with the javascript
+ * adapter's "toScript" message and the script's answer is returned to the model.
+ * Registrations are kept in the native part of the tools channel, so they
+ * survive restarts of the adapter
+ */
+class ToolRegistry {
+  /**
+   * Create a new tool registry
+   *
+   * @param {object} adapter - ioBroker adapter instance used for sendTo and objects
+   * @param {Array<string>} reservedNames - Names of the built-in tools
+   */
+  constructor(adapter, reservedNames = []) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this.reservedNames = new Set(reservedNames);
+    this.maxTools = 50;
+    this.defaultTimeout = 30; // seconds
+    this._tools = new Map(); // name -> registration
+  }
+
+  /**
+   * Create the tools channel and load the registrations of the last run
+   */
+  async initialize() {
+    const adapter = this.adapter;
+
+    await adapter.setObjectNotExistsAsync("tools", {
+      type: "channel",
+      common: { name: adapter.translate("Registered tools") },
+      native: { tools: [] },
+    });
+    await adapter.setObjectNotExistsAsync("tools.registered", {
+      type: "state",
+      common: {
+        name: adapter.translate("Registered tools"),
+        type: "string",
+        role: "json",
+        read: true,
+        write: false,
+        def: "[]",
+      },
+      native: {},
+    });
+
+    const obj = await adapter.getObjectAsync("tools");
+    for (const tool of obj?.native?.tools || []) {
+      this._tools.set(tool.name, tool);
+    }
+    if (this._tools.size > 0) {
+      this.log.info(
+        `[Tools] Loaded ${this._tools.size} registered tool(s): ${[...this._tools.keys()].join(", ")}`,
+      );
+    }
+    await this._updateRegisteredState();
+  }
+
+  /**
+   * Register or replace a tool
+   *
+   * @param {object} registration - name, description, parameters (JSON schema), instance, optional script, readOnly and timeout
+   * @param {string} [from] - Sender of the registration (default handler instance)
+   * @returns {Promise<object>} Registered tool
+   */
+  async register(registration, from = "") {
+    const name = String(registration?.name || "").trim();
+    if (!/^[a-zA-Z][\w-]{0,63}$/.test(name)) {
+      return {
+        success: false,
+        error:
+          "Parameter 'name' must start with a letter and contain only letters, digits, _ and - (max. 64 characters)",
+      };
+    }
+    if (this.reservedNames.has(name)) {
+      return {
+        success: false,
+        error: `"${name}" is a built-in tool and cannot be replaced`,
+      };
+    }
+    if (!registration.description || !String(registration.description).trim()) {
+      return { success: false, error: "Parameter 'description' is required" };
+    }
+
+    const parameters = registration.parameters || {
+      type: "object",
+      properties: {},
+    };
+    if (
+      typeof parameters !== "object" ||
+      Array.isArray(parameters) ||
+      parameters.type !== "object"
+    ) {
+      return {
+        success: false,
+        error: "Parameter 'parameters' must be a JSON schema of type 'object'",
+      };
+    }
+
+    const instance = String(
+      registration.instance || from.replace(/^system\.adapter\./, ""),
+    ).trim();
+    if (!/^[\w-]+\.\d+$/.test(instance)) {
+      return {
+        success: false,
+        error:
+          "Parameter 'instance' is required (handler instance, e.g. javascript.0)",
+      };
+    }
+
+    if (!this._tools.has(name) && this._tools.size >= this.maxTools) {
+      return {
+        success: false,
+        error: `Too many registered tools (maximum ${this.maxTools})`,
+      };
+    }
+
+    const timeout = parseInt(
+      String(registration.timeout ?? this.defaultTimeout),
+      10,
+    );
+    const tool = {
+      name: name,
+      description: String(registration.description).trim(),
+      parameters: parameters,
+      instance: instance,
+      script: registration.script ? String(registration.script) : null,
+      readOnly: registration.readOnly === true,
+      timeout: timeout > 0 && timeout <= 300 ? timeout : this.defaultTimeout,
+      registeredAt: new Date().toISOString(),
+    };
+    this._tools.set(name, tool);
+    await this._save();
+
+    this.log.info(
+      `[Tools] Registered tool "${name}" handled by ${instance}${tool.script ? ` (${tool.script})` : ""}`,
+    );
+    return { success: true, tool: tool };
+  }
+
+  /**
+   * Remove a registered tool
+   *
+   * @param {string} name - Tool name
+   * @returns {Promise<object>} Result of the removal
+   */
+  async unregister(name) {
+    if (!this._tools.delete(String(name || "").trim())) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+    await this._save();
+    this.log.info(`[Tools] Unregistered tool "${name}"`);
+    return { success: true, name: String(name).trim() };
+  }
+
+  /**
+   * Check whether a tool is registered
+   *
+   * @param {string} name - Tool name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this._tools.has(name);
+  }
+
+  /**
+   * List the registered tools
+   *
+   * @returns {Array<object>} Registrations
+   */
+  list() {
+    return [...this._tools.values()];
+  }
+
+  /**
+   * Function definitions of the registered tools
+   *
+   * @param {object} [client] - ToolServer client profile (read-only clients only get read-only tools)
+   * @returns {Array<object>} OpenAI-compatible function definitions
+   */
+  getFunctionDefinitions(client = null) {
+    return this.list()
+      .filter((tool) => tool.readOnly || !client?.readOnly)
+      .map((tool) => ({
+        type: "function",
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters,
+        },
+      }));
+  }
+
+  /**
+   * Forward a tool call to the handler script and return its answer
+   *
+   * @param {string} name - Tool name
+   * @param {object} parameters - Arguments from the model
+   * @param {object} [client] - ToolServer client profile restricting access
+   * @param {{source?: string, model?: string, prompt?: string}} [context] - Who requested the call (passed to the script)
+   * @returns {Promise<object>} Answer of the script
+   */
+  async call(name, parameters, client = null, context = {}) {
+    const tool = this._tools.get(name);
+    if (!tool) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+    if (client?.readOnly && !tool.readOnly) {
+      return {
+        success: false,
+        error: `Client "${client.name}" has read-only access`,
+      };
+    }
+
+    let response;
+    try {
+      response = await this.adapter.sendToAsync(
+        tool.instance,
+        "toScript",
+        {
+          ...(tool.script ? { script: tool.script } : {}),
+          message: tool.name,
+          data: {
+            arguments: parameters || {},
+            context: {
+              source: context.source,
+              model: context.model,
+              client: client?.name,
+            },
+          },
+        },
+        { timeout: tool.timeout * 1000 },
+      );
+    } catch (error) {
+      this.log.warn(`[Tools] ${name} failed: ${error.message}`);
+      return {
+        success: false,
+        error: `Tool ${name} did not answer: ${error.message}`,
+      };
+    }
+
+    // sendToAsync resolves with an Error if the timeout is exceeded
+    if (response instanceof Error) {
+      this.log.warn(`[Tools] ${name} failed: ${response.message}`);
+      return {
+        success: false,
+        error: `Tool ${name} did not answer: ${response.message}`,
+      };
+    }
+
+    // Scripts may answer with a plain value or a result object
+    if (response && typeof response === "object" && "success" in response) {
+      return response;
+    }
+    if (response && typeof response === "object" && response.error) {
+      return { success: false, error: String(response.error) };
+    }
+    return { success: true, result: response ?? null };
+  }
+
+  /**
+   * Store the registrations and update tools.registered
+   */
+  async _save() {
+    const obj = await this.adapter.getObjectAsync("tools");
+    await this.adapter.setObjectAsync("tools", {
+      type: "channel",
+      common: obj?.common || { name: "Registered tools" },
+      native: { tools: this.list() },
+    });
+    await this._updateRegisteredState();
+  }
+
+  /**
+   * Show the registered tools in tools.registered
+   */
+  async _updateRegisteredState() {
+    await this.adapter.setState(
+      "tools.registered",
+      JSON.stringify(
+        this.list().map((tool) => ({
+          name: tool.name,
+          description: tool.description,
+          instance: tool.instance,
+          script: tool.script,
+          readOnly: tool.readOnly,
+        })),
+        null,
+        2,
+      ),
+      true,
+    );
+  }
+}
+
+module.exports = ToolRegistry;
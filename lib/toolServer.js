@@ -6,6 +6,20 @@ const net = require("net");
 const { QdrantClient } = require("@qdrant/qdrant-js");
 const HttpClient = require("./httpClient");
 const OllamaClient = require("./ollamaClient");
+const UsageTracker = require("./usageTracker");
+const ToolServerAuth = require("./toolServerAuth");
+
+// OpenWebUI tools that change datapoints or send messages (not offered to read-only clients)
+const WRITE_TOOLS = [
+  "setState",
+  "setStates",
+  "undoLast",
+  "saveScene",
+  "applyScene",
+  "scheduleSetState",
+  "cancelSchedule",
+  "notify",
+];
 
 /**
  * OpenWebUI Tools Server for ioBroker
@@ -49,7 +63,27 @@ class ToolServer {
     );
     this.embeddingModel = config.embeddingModel || "nomic-embed-text";
     this.chatModel = config.toolServerChatModel || "llama3.2:latest";
-    this.apiKey = config.openWebUIApiKey || "";
+
+    // Chat backend: OpenWebUI or an OpenAI-compatible server (llama.cpp, LM Studio, vLLM)
+    this.openAICompatible = config.backendType === "openai";
+    this.chatApiUrl = this.openAICompatible
+      ? config.openAIBaseUrl
+      : `${this.openWebUIUrl}/api`;
+    this.modelsUrl = this.openAICompatible
+      ? `${config.openAIBaseUrl}${config.openAIModelsPath || "/models"}`
+      : `${this.openWebUIUrl}/api/models`;
+    this.apiKey =
+      (this.openAICompatible ? config.openAIApiKey : config.openWebUIApiKey) ||
+      "";
+    this.maxToolIterations = config.toolServerMaxToolIterations || 5;
+
+    // Cached model list for /v1/models (avoids an Ollama request per call)
+    this._modelListCache = null;
+    this._modelListCacheTime = 0;
+    this._modelListCacheTtl = 60000; // 1 minute
+
+    // Bearer token authentication with per-client profiles
+    this.auth = new ToolServerAuth(config, log);
 
     this._setupExpress();
     this._setupRoutes();
@@ -79,13 +113,45 @@ class ToolServer {
 
   /**
    * Setup Express middleware
+   * Requests are authenticated before their body is read
    */
   _setupExpress() {
-    this.app.use(cors({ origin: true, credentials: true }));
+    this.app.use(
+      cors({
+        origin: ToolServer.getCorsOrigin(this.config.toolServerCorsOrigins),
+      }),
+    );
+    this.app.use(this.auth.middleware());
     this.app.use(express.json({ limit: "50mb" }));
     this.app.use(express.urlencoded({ extended: true }));
   }
 
+  /**
+   * Build the CORS origin option from the configured origins
+   * API keys are sent as header, so no credentials are allowed cross-origin
+   *
+   * @param {string} [origins] - Comma separated origins, "*" for any origin
+   * @returns {boolean|string|Array<string>} false (no cross-origin access), "*" or the allowed origins
+   */
+  static getCorsOrigin(origins) {
+    const list = String(origins || "")
+      .split(/[,;\s]+/)
+      .filter(Boolean);
+    if (list.includes("*")) {
+      return "*";
+    }
+    return list.length > 0 ? list : false;
+  }
+
+  /**
+   * Get the bearer token the adapter uses for its own ToolServer requests
+   *
+   * @returns {string} Internal API key
+   */
+  getInternalToken() {
+    return this.auth.getInternalToken();
+  }
+
   /**
    * Setup all routes for the ToolServer as OpenWebUI Tools API
    */
@@ -112,14 +178,14 @@ class ToolServer {
     // OpenAPI spec endpoint for OpenWebUI Tools discovery
     this.app.get("/openapi.json", async (req, res) => {
       try {
-        const spec = await this._getEnhancedOpenAPISpec();
+        const spec = await this._getEnhancedOpenAPISpec(req.client);
         res.json(spec);
       } catch (error) {
         this.log.error(
           `[ToolServer] Error generating OpenAPI spec: ${error.message}`,
         );
         // Fallback to basic spec
-        res.json(this._getOpenAPISpec());
+        res.json(this._getOpenAPISpec(req.client));
       }
     });
 
@@ -132,9 +198,27 @@ class ToolServer {
         health: "/health",
         tools: {
           setState: "POST /setState - Control ioBroker datapoints",
+          setStates: "POST /setStates - Control several datapoints at once",
+          saveScene: "POST /saveScene - Save datapoint values as a scene",
+          listScenes: "POST /listScenes - List saved scenes",
+          applyScene: "POST /applyScene - Restore a saved scene",
+          scheduleSetState:
+            "POST /scheduleSetState - Set a datapoint later or repeatedly",
+          listSchedules: "POST /listSchedules - List scheduled actions",
+          cancelSchedule: "POST /cancelSchedule - Cancel a scheduled action",
+          notify: "POST /notify - Send a message through a messaging channel",
+          registeredTools: "POST /tools/<name> - Tools registered by scripts",
           getState: "POST /getState - Read ioBroker datapoints",
+          getHistory:
+            "POST /getHistory - Min, max, average and count over a time range",
           ragQuery: "POST /rag_query - Vector database search with AI",
         },
+        openai: {
+          models: "GET /v1/models - List available models",
+          embeddings: "POST /v1/embeddings - Create embeddings",
+          chatCompletions:
+            "POST /v1/chat/completions - Chat with smart home tools",
+        },
       });
     });
 
@@ -143,19 +227,70 @@ class ToolServer {
       await this._handleSetStateRequest(req, res);
     });
 
+    // OpenWebUI Tools API - setStates for several datapoints at once
+    this.app.post("/setStates", async (req, res) => {
+      await this._handleSetStatesRequest(req, res);
+    });
+
     // OpenWebUI Tools API - getState for datapoint reading
     this.app.post("/getState", async (req, res) => {
       await this._handleGetStateRequest(req, res);
     });
 
+    // OpenWebUI Tools API - undoLast to restore the previous values
+    this.app.post("/undoLast", async (req, res) => {
+      await this._handleUndoRequest(req, res);
+    });
+
+    // OpenWebUI Tools API - history, saved scenes, scheduled actions and notifications
+    for (const functionName of [
+      "getHistory",
+      "saveScene",
+      "listScenes",
+      "applyScene",
+      "scheduleSetState",
+      "listSchedules",
+      "cancelSchedule",
+      "notify",
+    ]) {
+      this.app.post(`/${functionName}`, async (req, res) => {
+        await this._handleToolRequest(req, res, functionName);
+      });
+    }
+
+    // OpenWebUI Tools API - tools registered by scripts
+    this.app.post("/tools/:name", async (req, res) => {
+      if (!this.datapointController?.toolRegistry?.has(req.params.name)) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown tool: ${req.params.name}`,
+        });
+      }
+      await this._handleToolRequest(req, res, req.params.name);
+    });
+
     // OpenWebUI Tools API - RAG query for vector database search
     this.app.post("/rag_query", async (req, res) => {
       await this._handleRAGRequest(req, res);
     });
 
     // Chat completions endpoint for OllamaClient integration
-    this.app.post("/chat/completions", async (req, res) => {
-      await this._handleChatCompletions(req, res);
+    // Also served under /v1 so OpenAI clients can use the ToolServer as base URL
+    this.app.post(
+      ["/chat/completions", "/v1/chat/completions"],
+      async (req, res) => {
+        await this._handleChatCompletions(req, res);
+      },
+    );
+
+    // OpenAI-compatible model listing
+    this.app.get("/v1/models", async (req, res) => {
+      await this._handleModelsRequest(req, res);
+    });
+
+    // OpenAI-compatible embeddings
+    this.app.post("/v1/embeddings", async (req, res) => {
+      await this._handleEmbeddingsRequest(req, res);
     });
 
     this.log.info(
@@ -165,51 +300,40 @@ class ToolServer {
 
   /**
    * Get enhanced OpenAPI specification with dynamic datapoint information
+   *
+   * @param {object} [client] - Client profile of the request (limits tools and datapoints)
+   * @returns {Promise<object>} OpenAPI specification
    */
-  async _getEnhancedOpenAPISpec() {
-    const spec = require("./openapi-spec.json");
-
-    // Update server URL dynamically
-    spec.servers[0].url = OllamaClient.createHttpUrl(
-      this.host === "0.0.0.0" ? "localhost" : this.host,
-      this.port,
-    );
+  async _getEnhancedOpenAPISpec(client = null) {
+    const spec = this._getOpenAPISpec(client);
 
     // Get enhanced datapoint information if available
     try {
       if (this.datapointController?.getEnhancedFunctionDefinitions) {
         const enhancedFunctions =
-          await this.datapointController.getEnhancedFunctionDefinitions();
+          await this.datapointController.getEnhancedFunctionDefinitions(client);
         if (enhancedFunctions.length > 0) {
           this.log.debug(
             "[ToolServer] Using enhanced function definitions with object information",
           );
 
-          // Update the enum for datapoints with detailed information
-          const allowedDatapoints = Array.from(
-            this.datapointController?.allowedDatapoints || [],
-          );
-
-          if (allowedDatapoints.length > 0) {
-            // Update setState datapoint enum
-            const setStateDatapointSchema =
-              spec.paths["/setState"]?.post?.requestBody?.content?.[
-                "application/json"
-              ]?.schema?.properties?.datapoint;
-            if (setStateDatapointSchema) {
-              setStateDatapointSchema["enum"] = allowedDatapoints;
-              setStateDatapointSchema.description = `The ID of the datapoint to control. Available datapoints: ${allowedDatapoints.join(", ")}`;
-            }
-
-            // Update getState datapoint enum
-            const getStateDatapointSchema =
-              spec.paths["/getState"]?.post?.requestBody?.content?.[
-                "application/json"
-              ]?.schema?.properties?.datapoint;
-            if (getStateDatapointSchema) {
-              getStateDatapointSchema["enum"] = allowedDatapoints;
-              getStateDatapointSchema.description = `The ID of the datapoint to read. Available datapoints: ${allowedDatapoints.join(", ")}`;
-            }
+          // Offer the labels of selection lists as setState values
+          const setStateValueSchema = enhancedFunctions.find(
+            (def) => def.function.name === "setState",
+          )?.function.parameters.properties.value;
+          const setStateProperties =
+            spec.paths["/setState"]?.post?.requestBody?.content?.[
+              "application/json"
+            ]?.schema?.properties;
+          if (setStateValueSchema?.anyOf && setStateProperties) {
+            setStateProperties.value = setStateValueSchema;
+          }
+          const setStatesItemProperties =
+            spec.paths["/setStates"]?.post?.requestBody?.content?.[
+              "application/json"
+            ]?.schema?.properties?.changes?.items?.properties;
+          if (setStateValueSchema?.anyOf && setStatesItemProperties) {
+            setStatesItemProperties.value = setStateValueSchema;
           }
         }
       }
@@ -222,11 +346,65 @@ class ToolServer {
     return spec;
   }
 
+  /**
+   * Add the tools registered by scripts as /tools/<name> paths and the
+   * configured channels to /notify
+   *
+   * @param {object} spec - OpenAPI specification
+   * @param {object} [client] - Client profile (read-only clients only get read-only tools)
+   */
+  _updateDynamicToolPaths(spec, client = null) {
+    const notifyChannelSchema =
+      spec.paths["/notify"]?.post?.requestBody?.content?.["application/json"]
+        ?.schema?.properties?.channel;
+    const channels =
+      this.datapointController?.notificationSender?.getChannelNames() || [];
+    if (notifyChannelSchema && channels.length > 0) {
+      notifyChannelSchema["enum"] = [...channels, "all"];
+      notifyChannelSchema.description = `Channel to send the message to. Available channels: ${channels.join(", ")}`;
+    }
+
+    const tools = this.datapointController?.toolRegistry?.list() || [];
+    for (const tool of tools.filter((t) => t.readOnly || !client?.readOnly)) {
+      spec.paths[`/tools/${tool.name}`] = {
+        post: {
+          summary: tool.name,
+          description: tool.description,
+          operationId: tool.name,
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": { schema: tool.parameters },
+            },
+          },
+          responses: {
+            200: { description: "Answer of the tool" },
+            400: { description: "The tool reported an error" },
+            403: { description: "Client has read-only access" },
+            500: { description: "Internal server error" },
+          },
+        },
+      };
+    }
+  }
+
   /**
    * Get OpenAPI specification for OpenWebUI Tools
+   * Read-only clients do not see the write tools, the datapoint enums only
+   * list the datapoints within the client's allow-list
+   *
+   * @param {object} [client] - Client profile of the request
+   * @returns {object} OpenAPI specification
    */
-  _getOpenAPISpec() {
-    const spec = require("./openapi-spec.json");
+  _getOpenAPISpec(client = null) {
+    // Copy the cached module, the dynamic paths and enums are added per request
+    const spec = structuredClone(require("./openapi-spec.json"));
+    this._updateDynamicToolPaths(spec, client);
+    if (client?.readOnly) {
+      for (const name of WRITE_TOOLS) {
+        delete spec.paths[`/${name}`];
+      }
+    }
 
     // Update server URL dynamically
     spec.servers[0].url = OllamaClient.createHttpUrl(
@@ -234,10 +412,10 @@ class ToolServer {
       this.port,
     );
 
-    // Add allowed datapoints to enum if available
+    // Add the datapoints visible to the client to the enums
     const allowedDatapoints = Array.from(
       this.datapointController?.allowedDatapoints || [],
-    );
+    ).filter((fullId) => ToolServerAuth.isDatapointAllowed(client, fullId));
 
     if (allowedDatapoints.length > 0) {
       // Update setState datapoint enum
@@ -250,6 +428,16 @@ class ToolServer {
         setStateDatapointSchema.description = `The ID of the datapoint to control. Available datapoints: ${allowedDatapoints.join(", ")}`;
       }
 
+      // Update setStates datapoint enum
+      const setStatesDatapointSchema =
+        spec.paths["/setStates"]?.post?.requestBody?.content?.[
+          "application/json"
+        ]?.schema?.properties?.changes?.items?.properties?.datapoint;
+      if (setStatesDatapointSchema) {
+        setStatesDatapointSchema["enum"] = allowedDatapoints;
+        setStatesDatapointSchema.description = `The ID of the datapoint to control. Available datapoints: ${allowedDatapoints.join(", ")}`;
+      }
+
       // Update getState datapoint enum
       const getStateDatapointSchema =
         spec.paths["/getState"]?.post?.requestBody?.content?.[
@@ -272,7 +460,7 @@ class ToolServer {
    */
   async _handleSetStateRequest(req, res) {
     try {
-      const { datapoint, value } = req.body;
+      const { datapoint, value, verify } = req.body;
 
       if (!datapoint || value === undefined) {
         return res.status(400).json({
@@ -288,14 +476,29 @@ class ToolServer {
         });
       }
 
+      if (req.client?.readOnly) {
+        this.log.warn(
+          `[ToolServer] Rejected setState of ${datapoint} from read-only client "${req.client.name}"`,
+        );
+        return res.status(403).json({
+          success: false,
+          error: `Client "${req.client.name}" has read-only access`,
+        });
+      }
+
       this.log.debug(`[ToolServer] setState request: ${datapoint} = ${value}`);
 
-      // Use the DatapointController's executeSetState which handles ID resolution
+      // Run through executeFunctionCall, which handles ID resolution and the audit log
       try {
-        const result = await this.datapointController.executeSetState({
-          datapoint,
-          value,
-        });
+        const result = await this.datapointController.executeFunctionCall(
+          "setState",
+          { datapoint, value, verify },
+          req.client,
+          this._getAuditContext(req, "OpenWebUI"),
+        );
+        if (!result.success) {
+          return res.status(400).json(result);
+        }
 
         res.json({
           success: true,
@@ -303,6 +506,19 @@ class ToolServer {
           datapoint: result.datapoint,
           originalInput: result.originalInput,
           value: result.value,
+          ...(result.verification
+            ? {
+                verification: result.verification,
+                confirmedValue: result.confirmedValue,
+              }
+            : {}),
+          ...(result.pending
+            ? {
+                pending: true,
+                actionId: result.actionId,
+                expiresAt: result.expiresAt,
+              }
+            : {}),
         });
       } catch (error) {
         res.status(400).json({
@@ -345,17 +561,21 @@ class ToolServer {
 
       this.log.debug(`[ToolServer] getState request: ${datapoint}`);
 
-      // Use the DatapointController's executeGetState which handles ID resolution
+      // Run through executeFunctionCall, which handles ID resolution and the audit log
       try {
-        const result = await this.datapointController.executeGetState({
-          datapoint,
-        });
+        const result = await this.datapointController.executeFunctionCall(
+          "getState",
+          { datapoint },
+          req.client,
+          this._getAuditContext(req, "OpenWebUI"),
+        );
 
         res.json({
           success: true,
           datapoint: result.datapoint,
           originalInput: result.originalInput,
           value: result.value,
+          ...(result.label !== undefined ? { label: result.label } : {}),
           timestamp: result.timestamp || new Date().toISOString(),
           message: result.message,
         });
@@ -374,6 +594,154 @@ class ToolServer {
     }
   }
 
+  /**
+   * Handle setStates requests - OpenWebUI Tool
+   *
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async _handleSetStatesRequest(req, res) {
+    try {
+      if (!this.datapointController) {
+        return res.status(500).json({
+          success: false,
+          error: "Datapoint controller not available",
+        });
+      }
+
+      if (req.client?.readOnly) {
+        this.log.warn(
+          `[ToolServer] Rejected setStates from read-only client "${req.client.name}"`,
+        );
+        return res.status(403).json({
+          success: false,
+          error: `Client "${req.client.name}" has read-only access`,
+        });
+      }
+
+      const result = await this.datapointController.executeFunctionCall(
+        "setStates",
+        { changes: req.body?.changes, verify: req.body?.verify },
+        req.client,
+        this._getAuditContext(req, "OpenWebUI"),
+      );
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      this.log.error(`[ToolServer] setStates error: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Handle undoLast requests - OpenWebUI Tool
+   *
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async _handleUndoRequest(req, res) {
+    try {
+      if (!this.datapointController) {
+        return res.status(500).json({
+          success: false,
+          error: "Datapoint controller not available",
+        });
+      }
+
+      if (req.client?.readOnly) {
+        this.log.warn(
+          `[ToolServer] Rejected undoLast from read-only client "${req.client.name}"`,
+        );
+        return res.status(403).json({
+          success: false,
+          error: `Client "${req.client.name}" has read-only access`,
+        });
+      }
+
+      const result = await this.datapointController.executeFunctionCall(
+        "undoLast",
+        { count: req.body?.count },
+        req.client,
+        this._getAuditContext(req, "OpenWebUI"),
+      );
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      this.log.error(`[ToolServer] undoLast error: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Handle history, scene, schedule, notify and registered tool requests - OpenWebUI Tools
+   * The request body is passed as function parameters
+   *
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {string} functionName - History, scene, schedule, notify or registered tool function
+   */
+  async _handleToolRequest(req, res, functionName) {
+    try {
+      if (!this.datapointController) {
+        return res.status(500).json({
+          success: false,
+          error: "Datapoint controller not available",
+        });
+      }
+
+      // Registered tools check the access of read-only clients themselves
+      const readFunctions = ["getHistory", "listScenes", "listSchedules"];
+      if (
+        req.client?.readOnly &&
+        !readFunctions.includes(functionName) &&
+        !this.datapointController.toolRegistry?.has(functionName)
+      ) {
+        this.log.warn(
+          `[ToolServer] Rejected ${functionName} from read-only client "${req.client.name}"`,
+        );
+        return res.status(403).json({
+          success: false,
+          error: `Client "${req.client.name}" has read-only access`,
+        });
+      }
+
+      const result = await this.datapointController.executeFunctionCall(
+        functionName,
+        req.body || {},
+        req.client,
+        this._getAuditContext(req, "OpenWebUI"),
+      );
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      this.log.error(`[ToolServer] ${functionName} error: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Describe who sent a request for the audit log
+   * The adapter's own requests name their origin in the X-Audit-Source header
+   *
+   * @param {object} req - Express request object
+   * @param {string} fallback - Source used for requests without client profile
+   * @returns {{source: string}} Audit context
+   */
+  _getAuditContext(req, fallback) {
+    if (this.auth.isInternal(req)) {
+      return { source: String(req.headers["x-audit-source"] || "adapter") };
+    }
+    return {
+      source: req.client ? `${fallback} "${req.client.name}"` : fallback,
+    };
+  }
+
   /**
    * Handle RAG requests - OpenWebUI Tool
    *
@@ -407,10 +775,10 @@ class ToolServer {
       // Generate embedding for the query
       const queryEmbedding = await this._generateEmbedding(query);
 
-      // Search for similar datapoints
-      const searchResults = await this._searchSimilarDatapoints(
-        queryEmbedding,
-        maxResults,
+      // Search for similar datapoints within the client's allow-list
+      const searchResults = this._filterResultsForClient(
+        await this._searchSimilarDatapoints(queryEmbedding, maxResults),
+        req.client,
       );
 
       // Build context from search results
@@ -427,6 +795,7 @@ class ToolServer {
           datapoint:
             result.payload?.datapoint_id || result.payload?.id || "unknown",
           value: result.payload?.value,
+          label: result.payload?.valueLabel,
           timestamp: result.payload?.timestamp,
           similarity: result.score,
           description: result.payload?.description,
@@ -442,21 +811,142 @@ class ToolServer {
     }
   }
 
+  /**
+   * Handle OpenAI-compatible model list requests
+   *
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async _handleModelsRequest(req, res) {
+    try {
+      const models = await this._getModelList();
+      const created = Math.floor(Date.now() / 1000);
+
+      res.json({
+        object: "list",
+        data: models.map((modelName) => ({
+          id: modelName,
+          object: "model",
+          created: created,
+          owned_by: "ollama",
+        })),
+      });
+    } catch (error) {
+      this.log.error(`[ToolServer] Model list error: ${error.message}`);
+      res.status(500).json({
+        error: {
+          message: error.message,
+          type: "internal_server_error",
+        },
+      });
+    }
+  }
+
+  /**
+   * Get the models discovered by the adapter's OllamaClient (cached)
+   *
+   * @returns {Promise<string[]>} Model names
+   */
+  async _getModelList() {
+    const now = Date.now();
+    if (
+      this._modelListCache &&
+      now - this._modelListCacheTime < this._modelListCacheTtl
+    ) {
+      return this._modelListCache;
+    }
+
+    const ollamaClient = this.adapter?.ollamaClient;
+    if (!ollamaClient) {
+      throw new Error("Model discovery not available");
+    }
+
+    const models = await ollamaClient.fetchModels();
+    this._modelListCache = models;
+    this._modelListCacheTime = now;
+    return models;
+  }
+
+  /**
+   * Handle OpenAI-compatible embedding requests
+   *
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async _handleEmbeddingsRequest(req, res) {
+    try {
+      const { input, model, encoding_format: encodingFormat } = req.body;
+      const inputs = Array.isArray(input) ? input : [input];
+
+      if (
+        input === undefined ||
+        inputs.length === 0 ||
+        inputs.some((text) => typeof text !== "string" || text === "")
+      ) {
+        return res.status(400).json({
+          error: {
+            message:
+              "Parameter input must be a non-empty string or array of strings",
+            type: "invalid_request_error",
+          },
+        });
+      }
+
+      const embeddingModel = model || this.embeddingModel;
+      const data = [];
+
+      for (const [index, text] of inputs.entries()) {
+        const embedding = await this._generateEmbedding(text, embeddingModel);
+        data.push({
+          object: "embedding",
+          index: index,
+          embedding:
+            encodingFormat === "base64"
+              ? Buffer.from(new Float32Array(embedding).buffer).toString(
+                  "base64",
+                )
+              : embedding,
+        });
+      }
+
+      this.log.debug(
+        `[ToolServer] Created ${data.length} embedding(s) with ${embeddingModel}`,
+      );
+
+      res.json({
+        object: "list",
+        data: data,
+        model: embeddingModel,
+        // Ollama's embedding API does not report token counts
+        usage: { prompt_tokens: 0, total_tokens: 0 },
+      });
+    } catch (error) {
+      this.log.error(`[ToolServer] Embedding error: ${error.message}`);
+      res.status(500).json({
+        error: {
+          message: error.message,
+          type: "internal_server_error",
+        },
+      });
+    }
+  }
+
   /**
    * Get RAG context without generating answer (for chat completions)
    *
    * @param {string} query - The user's query string
    * @param {number} maxResults - Maximum number of results to return
+   * @param {object} [client] - Client profile limiting the visible datapoints
    */
-  async _getRAGContext(query, maxResults = 5) {
+  async _getRAGContext(query, maxResults = 5, client = null) {
     try {
       // Generate embedding for the query
       const queryEmbedding = await this._generateEmbedding(query);
 
-      // Search for similar datapoints
-      const searchResults = await this._searchSimilarDatapoints(
-        queryEmbedding,
-        maxResults,
+      // Search for similar datapoints within the client's allow-list
+      const searchResults = this._filterResultsForClient(
+        await this._searchSimilarDatapoints(queryEmbedding, maxResults),
+        client,
       );
 
       // Return context without generating answer
@@ -464,6 +954,7 @@ class ToolServer {
         datapoint:
           result.payload?.datapoint_id || result.payload?.id || "unknown",
         value: result.payload?.value,
+        label: result.payload?.valueLabel,
         timestamp: result.payload?.timestamp,
         similarity: result.score,
         description: result.payload?.description,
@@ -494,6 +985,8 @@ class ToolServer {
         temperature = 0.7,
         max_tokens = 2048,
         use_rag = false,
+        stream = false,
+        stream_options: streamOptions = {},
       } = req.body;
 
       model = requestModel; // Assign to outer scope variable
@@ -532,11 +1025,18 @@ class ToolServer {
       let response;
       let ragContext = [];
       let enhancedMessages = [...messages];
+      const usage = UsageTracker.empty();
+      const toolTrace = [];
+      const audit = {
+        ...this._getAuditContext(req, "ToolServer client"),
+        model: model,
+        prompt: userQuery,
+      };
 
       // Add available tools to the request if datapointController is available
       let availableTools = [];
       if (this.datapointController?.allowedDatapoints?.size > 0) {
-        availableTools = this._getOpenAIFunctionDefinitions();
+        availableTools = await this._getOpenAIFunctionDefinitions(req.client);
       }
 
       // RAG enhancement if enabled
@@ -548,7 +1048,11 @@ class ToolServer {
           );
 
           // Get RAG context (without generating answer)
-          const contextResults = await this._getRAGContext(userQuery, 5);
+          const contextResults = await this._getRAGContext(
+            userQuery,
+            5,
+            req.client,
+          );
           ragContext = contextResults;
 
           this.log.debug(
@@ -582,6 +1086,26 @@ class ToolServer {
         }
       }
 
+      // Stream the answer as OpenAI-style chunks if requested
+      if (stream) {
+        await this._streamChatCompletion(
+          req,
+          res,
+          model,
+          enhancedMessages,
+          temperature,
+          max_tokens,
+          availableTools,
+          usage,
+          streamOptions?.include_usage === true,
+          toolTrace,
+          req.client,
+          audit,
+        );
+        await this._recordUsage(model, usage);
+        return;
+      }
+
       // Call OpenWebUI with tools/functions support
       response = await this._callOpenWebUI(
         model,
@@ -589,7 +1113,12 @@ class ToolServer {
         temperature,
         max_tokens,
         availableTools,
+        usage,
+        toolTrace,
+        req.client,
+        audit,
       );
+      await this._recordUsage(model, usage);
 
       // Return OpenAI-compatible response format
       res.json({
@@ -607,21 +1136,29 @@ class ToolServer {
             finish_reason: "stop",
           },
         ],
-        usage: {
-          prompt_tokens: 0,
-          completion_tokens: 0,
-          total_tokens: 0,
-        },
+        usage: usage,
         rag_context: ragContext, // Additional field for debugging
+        tool_trace: toolTrace, // Executed tool calls of all rounds
       });
     } catch (error) {
       this.log.error(`[ToolServer] Chat completion error: ${error.message}`);
-      res.status(500).json({
-        error: {
-          message: error.message,
-          type: "internal_server_error",
-        },
-      });
+      if (res.headersSent) {
+        // Streaming already started - report the error inside the stream
+        this._writeSSE(res, {
+          error: {
+            message: error.message,
+            type: "internal_server_error",
+          },
+        });
+        this._endSSE(res);
+      } else {
+        res.status(500).json({
+          error: {
+            message: error.message,
+            type: "internal_server_error",
+          },
+        });
+      }
     } finally {
       // Always reset processing state
       await this._setModelProcessingState(model, false);
@@ -629,16 +1166,371 @@ class ToolServer {
   }
 
   /**
-   * Convert model name to model ID for state management
-   * Converts model names like "llama3.2:latest" to "llama3_2_latest"
-   * Uses same logic as OllamaClient to ensure consistency
+   * Stream a chat completion to the client as OpenAI-compatible Server-Sent Events
+   * Tool calls emitted by the model are executed in between and the follow-up
+   * answer is streamed into the same response
    *
-   * @param {string} modelName - Original model name
-   * @returns {string|null} Model ID for ioBroker states
-   */
-  _getModelIdFromName(modelName) {
-    if (!modelName) {
-      return null;
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {string} model - The model to use
+   * @param {Array} messages - The conversation messages (including RAG system prompt)
+   * @param {number} temperature - The temperature setting
+   * @param {number} maxTokens - Maximum tokens to generate
+   * @param {Array} tools - Optional function definitions
+   * @param {object} [usage] - Usage accumulator filled from the upstream streams
+   * @param {boolean} [includeUsage] - Send a final usage chunk (stream_options.include_usage)
+   * @param {Array} [trace] - Collects the executed tool calls of all rounds
+   * @param {object} [client] - Client profile the tool calls are executed for
+   * @param {object} [audit] - Source, model and prompt for the audit log
+   */
+  async _streamChatCompletion(
+    req,
+    res,
+    model,
+    messages,
+    temperature,
+    maxTokens,
+    tools = [],
+    usage = null,
+    includeUsage = false,
+    trace = [],
+    client = null,
+    audit = {},
+  ) {
+    const completionId = `chatcmpl-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const abortController = new AbortController();
+
+    /**
+     * @param {object} delta - Chunk delta (role and/or content)
+     * @param {string|null} [finishReason] - Finish reason for the final chunk
+     * @param {object} [extra] - Additional top-level chunk fields
+     */
+    const writeChunk = (delta, finishReason = null, extra = {}) => {
+      this._writeSSE(res, {
+        id: completionId,
+        object: "chat.completion.chunk",
+        created: created,
+        model: model,
+        choices: [{ index: 0, delta: delta, finish_reason: finishReason }],
+        ...extra,
+      });
+    };
+
+    // Stop generating upstream if the client goes away
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        this.log.debug("[ToolServer] Stream client disconnected, aborting");
+        abortController.abort();
+      }
+    });
+
+    this._initSSE(res);
+    writeChunk({ role: "assistant", content: "" });
+
+    // Keep proxies and dashboards from timing out while the model is loading
+    const keepAlive = setInterval(() => {
+      res.write(": keep-alive\n\n");
+    }, 15000);
+
+    try {
+      const onContent = (text) => writeChunk({ content: text });
+
+      let result = await this._callOpenWebUIStream(
+        model,
+        messages,
+        temperature,
+        maxTokens,
+        tools,
+        onContent,
+        abortController.signal,
+        usage,
+      );
+
+      const conversation = [...messages];
+      const seenCalls = new Set();
+      let iteration = 0;
+
+      while (result.toolCalls.length > 0) {
+        iteration++;
+        this.log.debug(
+          `[ToolServer] Function calls detected in stream (round ${iteration}): ${result.toolCalls.length}`,
+        );
+
+        const round = await this._runToolRound(
+          result.toolCalls,
+          iteration,
+          seenCalls,
+          trace,
+          client,
+          audit,
+        );
+        conversation.push(
+          {
+            role: "assistant",
+            content: result.content || null,
+            tool_calls: result.toolCalls,
+          },
+          ...round.results,
+        );
+
+        // Separate text of this round from the next answer
+        if (result.content) {
+          onContent("\n\n");
+        }
+
+        // Only offer tools again while another round is allowed
+        const canContinue = this._canContinueToolLoop(iteration, round);
+        result = await this._callOpenWebUIStream(
+          model,
+          conversation,
+          temperature,
+          maxTokens,
+          canContinue ? tools : [],
+          onContent,
+          abortController.signal,
+          usage,
+        );
+
+        // Tool calls returned without tools being offered are not executed
+        if (!canContinue) {
+          break;
+        }
+      }
+
+      writeChunk({}, "stop", trace.length > 0 ? { tool_trace: trace } : {});
+      if (includeUsage && usage) {
+        this._writeSSE(res, {
+          id: completionId,
+          object: "chat.completion.chunk",
+          created: created,
+          model: model,
+          choices: [],
+          usage: usage,
+        });
+      }
+      this._endSSE(res);
+    } finally {
+      clearInterval(keepAlive);
+    }
+  }
+
+  /**
+   * Call OpenWebUI with stream: true and forward content deltas
+   * Tool call deltas are accumulated and returned once the stream is finished
+   *
+   * @param {string} model - The model to use
+   * @param {Array} messages - The conversation messages
+   * @param {number} temperature - The temperature setting
+   * @param {number} maxTokens - Maximum tokens to generate
+   * @param {Array} tools - Optional function definitions
+   * @param {(text: string) => void} onContent - Called for every content delta
+   * @param {AbortSignal} [signal] - Signal to abort the upstream request
+   * @param {object} [usage] - Usage accumulator for the final usage chunk
+   * @returns {Promise<{content: string, toolCalls: Array, finishReason: string|null}>} Accumulated stream result
+   */
+  async _callOpenWebUIStream(
+    model,
+    messages,
+    temperature,
+    maxTokens,
+    tools,
+    onContent,
+    signal,
+    usage = null,
+  ) {
+    const payload = {
+      model: model,
+      messages: messages,
+      temperature: temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      stream_options: { include_usage: true },
+    };
+
+    if (tools && tools.length > 0) {
+      payload.tools = tools;
+      payload.tool_choice = "auto";
+    }
+
+    const openWebUIClient = this.httpClient.getOpenWebUI(this.apiKey);
+    const response = await openWebUIClient.post(
+      `${this.chatApiUrl}/chat/completions`,
+      payload,
+      {
+        responseType: "stream",
+        timeout: 1200000, // 20 minutes timeout for complex requests
+        signal: signal,
+      },
+    );
+
+    if (response.status >= 400) {
+      response.data.destroy();
+      throw new Error(
+        `OpenWebUI API request failed with status code ${response.status}`,
+      );
+    }
+
+    let content = "";
+    let finishReason = null;
+    const toolCalls = [];
+
+    for await (const event of this._readSSE(response.data)) {
+      if (event.error) {
+        throw new Error(
+          `OpenWebUI stream error: ${event.error.message || JSON.stringify(event.error)}`,
+        );
+      }
+
+      if (event.usage) {
+        UsageTracker.add(usage, event.usage);
+      }
+
+      const choice = event.choices?.[0];
+      if (!choice) {
+        continue;
+      }
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onContent(delta.content);
+      }
+
+      // Tool calls arrive in fragments keyed by index
+      for (const toolCallDelta of delta.tool_calls || []) {
+        const index = toolCallDelta.index ?? toolCalls.length;
+        if (!toolCalls[index]) {
+          toolCalls[index] = {
+            id: toolCallDelta.id || `call_${Date.now()}_${index}`,
+            type: "function",
+            function: { name: "", arguments: "" },
+          };
+        }
+        const toolCall = toolCalls[index];
+        if (toolCallDelta.id) {
+          toolCall.id = toolCallDelta.id;
+        }
+        if (toolCallDelta.function?.name) {
+          toolCall.function.name += toolCallDelta.function.name;
+        }
+        if (toolCallDelta.function?.arguments) {
+          toolCall.function.arguments +=
+            typeof toolCallDelta.function.arguments === "string"
+              ? toolCallDelta.function.arguments
+              : JSON.stringify(toolCallDelta.function.arguments);
+        }
+      }
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    }
+
+    return {
+      content,
+      toolCalls: toolCalls.filter(Boolean),
+      finishReason,
+    };
+  }
+
+  /**
+   * Parse a Server-Sent Events byte stream into JSON events
+   *
+   * @param {AsyncIterable<Buffer|string>} stream - Readable response stream
+   * @yields {object} Parsed data payloads (without [DONE])
+   */
+  async *_readSSE(stream) {
+    let buffer = "";
+
+    for await (const chunk of stream) {
+      buffer += chunk.toString();
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+
+        if (!line.startsWith("data:")) {
+          continue;
+        }
+
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") {
+          return;
+        }
+
+        try {
+          yield JSON.parse(data);
+        } catch (_e) {
+          this.log.debug(`[ToolServer] Ignoring malformed SSE line: ${data}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send SSE response headers
+   *
+   * @param {object} res - Express response object
+   */
+  _initSSE(res) {
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+  }
+
+  /**
+   * Write a single SSE data event
+   *
+   * @param {object} res - Express response object
+   * @param {object} data - Payload to serialize
+   */
+  _writeSSE(res, data) {
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+
+  /**
+   * Terminate an SSE response with the OpenAI [DONE] marker
+   *
+   * @param {object} res - Express response object
+   */
+  _endSSE(res) {
+    if (!res.writableEnded) {
+      res.write("data: [DONE]\n\n");
+      res.end();
+    }
+  }
+
+  /**
+   * Record token usage of a served request in the model statistics
+   *
+   * @param {string} model - Model name
+   * @param {object} usage - Accumulated usage
+   */
+  async _recordUsage(model, usage) {
+    if (!usage?.total_tokens) {
+      return;
+    }
+    await this.adapter?.usageTracker?.record(model, usage);
+  }
+
+  /**
+   * Convert model name to model ID for state management
+   * Converts model names like "llama3.2:latest" to "llama3_2_latest"
+   * Uses same logic as OllamaClient to ensure consistency
+   *
+   * @param {string} modelName - Original model name
+   * @returns {string|null} Model ID for ioBroker states
+   */
+  _getModelIdFromName(modelName) {
+    if (!modelName) {
+      return null;
     }
     // Use same conversion as OllamaClient: replace all non-alphanumeric chars (except _) with _
     return modelName.replace(/[^a-zA-Z0-9_]/g, "_");
@@ -682,14 +1574,34 @@ class ToolServer {
   /**
    * Get OpenAI-compatible function definitions for available datapoints
    *
-   * @returns {Array} Array of OpenAI function definitions
+   * @param {object} [client] - Client profile limiting datapoints and write access
+   * @returns {Promise<Array>} Array of OpenAI function definitions
    */
-  _getOpenAIFunctionDefinitions() {
+  async _getOpenAIFunctionDefinitions(client = null) {
     if (!this.datapointController?.allowedDatapoints?.size) {
       return [];
     }
 
-    return this.datapointController.getFunctionDefinitions();
+    return await this.datapointController.getFunctionDefinitions(client);
+  }
+
+  /**
+   * Remove vector search results outside of a client's datapoint allow-list
+   *
+   * @param {Array} results - Vector search results
+   * @param {object} [client] - Client profile
+   * @returns {Array} Results the client may see
+   */
+  _filterResultsForClient(results, client = null) {
+    if (!client?.datapoints) {
+      return results;
+    }
+    return results.filter((result) =>
+      ToolServerAuth.isDatapointAllowed(
+        client,
+        result.payload?.datapoint_id || result.payload?.id,
+      ),
+    );
   }
 
   /**
@@ -702,7 +1614,7 @@ class ToolServer {
     try {
       const openWebUIClient = this.httpClient.getOpenWebUI(this.apiKey);
       const response = await openWebUIClient.get(
-        `${this.openWebUIUrl}/api/models`,
+        this.modelsUrl,
         { timeout: 10000 }, // Increased timeout
       );
 
@@ -734,9 +1646,7 @@ class ToolServer {
       this.log.error(
         `[ToolServer] Could not check model availability: ${error.message}`,
       );
-      this.log.error(
-        `[ToolServer] OpenWebUI URL: ${this.openWebUIUrl}/api/models`,
-      );
+      this.log.error(`[ToolServer] Model list URL: ${this.modelsUrl}`);
       return false; // Changed to false - fail safely if we can't verify
     }
   }
@@ -749,9 +1659,23 @@ class ToolServer {
    * @param {number} temperature - The temperature setting
    * @param {number} maxTokens - Maximum tokens to generate
    * @param {Array} tools - Optional function definitions
+   * @param {object} [usage] - Usage accumulator filled from every upstream response
+   * @param {Array} [trace] - Collects the executed tool calls of all rounds
+   * @param {object} [client] - Client profile the tool calls are executed for
+   * @param {object} [audit] - Source, model and prompt for the audit log
    * @returns {Promise<string>} The response content
    */
-  async _callOpenWebUI(model, messages, temperature, maxTokens, tools = []) {
+  async _callOpenWebUI(
+    model,
+    messages,
+    temperature,
+    maxTokens,
+    tools = [],
+    usage = null,
+    trace = [],
+    client = null,
+    audit = {},
+  ) {
     const payload = {
       model: model,
       messages: messages,
@@ -769,7 +1693,7 @@ class ToolServer {
     try {
       const openWebUIClient = this.httpClient.getOpenWebUI(this.apiKey);
       const response = await openWebUIClient.post(
-        `${this.openWebUIUrl}/api/chat/completions`,
+        `${this.chatApiUrl}/chat/completions`,
         payload,
         { timeout: 1200000 }, // 20 minutes timeout for complex requests
       );
@@ -779,6 +1703,8 @@ class ToolServer {
         JSON.stringify(response.data, null, 2),
       );
 
+      UsageTracker.add(usage, response.data?.usage);
+
       // Handle both response.choices and response.data.choices formats
       const choices = response.choices || response.data?.choices;
 
@@ -788,11 +1714,16 @@ class ToolServer {
           `[ToolServer] Function calls detected: ${choices[0].message.tool_calls.length}`,
         );
         return await this._handleFunctionCalls(
-          choices[0].message.tool_calls,
+          choices[0].message,
           model,
           messages,
           temperature,
           maxTokens,
+          tools,
+          usage,
+          trace,
+          client,
+          audit,
         );
       }
 
@@ -906,13 +1837,15 @@ class ToolServer {
           const result = await this.datapointController.executeFunctionCall(
             functionName,
             parameters,
+            client,
+            audit,
           );
 
-          // Generate a natural language response
-          if (functionName === "getState") {
-            return `Der aktuelle Wert von ${datapoint} ist ${result.value}.`;
-          }
-          return `Ich habe ${datapoint} auf ${result.value} gesetzt.`;
+          return ToolServer._describeTextCallResult(
+            functionName,
+            datapoint,
+            result,
+          );
         } catch (error) {
           this.log.warn(
             `[ToolServer] Text-based function call warning: ${error.message}`,
@@ -943,23 +1876,274 @@ class ToolServer {
     }
   }
 
+  /**
+   * Answer of a text-based function call
+   * Rejected writes pass on the reason, held writes say that they wait for approval
+   *
+   * @param {string} functionName - getState or setState
+   * @param {string} datapoint - Datapoint named by the model
+   * @param {object} result - Result of executeFunctionCall
+   * @returns {string} Natural language answer
+   */
+  static _describeTextCallResult(functionName, datapoint, result) {
+    if (!result?.success) {
+      const action = functionName === "getState" ? "lesen" : "setzen";
+      return `Entschuldigung, ich konnte ${datapoint} nicht ${action}: ${result?.error || result?.message || "unbekannter Fehler"}`;
+    }
+    if (functionName === "getState") {
+      return `Der aktuelle Wert von ${datapoint} ist ${result.value}.`;
+    }
+    if (result.pending) {
+      return `Die Änderung von ${datapoint} auf ${result.value} wurde noch nicht ausgeführt, sie wartet bis ${result.expiresAt} auf die Bestätigung eines Benutzers (Aktion ${result.actionId}).`;
+    }
+
+    let answer = `Ich habe ${datapoint} auf ${result.value} gesetzt.`;
+    if (result.adjustments?.length > 0) {
+      answer += ` Hinweis: ${result.adjustments.join("; ")}.`;
+    }
+    return answer;
+  }
+
   /**
    * Handle function calls from the LLM
+   * Runs tool calls and follow-up requests in a loop until the model answers
+   * without tool calls, the round limit is reached or the model only repeats
+   * calls it already made
    *
-   * @param {Array} toolCalls - Function calls to execute
+   * @param {object} assistantMessage - Assistant message containing tool_calls
    * @param {string} model - The model to use for follow-up
    * @param {Array} originalMessages - Original conversation messages
    * @param {number} temperature - Temperature setting
    * @param {number} maxTokens - Max tokens setting
+   * @param {Array} [tools] - Function definitions offered in follow-up rounds
+   * @param {object} [usage] - Usage accumulator
+   * @param {Array} [trace] - Collects the executed tool calls of all rounds
+   * @param {object} [client] - Client profile the tool calls are executed for
+   * @param {object} [audit] - Source, model and prompt for the audit log
    * @returns {Promise<string>} The final response
    */
   async _handleFunctionCalls(
-    toolCalls,
+    assistantMessage,
     model,
     originalMessages,
     temperature,
     maxTokens,
+    tools = [],
+    usage = null,
+    trace = [],
+    client = null,
+    audit = {},
   ) {
+    const messages = [...originalMessages];
+    const seenCalls = new Set();
+    let message = assistantMessage;
+
+    try {
+      const openWebUIClient = this.httpClient.getOpenWebUI(this.apiKey);
+
+      for (let iteration = 1; ; iteration++) {
+        const round = await this._runToolRound(
+          message.tool_calls,
+          iteration,
+          seenCalls,
+          trace,
+          client,
+          audit,
+        );
+
+        // Extend message history with this round's calls and results
+        messages.push(
+          {
+            role: "assistant",
+            content: message.content || null,
+            tool_calls: message.tool_calls,
+          },
+          ...round.results,
+        );
+
+        const payload = {
+          model: model,
+          messages: messages,
+          temperature: temperature,
+          max_tokens: maxTokens,
+          stream: false,
+        };
+
+        // Only offer tools again while another round is allowed
+        const canContinue = this._canContinueToolLoop(iteration, round);
+        if (canContinue && tools.length > 0) {
+          payload.tools = tools;
+          payload.tool_choice = "auto";
+        }
+
+        const response = await openWebUIClient.post(
+          `${this.chatApiUrl}/chat/completions`,
+          payload,
+          { timeout: 1200000 },
+        );
+
+        UsageTracker.add(usage, response.data?.usage);
+
+        const choices = response.choices || response.data?.choices;
+        message = choices?.[0]?.message;
+
+        if (canContinue && message?.tool_calls?.length > 0) {
+          this.log.debug(
+            `[ToolServer] Function calls detected (round ${iteration + 1}): ${message.tool_calls.length}`,
+          );
+          continue;
+        }
+
+        return (
+          message?.content || "Function executed but no response generated."
+        );
+      }
+    } catch (error) {
+      this.log.error(`[ToolServer] Final response error: ${error.message}`);
+      return `Functions were executed successfully, but I couldn't generate a final response: ${error.message}`;
+    }
+  }
+
+  /**
+   * Execute one round of tool calls
+   * Calls identical to one of an earlier round are not executed again
+   *
+   * @param {Array} toolCalls - Function calls of this round
+   * @param {number} iteration - Round number (1-based)
+   * @param {Set<string>} seenCalls - Signatures of calls from earlier rounds
+   * @param {Array} trace - Collects the executed tool calls
+   * @param {object} [client] - Client profile the tool calls are executed for
+   * @param {object} [audit] - Source, model and prompt for the audit log
+   * @returns {Promise<{results: Array, repeatedOnly: boolean}>} Tool result messages and whether every call was a repeat
+   */
+  async _runToolRound(
+    toolCalls,
+    iteration,
+    seenCalls,
+    trace,
+    client = null,
+    audit = {},
+  ) {
+    const results = [];
+    let executedCount = 0;
+
+    for (const toolCall of toolCalls) {
+      const signature = this._getToolCallSignature(toolCall);
+      const args = this._parseToolArguments(toolCall);
+
+      if (seenCalls.has(signature)) {
+        this.log.debug(
+          `[ToolServer] Skipping repeated call of ${toolCall.function?.name} in round ${iteration}`,
+        );
+        results.push({
+          tool_call_id: toolCall.id,
+          role: "tool",
+          name: toolCall.function?.name,
+          content: JSON.stringify({
+            error:
+              "Identical call was already executed - use the previous result",
+          }),
+        });
+        trace.push({
+          iteration: iteration,
+          name: toolCall.function?.name,
+          arguments: args,
+          repeated: true,
+        });
+        continue;
+      }
+
+      seenCalls.add(signature);
+      executedCount++;
+
+      const [result] = await this._executeToolCalls([toolCall], client, audit);
+      results.push(result);
+
+      let parsed;
+      try {
+        parsed = JSON.parse(result.content);
+      } catch (_e) {
+        parsed = result.content;
+      }
+      trace.push({
+        iteration: iteration,
+        name: result.name,
+        arguments: args,
+        result: parsed,
+      });
+    }
+
+    return { results: results, repeatedOnly: executedCount === 0 };
+  }
+
+  /**
+   * Decide whether the model may request another tool call round
+   *
+   * @param {number} iteration - Number of the round that just finished
+   * @param {{repeatedOnly: boolean}} round - Result of the finished round
+   * @returns {boolean} True if tools should be offered again
+   */
+  _canContinueToolLoop(iteration, round) {
+    if (round.repeatedOnly) {
+      this.log.warn(
+        `[ToolServer] Model repeated identical tool calls in round ${iteration}, requesting final answer`,
+      );
+      return false;
+    }
+    if (iteration >= this.maxToolIterations) {
+      this.log.warn(
+        `[ToolServer] Tool call limit of ${this.maxToolIterations} rounds reached, requesting final answer`,
+      );
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Build a stable signature of a tool call for repeat detection
+   *
+   * @param {object} toolCall - Tool call from the model
+   * @returns {string} Function name and normalized arguments
+   */
+  _getToolCallSignature(toolCall) {
+    const args = this._parseToolArguments(toolCall);
+    const normalized =
+      args && typeof args === "object"
+        ? Object.keys(args)
+            .sort()
+            .map((key) => `${key}=${JSON.stringify(args[key])}`)
+            .join("&")
+        : String(args);
+    return `${toolCall.function?.name}(${normalized})`;
+  }
+
+  /**
+   * Parse tool call arguments (string or object)
+   *
+   * @param {object} toolCall - Tool call from the model
+   * @returns {object} Parsed arguments (empty object if invalid)
+   */
+  _parseToolArguments(toolCall) {
+    const args = toolCall?.function?.arguments;
+    if (typeof args !== "string") {
+      return args || {};
+    }
+    try {
+      return JSON.parse(args || "{}");
+    } catch (_e) {
+      return {};
+    }
+  }
+
+  /**
+   * Execute tool calls through the DatapointController
+   *
+   * @param {Array} toolCalls - Function calls to execute
+   * @param {object} [client] - Client profile the tool calls are executed for
+   * @param {object} [audit] - Source, model and prompt for the audit log
+   * @returns {Promise<Array>} Tool result messages for the follow-up request
+   */
+  async _executeToolCalls(toolCalls, client = null, audit = {}) {
     const functionResults = [];
 
     for (const toolCall of toolCalls) {
@@ -968,9 +2152,16 @@ class ToolServer {
           `[ToolServer] Executing function: ${toolCall.function.name}`,
         );
 
+        const args =
+          typeof toolCall.function.arguments === "string"
+            ? JSON.parse(toolCall.function.arguments || "{}")
+            : toolCall.function.arguments || {};
+
         const result = await this.datapointController.executeFunctionCall(
           toolCall.function.name,
-          JSON.parse(toolCall.function.arguments),
+          args,
+          client,
+          audit,
         );
 
         functionResults.push({
@@ -997,41 +2188,7 @@ class ToolServer {
       }
     }
 
-    // Create new message history with function results
-    const messagesWithFunctions = [
-      ...originalMessages,
-      {
-        role: "assistant",
-        tool_calls: toolCalls,
-      },
-      ...functionResults,
-    ];
-
-    // Call OpenWebUI again to get the final response
-    const finalPayload = {
-      model: model,
-      messages: messagesWithFunctions,
-      temperature: temperature,
-      max_tokens: maxTokens,
-      stream: false,
-    };
-
-    try {
-      const openWebUIClient = this.httpClient.getOpenWebUI(this.apiKey);
-      const finalResponse = await openWebUIClient.post(
-        `${this.openWebUIUrl}/api/chat/completions`,
-        finalPayload,
-      );
-
-      const finalChoices = finalResponse.choices || finalResponse.data?.choices;
-      return (
-        finalChoices?.[0]?.message?.content ||
-        "Function executed but no response generated."
-      );
-    } catch (error) {
-      this.log.error(`[ToolServer] Final response error: ${error.message}`);
-      return `Functions were executed successfully, but I couldn't generate a final response: ${error.message}`;
-    }
+    return functionResults;
   }
 
   /**
@@ -1057,16 +2214,18 @@ class ToolServer {
     });
 
     const contextItems = sortedResults.map((result, index) => {
-      let datapoint, value, timestamp, description, location;
+      let datapoint, value, label, timestamp, description, location;
 
       if (isRAGContext) {
         // RAG context format
-        ({ datapoint, value, timestamp, description, location } = result);
+        ({ datapoint, value, label, timestamp, description, location } =
+          result);
       } else {
         // Vector search result format
         const payload = result.payload;
         datapoint = payload?.datapoint_id || payload?.id || "unknown";
         value = payload?.value;
+        label = payload?.valueLabel;
         timestamp = payload?.timestamp;
         description = payload?.description;
         location = payload?.location;
@@ -1087,7 +2246,9 @@ class ToolServer {
         return `${result.payload.formatted_text} - ${timeStr}${ageIndicator}`;
       }
 
-      return `${displayName}: ${value}${locationStr} - ${timeStr}${ageIndicator}`;
+      // Selection lists show their label instead of the stored key
+      const displayValue = label ?? value;
+      return `${displayName}: ${displayValue}${locationStr} - ${timeStr}${ageIndicator}`;
     });
 
     const prefix = isRAGContext
@@ -1102,15 +2263,20 @@ class ToolServer {
    * OpenWebUI typically doesn't support embedding endpoints, so we use Ollama directly
    *
    * @param {string} text - Text to generate embedding for
+   * @param {string} [model] - Embedding model (defaults to the configured one)
    */
-  async _generateEmbedding(text) {
+  async _generateEmbedding(text, model = this.embeddingModel) {
+    if (this.openAICompatible) {
+      return await this._generateOpenAICompatibleEmbedding(text, model);
+    }
+
     try {
       // Use Ollama directly for embeddings as most OpenWebUI installations don't support embedding endpoints
       const ollamaClient = this.httpClient.getOllama();
       const response = await ollamaClient.post(
         `${this.ollamaUrl}/api/embeddings`,
         {
-          model: this.embeddingModel,
+          model: model,
           prompt: text, // Ollama format uses "prompt"
         },
         {
@@ -1121,7 +2287,7 @@ class ToolServer {
       // Ollama response format: { "embedding": [...] }
       if (response.data?.embedding) {
         this.log.debug(
-          `[ToolServer] Ollama embedding successful for model: ${this.embeddingModel}`,
+          `[ToolServer] Ollama embedding successful for model: ${model}`,
         );
         return response.data.embedding;
       }
@@ -1135,6 +2301,38 @@ class ToolServer {
     }
   }
 
+  /**
+   * Generate embedding for text using the OpenAI-compatible server's /embeddings
+   *
+   * @param {string} text - Text to generate embedding for
+   * @param {string} model - Embedding model
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async _generateOpenAICompatibleEmbedding(text, model) {
+    const client = this.httpClient.getOpenAICompatible();
+    const response = await client.post(
+      `${this.chatApiUrl}/embeddings`,
+      { model: model, input: text },
+      {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout: 300000, // 5 minutes for embeddings
+      },
+    );
+
+    if (response.data?.data?.[0]?.embedding) {
+      return response.data.data[0].embedding;
+    }
+
+    const error = new Error(
+      response.data?.error?.message ||
+        "No embedding data received from OpenAI-compatible server",
+    );
+    this.log.error(
+      `[ToolServer] OpenAI-compatible embedding generation failed: ${error.message}`,
+    );
+    throw error;
+  }
+
   /**
    * Search for similar datapoints in Qdrant
    *
@@ -1175,7 +2373,7 @@ class ToolServer {
 
       const openWebUIClient = this.httpClient.getOpenWebUI(this.apiKey);
       const response = await openWebUIClient.post(
-        `${this.openWebUIUrl}/api/chat/completions`,
+        `${this.chatApiUrl}/chat/completions`,
         {
           model: this.chatModel,
           messages: [
@@ -1358,7 +2556,12 @@ ${ragContext.length > 0 ? `Context:\n${this._buildContext(ragContext, true)}` :
 
 AVAILABLE FUNCTIONS:
 - getState(datapoint): Read current values
+- getHistory(datapoint, start, end, intervals): Min, max, average and count over a time range (if a history instance is configured)
 - setState(datapoint, value): Set new values
+- setStates(changes): Set several datapoints at once, e.g. for scenes - nothing is changed if one value is invalid
+- saveScene(name, datapoints), listScenes(), applyScene(name): Save the current values as a named scene and restore it later
+- scheduleSetState(datapoint, value, delayMinutes | at, recurrence), listSchedules(), cancelSchedule(scheduleId): Set datapoints later or repeatedly
+- notify(channel, text): Send a message to the user, e.g. via Telegram (if notification channels are configured)
 
 DATAPOINT CAPABILITIES:`;
 
@@ -0,0 +1,164 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * Bearer token authentication for the ToolServer
+ * Every token maps to a client profile with access level and optional datapoint allow-list
+ */
+class ToolServerAuth {
+  /**
+   * Create a new authenticator
+   *
+   * @param {object} config - Adapter configuration (toolServerAuth, toolServerClients)
+   * @param {object} log - Logger instance
+   */
+  constructor(config, log) {
+    this.log = log;
+    this.enabled = config?.toolServerAuth === true;
+    this._clients = new Map(); // token hash -> client profile
+
+    // Token for the adapter's own requests (OllamaClient -> ToolServer)
+    this._internalToken = crypto.randomBytes(32).toString("hex");
+    this._clients.set(ToolServerAuth._hashToken(this._internalToken), {
+      name: "adapter",
+      readOnly: false,
+      datapoints: null,
+    });
+
+    for (const entry of config?.toolServerClients || []) {
+      const client = ToolServerAuth.createProfile(entry);
+      if (client) {
+        this._clients.set(ToolServerAuth._hashToken(entry.token), client);
+      }
+    }
+
+    if (this.enabled) {
+      this.log.info(
+        `[ToolServer] Authentication enabled for ${this._clients.size - 1} client profile(s)`,
+      );
+    } else {
+      this.log.warn(
+        "[ToolServer] Authentication disabled - every client in the network can use the API",
+      );
+    }
+  }
+
+  /**
+   * Build a client profile from an admin config table entry
+   *
+   * @param {object} entry - Table row with name, token, access and datapoints
+   * @returns {{name: string, readOnly: boolean, datapoints: Set<string>|null}|null} Client profile or null if invalid
+   */
+  static createProfile(entry) {
+    if (!entry?.token || !String(entry.token).trim()) {
+      return null;
+    }
+
+    const datapoints = String(entry.datapoints || "")
+      .split(/[,;\s]+/)
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    return {
+      name: String(entry.name || "").trim() || "unnamed",
+      readOnly: entry.access !== "readwrite",
+      datapoints: datapoints.length > 0 ? new Set(datapoints) : null,
+    };
+  }
+
+  /**
+   * Check whether a client profile may access a datapoint
+   * The client allow-list narrows the global allow-list, it never extends it
+   *
+   * @param {object|null} client - Client profile (null = no restriction)
+   * @param {string} datapointId - Full datapoint ID
+   * @returns {boolean} True if the datapoint is within the client's allow-list
+   */
+  static isDatapointAllowed(client, datapointId) {
+    return !client?.datapoints || client.datapoints.has(datapointId);
+  }
+
+  /**
+   * Hash a token so raw tokens are neither stored nor compared directly
+   *
+   * @param {string} token - Bearer token
+   * @returns {string} SHA-256 hex digest
+   */
+  static _hashToken(token) {
+    return crypto
+      .createHash("sha256")
+      .update(String(token).trim())
+      .digest("hex");
+  }
+
+  /**
+   * Token used by the adapter itself to call the ToolServer
+   *
+   * @returns {string} Internal bearer token
+   */
+  getInternalToken() {
+    return this._internalToken;
+  }
+
+  /**
+   * Resolve the client profile for a request
+   *
+   * @param {object} req - Express request object
+   * @returns {object|null} Client profile or null if the token is missing or unknown
+   */
+  authenticate(req) {
+    const header = req.headers?.authorization || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return null;
+    }
+    return this._clients.get(ToolServerAuth._hashToken(match[1])) || null;
+  }
+
+  /**
+   * Check whether a request comes from the adapter itself
+   *
+   * @param {object} req - Express request object
+   * @returns {boolean} True if the internal token was sent
+   */
+  isInternal(req) {
+    const match = (req.headers?.authorization || "").match(/^Bearer\s+(.+)$/i);
+    return (
+      Boolean(match) &&
+      ToolServerAuth._hashToken(match[1]) ===
+        ToolServerAuth._hashToken(this._internalToken)
+    );
+  }
+
+  /**
+   * Express middleware that rejects requests without a valid token
+   * and attaches the client profile as req.client
+   *
+   * @returns {(req: object, res: object, next: () => void) => void} Middleware function
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.enabled || req.method === "OPTIONS") {
+        req.client = null;
+        return next();
+      }
+
+      const client = this.authenticate(req);
+      if (!client) {
+        this.log.warn(
+          `[ToolServer] Rejected ${req.method} ${req.path} from ${req.ip}: ${req.headers?.authorization ? "invalid" : "missing"} API key`,
+        );
+        return res.status(401).json({
+          success: false,
+          error: "Unauthorized: valid API key required",
+        });
+      }
+
+      req.client = client;
+      next();
+    };
+  }
+}
+
+module.exports = ToolServerAuth;
@@ -0,0 +1,386 @@
+"use strict";
+
+/**
+ * Token usage accounting for ioBroker.ollama
+ * Normalizes usage data from OpenWebUI (OpenAI format) and Ollama (native format)
+ * and keeps per-model statistics in models.<id>.stats states
+ */
+class UsageTracker {
+  /**
+   * Create a new usage tracker
+   *
+   * @param {object} adapter - ioBroker adapter instance for state management
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this._knownModels = new Set(); // model IDs with created stats states
+    this._counters = new Map(); // modelId -> cached counter values
+    this._dailyResetTimeout = null;
+  }
+
+  /**
+   * Create an empty usage object
+   *
+   * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number, eval_duration_ms: number, tokens_per_second: number}} Empty usage
+   */
+  static empty() {
+    return {
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      eval_duration_ms: 0,
+      tokens_per_second: 0,
+    };
+  }
+
+  /**
+   * Normalize usage data from OpenAI/OpenWebUI or native Ollama responses
+   * Ollama reports durations in nanoseconds, OpenAI reports token counts only
+   *
+   * @param {object} raw - Raw usage object (response.usage or Ollama response body)
+   * @returns {object|null} Normalized usage or null if no usage data present
+   */
+  static normalize(raw) {
+    if (!raw || typeof raw !== "object") {
+      return null;
+    }
+
+    const promptTokens = Number(raw.prompt_tokens ?? raw.prompt_eval_count);
+    const completionTokens = Number(raw.completion_tokens ?? raw.eval_count);
+    if (isNaN(promptTokens) && isNaN(completionTokens)) {
+      return null;
+    }
+
+    const usage = UsageTracker.empty();
+    usage.prompt_tokens = promptTokens || 0;
+    usage.completion_tokens = completionTokens || 0;
+    usage.total_tokens =
+      Number(raw.total_tokens) || usage.prompt_tokens + usage.completion_tokens;
+
+    if (raw.eval_duration_ms !== undefined) {
+      usage.eval_duration_ms = Number(raw.eval_duration_ms) || 0;
+    } else if (raw.eval_duration !== undefined) {
+      usage.eval_duration_ms = Math.round(Number(raw.eval_duration) / 1e6);
+    }
+
+    const reportedSpeed = Number(
+      raw.tokens_per_second ?? raw["response_token/s"],
+    );
+    usage.tokens_per_second =
+      reportedSpeed > 0
+        ? UsageTracker._round(reportedSpeed)
+        : UsageTracker._speed(usage.completion_tokens, usage.eval_duration_ms);
+
+    return usage;
+  }
+
+  /**
+   * Add raw usage data to an accumulator (used across tool call rounds)
+   *
+   * @param {object} target - Usage accumulator created by UsageTracker.empty()
+   * @param {object} raw - Raw usage object to add
+   * @returns {object} The updated accumulator
+   */
+  static add(target, raw) {
+    const usage = UsageTracker.normalize(raw);
+    if (!target || !usage) {
+      return target;
+    }
+
+    target.prompt_tokens += usage.prompt_tokens;
+    target.completion_tokens += usage.completion_tokens;
+    target.total_tokens += usage.total_tokens;
+    target.eval_duration_ms += usage.eval_duration_ms;
+    target.tokens_per_second =
+      target.eval_duration_ms > 0
+        ? UsageTracker._speed(target.completion_tokens, target.eval_duration_ms)
+        : usage.tokens_per_second;
+
+    return target;
+  }
+
+  /**
+   * Calculate generation speed
+   *
+   * @param {number} tokens - Generated tokens
+   * @param {number} durationMs - Generation duration in milliseconds
+   * @returns {number} Tokens per second (0 if unknown)
+   */
+  static _speed(tokens, durationMs) {
+    if (!tokens || !durationMs) {
+      return 0;
+    }
+    return UsageTracker._round(tokens / (durationMs / 1000));
+  }
+
+  /**
+   * Round to two decimals
+   *
+   * @param {number} value - Value to round
+   * @returns {number} Rounded value
+   */
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Current local day as YYYY-MM-DD
+   *
+   * @returns {string} Day string
+   */
+  static _today() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, "0");
+    const day = String(now.getDate()).padStart(2, "0");
+    return `${now.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Convert model name to model ID (same logic as OllamaClient)
+   *
+   * @param {string} modelName - Original model name
+   * @returns {string} Model ID for ioBroker states
+   */
+  static _getModelId(modelName) {
+    return String(modelName).replace(/[^a-zA-Z0-9_]/g, "_");
+  }
+
+  /**
+   * Create stats states for a model
+   *
+   * @param {string} modelId - Model ID used in the object tree
+   */
+  async createModelStates(modelId) {
+    const adapter = this.adapter;
+    const base = `models.${modelId}.stats`;
+
+    await adapter.setObjectNotExistsAsync(base, {
+      type: "channel",
+      common: { name: adapter.translate("Statistics") },
+      native: {},
+    });
+
+    const numberStates = {
+      lastPromptTokens: ["Last prompt tokens", ""],
+      lastCompletionTokens: ["Last completion tokens", ""],
+      lastEvalDuration: ["Last generation duration", "ms"],
+      lastTokensPerSecond: ["Last tokens per second", "tok/s"],
+      todayPromptTokens: ["Prompt tokens today", ""],
+      todayCompletionTokens: ["Completion tokens today", ""],
+      todayRequests: ["Requests today", ""],
+      totalPromptTokens: ["Prompt tokens total", ""],
+      totalCompletionTokens: ["Completion tokens total", ""],
+      totalRequests: ["Requests total", ""],
+    };
+
+    for (const [stateId, [name, unit]] of Object.entries(numberStates)) {
+      await adapter.setObjectNotExistsAsync(`${base}.${stateId}`, {
+        type: "state",
+        common: {
+          name: adapter.translate(name),
+          type: "number",
+          role: "value",
+          read: true,
+          write: false,
+          def: 0,
+          ...(unit ? { unit } : {}),
+        },
+        native: {},
+      });
+    }
+
+    await adapter.setObjectNotExistsAsync(`${base}.day`, {
+      type: "state",
+      common: {
+        name: adapter.translate("Statistics day"),
+        type: "string",
+        role: "date",
+        read: true,
+        write: false,
+        def: "",
+      },
+      native: {},
+    });
+
+    this._knownModels.add(modelId);
+  }
+
+  /**
+   * Record usage of a single request for a model
+   *
+   * @param {string} modelName - Model name (or ID)
+   * @param {object} usage - Usage data (raw or normalized)
+   */
+  async record(modelName, usage) {
+    const normalized = UsageTracker.normalize(usage);
+    if (!modelName || !normalized) {
+      return;
+    }
+
+    const modelId = UsageTracker._getModelId(modelName);
+    if (!this._knownModels.has(modelId)) {
+      this.log.debug(
+        `[UsageTracker] No stats states for model ${modelName}, skipping usage`,
+      );
+      return;
+    }
+
+    try {
+      const counters = await this._getCounters(modelId);
+      const today = UsageTracker._today();
+      if (counters.day !== today) {
+        counters.day = today;
+        counters.todayPromptTokens = 0;
+        counters.todayCompletionTokens = 0;
+        counters.todayRequests = 0;
+      }
+
+      counters.todayPromptTokens += normalized.prompt_tokens;
+      counters.todayCompletionTokens += normalized.completion_tokens;
+      counters.todayRequests += 1;
+      counters.totalPromptTokens += normalized.prompt_tokens;
+      counters.totalCompletionTokens += normalized.completion_tokens;
+      counters.totalRequests += 1;
+
+      const base = `models.${modelId}.stats`;
+      await Promise.all([
+        this.adapter.setState(
+          `${base}.lastPromptTokens`,
+          normalized.prompt_tokens,
+          true,
+        ),
+        this.adapter.setState(
+          `${base}.lastCompletionTokens`,
+          normalized.completion_tokens,
+          true,
+        ),
+        this.adapter.setState(
+          `${base}.lastEvalDuration`,
+          normalized.eval_duration_ms,
+          true,
+        ),
+        this.adapter.setState(
+          `${base}.lastTokensPerSecond`,
+          normalized.tokens_per_second,
+          true,
+        ),
+        this._writeCounters(modelId, counters),
+      ]);
+
+      this.log.debug(
+        `[UsageTracker] ${modelName}: ${normalized.prompt_tokens} prompt + ${normalized.completion_tokens} completion tokens (${normalized.tokens_per_second} tok/s)`,
+      );
+    } catch (error) {
+      this.log.warn(
+        `[UsageTracker] Could not record usage for ${modelName}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Load counters for a model from states (cached after first access)
+   *
+   * @param {string} modelId - Model ID
+   * @returns {Promise<object>} Counter values
+   */
+  async _getCounters(modelId) {
+    if (this._counters.has(modelId)) {
+      return this._counters.get(modelId);
+    }
+
+    const base = `models.${modelId}.stats`;
+    const keys = [
+      "todayPromptTokens",
+      "todayCompletionTokens",
+      "todayRequests",
+      "totalPromptTokens",
+      "totalCompletionTokens",
+      "totalRequests",
+    ];
+    const counters = { day: "" };
+
+    for (const key of keys) {
+      const state = await this.adapter.getStateAsync(`${base}.${key}`);
+      counters[key] = Number(state?.val) || 0;
+    }
+    const dayState = await this.adapter.getStateAsync(`${base}.day`);
+    counters.day = dayState?.val || "";
+
+    this._counters.set(modelId, counters);
+    return counters;
+  }
+
+  /**
+   * Write cached counters back to states
+   *
+   * @param {string} modelId - Model ID
+   * @param {object} counters - Counter values
+   */
+  async _writeCounters(modelId, counters) {
+    const base = `models.${modelId}.stats`;
+    for (const [key, value] of Object.entries(counters)) {
+      await this.adapter.setState(`${base}.${key}`, value, true);
+    }
+  }
+
+  /**
+   * Reset daily counters of all models if the day has changed
+   */
+  async resetDailyCounters() {
+    const today = UsageTracker._today();
+
+    for (const modelId of this._knownModels) {
+      try {
+        const counters = await this._getCounters(modelId);
+        if (counters.day === today) {
+          continue;
+        }
+        counters.day = today;
+        counters.todayPromptTokens = 0;
+        counters.todayCompletionTokens = 0;
+        counters.todayRequests = 0;
+        await this._writeCounters(modelId, counters);
+      } catch (error) {
+        this.log.debug(
+          `[UsageTracker] Daily reset failed for ${modelId}: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Schedule the daily counter reset at local midnight
+   */
+  startDailyReset() {
+    this.stopDailyReset();
+
+    const now = new Date();
+    const nextMidnight = new Date(
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate() + 1,
+      0,
+      0,
+      5,
+    );
+
+    this._dailyResetTimeout = this.adapter.setTimeout(async () => {
+      this._dailyResetTimeout = null;
+      await this.resetDailyCounters();
+      this.startDailyReset();
+    }, nextMidnight.getTime() - now.getTime());
+  }
+
+  /**
+   * Stop the daily counter reset timer
+   */
+  stopDailyReset() {
+    if (this._dailyResetTimeout) {
+      this.adapter.clearTimeout(this._dailyResetTimeout);
+      this._dailyResetTimeout = null;
+    }
+  }
+}
+
+module.exports = UsageTracker;
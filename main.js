@@ -8,6 +8,19 @@ const DatapointController = require("./lib/datapointController");
 const HttpClient = require("./lib/httpClient");
 const LRUCache = require("./lib/lruCache");
 const ConfigValidator = require("./lib/configValidator");
+const UsageTracker = require("./lib/usageTracker");
+const ConversationManager = require("./lib/conversationManager");
+const MessageHandler = require("./lib/messageHandler");
+const PendingActionManager = require("./lib/pendingActionManager");
+const AuditLog = require("./lib/auditLog");
+const SceneManager = require("./lib/sceneManager");
+const ScheduleManager = require("./lib/scheduleManager");
+const HistoryQuery = require("./lib/historyQuery");
+const NotificationSender = require("./lib/notificationSender");
+const IntentHandler = require("./lib/intentHandler");
+const PromptScheduler = require("./lib/promptScheduler");
+const RuleEngine = require("./lib/ruleEngine");
+const ToolRegistry = require("./lib/toolRegistry");
 
 class ollama extends utils.Adapter {
   constructor(options) {
@@ -26,9 +39,21 @@ class ollama extends utils.Adapter {
     this._configValidator = null; // Configuration validator
     this.toolServer = null; // OpenWebUI tool server instance
     this.datapointController = null; // DatapointController for function calling
+    this.usageTracker = null; // Per-model token usage statistics
+    this.conversationManager = null; // Conversation history for state-based chat
+    this.messageHandler = null; // sendTo API for scripts and other adapters
+    this.pendingActionManager = null; // Writes waiting for user confirmation
+    this.auditLog = null; // Audit log of AI tool actions
+    this.sceneManager = null; // Saved scenes of datapoint values
+    this.scheduleManager = null; // Delayed and recurring AI writes
+    this.toolRegistry = null; // Tools registered by scripts
+    this.intentHandler = null; // Voice assistant intent mode
+    this.promptScheduler = null; // Cron-driven prompt jobs
+    this.ruleEngine = null; // Event-triggered AI rules
     this.on("ready", this.onReady.bind(this));
     this.on("stateChange", this.onStateChange.bind(this));
     this.on("objectChange", this.onObjectChange.bind(this));
+    this.on("message", this.onMessage.bind(this));
     this.on("unload", this.onUnload.bind(this));
   }
 
@@ -94,6 +119,20 @@ class ollama extends utils.Adapter {
         this.translate.bind(this),
       );
 
+      // Initialize token usage statistics
+      this.usageTracker = new UsageTracker(this);
+      this.ollamaClient.setUsageTracker(this.usageTracker);
+
+      // Initialize conversation history for state-based chat
+      this.conversationManager = new ConversationManager(
+        this,
+        this._ollamaUrlBase,
+      );
+      this.ollamaClient.setConversationManager(this.conversationManager);
+
+      // Initialize sendTo API
+      this.messageHandler = new MessageHandler(this);
+
       // Initialize DatapointController for function calling
       this.datapointController = new DatapointController(
         this,
@@ -103,51 +142,152 @@ class ollama extends utils.Adapter {
         null, // QdrantClient will be set later when ToolServer starts
         this.config, // Pass config for vector database integration
       );
+      this.datapointController.setSubscriptionCheck((id) =>
+        this._isStateSubscriptionNeeded(id),
+      );
       this.log.debug(
         "[DatapointController] Controller initialized successfully",
       );
 
+      // Button to undo the last AI change
+      await this.setObjectNotExistsAsync("undo", {
+        type: "state",
+        common: {
+          name: this.translate("Undo last AI change"),
+          type: "boolean",
+          role: "button",
+          read: false,
+          write: true,
+          def: false,
+        },
+        native: {},
+      });
+
+      // Hold writes to datapoints with requireConfirmation until a user confirms them
+      this.pendingActionManager = new PendingActionManager(this);
+      await this.pendingActionManager.initialize();
+      this.datapointController.setPendingActionManager(
+        this.pendingActionManager,
+      );
+
+      // Named snapshots of datapoint values, restored through the write checks
+      this.sceneManager = new SceneManager(this, this.datapointController);
+      await this.sceneManager.initialize();
+      this.datapointController.setSceneManager(this.sceneManager);
+
+      // Delayed and recurring writes, restarted from their objects below
+      this.scheduleManager = new ScheduleManager(
+        this,
+        this.datapointController,
+      );
+      this.datapointController.setScheduleManager(this.scheduleManager);
+
+      // Tools registered by scripts through sendTo("registerTool")
+      this.toolRegistry = new ToolRegistry(
+        this,
+        DatapointController.builtinToolNames(),
+      );
+      await this.toolRegistry.initialize();
+      this.datapointController.setToolRegistry(this.toolRegistry);
+
+      // History queries (getHistory) through the configured history instance
+      if (this.config.historyInstance) {
+        this.datapointController.setHistoryQuery(
+          new HistoryQuery(
+            this,
+            this.config.historyInstance,
+            this.config.historyTimeout,
+          ),
+        );
+        this.log.info(
+          `[History] getHistory uses ${this.config.historyInstance}`,
+        );
+      }
+
+      // Messages of the notify tool through the configured messaging instances
+      if (this.config.notifyChannels?.length > 0) {
+        const sender = new NotificationSender(this, this.config.notifyChannels);
+        this.datapointController.setNotificationSender(sender);
+        this.log.info(
+          `[Notify] Channels: ${sender.getChannelNames().join(", ")}`,
+        );
+      }
+
+      // Record every AI tool action in the audit log
+      if (this.config.auditEnabled) {
+        try {
+          this.auditLog = new AuditLog(
+            this,
+            utils.getAbsoluteInstanceDataDir(this),
+          );
+          await this.auditLog.initialize();
+          this.datapointController.setAuditLog(this.auditLog);
+        } catch (error) {
+          this.log.error(
+            `[Audit] Could not initialize audit log: ${error.message}`,
+          );
+          this.auditLog = null;
+        }
+      }
+
       // Configure OllamaClient with DatapointController for Function Calling
-      // Note: DatapointController Function Calling is now handled by ToolServer
-      // but we keep this for direct Ollama fallback scenarios
+      // Note: DatapointController Function Calling is handled by ToolServer
+      // and by the native Ollama backend when OpenWebUI is unavailable
       this.ollamaClient.configureDatapointControl(true, new Set());
       this.ollamaClient.setDatapointController(this.datapointController);
       this.log.info(
         "[OllamaClient] Configured with OpenWebUI-first architecture and ToolServer integration",
       );
 
-      // Test OpenWebUI connection
+      // Test OpenWebUI connection (not used with an OpenAI-compatible server)
+      const openAICompatible = this.config.backendType === "openai";
       let openWebUIAvailable = false;
-      try {
-        this.log.info(`[OpenWebUI] Testing connection to ${this._serverUrlBase}`);
-        const openWebUIClient = this._httpClient.getOpenWebUI(
-          this.config.openWebUIApiKey,
-        );
-        const response = await openWebUIClient.get(
-          `${this._serverUrlBase}/api/models`,
-          {
-            headers: this.config.openWebUIApiKey
-              ? { Authorization: `Bearer ${this.config.openWebUIApiKey}` }
-              : {},
-            timeout: 10000,
-          },
+      if (openAICompatible) {
+        this.log.info(
+          `[OpenAI] Using OpenAI-compatible server at ${this.config.openAIBaseUrl}`,
         );
-        openWebUIAvailable = response.status === 200;
-        if (openWebUIAvailable) {
-          this.log.info(`[OpenWebUI] Connection successful to ${this._serverUrlBase}`);
-          
-          // Log available models for debugging
-          if (response.data?.data) {
-            const models = response.data.data.map(m => m.id);
-            this.log.info(`[OpenWebUI] Available models: ${models.join(", ")}`);
+      } else {
+        try {
+          this.log.info(
+            `[OpenWebUI] Testing connection to ${this._serverUrlBase}`,
+          );
+          const openWebUIClient = this._httpClient.getOpenWebUI(
+            this.config.openWebUIApiKey,
+          );
+          const response = await openWebUIClient.get(
+            `${this._serverUrlBase}/api/models`,
+            {
+              headers: this.config.openWebUIApiKey
+                ? { Authorization: `Bearer ${this.config.openWebUIApiKey}` }
+                : {},
+              timeout: 10000,
+            },
+          );
+          openWebUIAvailable = response.status === 200;
+          if (openWebUIAvailable) {
+            this.log.info(
+              `[OpenWebUI] Connection successful to ${this._serverUrlBase}`,
+            );
+
+            // Log available models for debugging
+            if (response.data?.data) {
+              const models = response.data.data.map((m) => m.id);
+              this.log.info(
+                `[OpenWebUI] Available models: ${models.join(", ")}`,
+              );
+            }
           }
+        } catch (error) {
+          this.log.error(
+            `[OpenWebUI] Connection test failed to ${this._serverUrlBase}: ${error.message}`,
+          );
+          this.log.error(
+            `[OpenWebUI] Please verify that OpenWebUI is running on IP ${this.config.openWebUIIp} port ${this.config.openWebUIPort}`,
+          );
         }
-      } catch (error) {
-        this.log.error(`[OpenWebUI] Connection test failed to ${this._serverUrlBase}: ${error.message}`);
-        this.log.error(`[OpenWebUI] Please verify that OpenWebUI is running on IP ${this.config.openWebUIIp} port ${this.config.openWebUIPort}`);
       }
 
-      // Test direct Ollama connection
+      // Test direct Ollama connection (or the OpenAI-compatible server's model list)
       let ollamaAvailable = false;
       try {
         const models = await this.ollamaClient.fetchModels();
@@ -172,7 +312,7 @@ class ollama extends utils.Adapter {
           );
         } catch (err) {
           this.log.error(`Vector database not available: ${err.message}`);
-          if (!openWebUIAvailable) {
+          if (!openWebUIAvailable && !openAICompatible) {
             // Neither OpenWebUI nor Vector DB available
             this.log.error(
               "[Connection] Neither OpenWebUI nor Vector DB available - stopping adapter",
@@ -195,6 +335,9 @@ class ollama extends utils.Adapter {
       // Initialize DatapointController with current allowed datapoints
       await this.updateDatapointControllerAllowedDatapoints();
 
+      // Restart scheduled actions once the write permissions are known
+      await this.scheduleManager.initialize();
+
       const models = await this.ollamaClient.fetchModels();
       this.log.info(`Fetched models: ${models.join(", ")}`);
 
@@ -228,6 +371,41 @@ class ollama extends utils.Adapter {
       // Create folder and states for each model tag
       await this.ollamaClient.createModelStates(models, this);
 
+      // Answer texts of voice assistants instead of text2command
+      if (this.config.intentEnabled) {
+        this.intentHandler = new IntentHandler(this, this.ollamaClient, {
+          model: this.config.intentModel || this.config.toolServerChatModel,
+          inputState: this.config.intentInputState,
+          responseState: this.config.intentResponseState,
+          timeout: this.config.intentTimeout,
+          maxLength: this.config.intentMaxLength,
+          fallbackInstance: this.config.intentFallbackInstance,
+        });
+        await this.intentHandler.initialize();
+      }
+
+      // Cron-driven prompts (reports, briefings) written to states
+      this.promptScheduler = new PromptScheduler(
+        this,
+        this.ollamaClient,
+        this.datapointController,
+        this.config.promptJobs,
+        this.config.toolServerChatModel,
+      );
+      await this.promptScheduler.initialize();
+
+      // AI rules reacting to datapoint changes
+      this.ruleEngine = new RuleEngine(
+        this,
+        this.ollamaClient,
+        this.datapointController,
+        this.config.aiRules,
+        this.config.toolServerChatModel,
+      );
+      await this.ruleEngine.initialize();
+      await this.usageTracker.resetDailyCounters();
+      this.usageTracker.startDailyReset();
+
       // Start model monitoring
       this.log.info(
         `Model list for monitoring: ${JSON.stringify(this._models)}`,
@@ -260,6 +438,12 @@ class ollama extends utils.Adapter {
     }
 
     try {
+      // Device acknowledgements for AI writes that wait for verification
+      this.datapointController?.handleStateChange(id, state);
+
+      // Debounce AI rules of trigger datapoints (the prompts run in the background)
+      this.ruleEngine?.handleStateChange(id, state);
+
       // Handle vector database cleanup button
       const isVectorDbCleanupButton =
         id === `${this.namespace}.vectordb.cleanup` &&
@@ -270,17 +454,8 @@ class ollama extends utils.Adapter {
           "[VectorDB] Starting complete cleanup (duplicates + disabled datapoints)...",
         );
         if (this.config.useVectorDb) {
-          const qdrantUrl = `http://${this.config.vectorDbIp}:${this.config.vectorDbPort}`;
           try {
-            const results = await QdrantHelper.completeVectorDbCleanup(
-              this._enabledDatapoints,
-              qdrantUrl,
-              "iobroker_datapoints",
-              this.log,
-            );
-            this.log.info(
-              `[VectorDB] Cleanup completed: ${results.disabledDatapointsRemoved} disabled datapoints removed, ${results.duplicatesCleanedDatapoints} datapoints processed for duplicates`,
-            );
+            await this.cleanupVectorDb();
           } catch (error) {
             this.log.error(`[VectorDB] Cleanup failed: ${error.message}`);
           }
@@ -320,6 +495,80 @@ class ollama extends utils.Adapter {
         }
       }
 
+      // Handle undo button
+      const isUndoButton =
+        id === `${this.namespace}.undo` && Boolean(state.val) && !state.ack;
+      if (isUndoButton && this.datapointController) {
+        const result = await this.datapointController.undoLast(1);
+        if (result.success) {
+          await this.datapointController.recordAudit(
+            "undoLast",
+            { count: 1 },
+            result,
+            null,
+            { source: "undo button" },
+          );
+        } else {
+          this.log.warn(`[DatapointController] Undo: ${result.error}`);
+        }
+        await this.setState("undo", false, true);
+        return;
+      }
+
+      // Handle confirm/reject buttons of pending actions
+      if (
+        this.pendingActionManager &&
+        (await this.pendingActionManager.handleStateChange(id, state))
+      ) {
+        return;
+      }
+
+      // Handle scene save input and apply/delete buttons
+      if (
+        this.sceneManager &&
+        (await this.sceneManager.handleStateChange(id, state))
+      ) {
+        return;
+      }
+
+      // Handle cancellation of scheduled actions
+      if (
+        this.scheduleManager &&
+        (await this.scheduleManager.handleStateChange(id, state))
+      ) {
+        return;
+      }
+
+      // Handle run buttons of scheduled prompts
+      if (
+        this.promptScheduler &&
+        (await this.promptScheduler.handleStateChange(id, state))
+      ) {
+        return;
+      }
+
+      // Handle texts of voice assistants (intent mode)
+      if (
+        this.intentHandler &&
+        (await this.intentHandler.handleStateChange(id, state))
+      ) {
+        return;
+      }
+
+      // Handle new conversation buttons
+      const isNewConversationButton =
+        id.startsWith(`${this.namespace}.models.`) &&
+        id.endsWith(".newConversation") &&
+        Boolean(state.val) &&
+        !state.ack;
+      if (isNewConversationButton && this.conversationManager) {
+        const modelId = id.split(".")[3];
+        const sessionId = await this.conversationManager.getSessionId(modelId);
+        await this.conversationManager.resetConversation(modelId, sessionId);
+        await this.setState(`models.${modelId}.newConversation`, false, true);
+        return;
+      }
+
       // Handle chat message inputs
       const isChatMessageInput =
         id.startsWith(`${this.namespace}.models.`) &&
@@ -335,6 +584,59 @@ class ollama extends utils.Adapter {
     }
   }
 
+  /**
+   * Handle sendTo messages from scripts and other adapters
+   *
+   * @param {ioBroker.Message} obj - Message object
+   */
+  async onMessage(obj) {
+    if (typeof obj !== "object" || !obj.command) {
+      return;
+    }
+
+    const result = this.messageHandler
+      ? await this.messageHandler.handle(obj.command, obj.message, obj.from)
+      : { success: false, error: "Adapter is not ready" };
+
+    if (obj.callback) {
+      this.sendTo(obj.from, obj.command, result, obj.callback);
+    }
+  }
+
+  /**
+   * Remove duplicates and disabled datapoints from the vector database
+   *
+   * @returns {Promise<object>} Cleanup statistics from QdrantHelper
+   */
+  async cleanupVectorDb() {
+    const qdrantUrl = `http://${this.config.vectorDbIp}:${this.config.vectorDbPort}`;
+    const results = await QdrantHelper.completeVectorDbCleanup(
+      this._enabledDatapoints,
+      qdrantUrl,
+      "iobroker_datapoints",
+      this.log,
+    );
+    this.log.info(
+      `[VectorDB] Cleanup completed: ${results.disabledDatapointsRemoved} disabled datapoints removed, ${results.duplicatesCleanedDatapoints} datapoints processed for duplicates`,
+    );
+    return results;
+  }
+
+  /**
+   * Check if the state changes of a datapoint are still needed: enabled
+   * datapoints, triggers of AI rules and writes waiting for verification
+   *
+   * @param {string} id - State ID
+   * @returns {boolean} True if the datapoint must stay subscribed
+   */
+  _isStateSubscriptionNeeded(id) {
+    return (
+      this._enabledDatapoints.has(id) ||
+      !!this.ruleEngine?.triggers.has(id) ||
+      !!this.datapointController?.isWaitingForAck(id)
+    );
+  }
+
   async onObjectChange(id, obj) {
     try {
       // Check if object has enabled custom config
@@ -347,13 +649,16 @@ class ollama extends utils.Adapter {
           this.subscribeForeignStates(id);
         } else {
           this._enabledDatapoints.delete(id);
-          this.unsubscribeForeignStates(id);
+          if (!this._isStateSubscriptionNeeded(id)) {
+            this.unsubscribeForeignStates(id);
+          }
         }
 
         // Update DatapointController with allowed datapoints (allowAutoChange)
         if (this.datapointController) {
           const allowedDatapoints = new Set(); // For reading (all enabled)
           const writeAllowedDatapoints = new Set(); // For writing (only allowAutoChange=true)
+          const confirmationDatapoints = new Set(); // Writes need user confirmation
 
           for (const datapointId of this._enabledDatapoints) {
             try {
@@ -369,6 +674,9 @@ class ollama extends utils.Adapter {
                 this.log.debug(
                   `[DatapointController] Added ${datapointId} to write-allowed datapoints (allowAutoChange=true)`,
                 );
+                if (customCfg.requireConfirmation === true) {
+                  confirmationDatapoints.add(datapointId);
+                }
               }
             } catch (error) {
               this.log.debug(
@@ -382,6 +690,9 @@ class ollama extends utils.Adapter {
           this.datapointController.setWriteAllowedDatapoints(
             writeAllowedDatapoints,
           );
+          this.datapointController.setConfirmationDatapoints(
+            confirmationDatapoints,
+          );
 
           // Update OllamaClient with readable datapoints for Function Calling
           if (
@@ -402,7 +713,9 @@ class ollama extends utils.Adapter {
         // Object deleted or custom config removed
         if (this._enabledDatapoints.has(id)) {
           this._enabledDatapoints.delete(id);
-          this.unsubscribeForeignStates(id);
+          if (!this._isStateSubscriptionNeeded(id)) {
+            this.unsubscribeForeignStates(id);
+          }
 
           // Update DatapointController after removal
           if (this.datapointController) {
@@ -449,6 +762,9 @@ class ollama extends utils.Adapter {
         const toolServerHost = this.config.toolServerHost || "127.0.0.1";
         const toolServerUrl = `http://${toolServerHost}:${actualPort}`;
         this.ollamaClient?.setToolServerUrl(toolServerUrl);
+        this.ollamaClient?.setToolServerToken(
+          this.toolServer.getInternalToken(),
+        );
         this.log.info(
           `[ToolServer] OllamaClient configured to use ToolServer at ${toolServerUrl}`,
         );
@@ -492,6 +808,7 @@ class ollama extends utils.Adapter {
 
     // Separate set for write-allowed datapoints (setState)
     const writeAllowedDatapoints = new Set();
+    const confirmationDatapoints = new Set();
 
     this.log.debug(
       `[DatapointController] Processing ${this._enabledDatapoints.size} enabled datapoints`,
@@ -500,11 +817,15 @@ class ollama extends utils.Adapter {
     for (const datapointId of this._enabledDatapoints) {
       try {
         const dpObj = await this.getForeignObjectAsync(datapointId);
-        if (dpObj?.common?.custom?.[this.namespace]?.allowAutoChange === true) {
+        const customCfg = dpObj?.common?.custom?.[this.namespace];
+        if (customCfg?.allowAutoChange === true) {
           writeAllowedDatapoints.add(datapointId);
           this.log.debug(
             `[DatapointController] Added ${datapointId} to write-allowed datapoints (allowAutoChange=true)`,
           );
+          if (customCfg.requireConfirmation === true) {
+            confirmationDatapoints.add(datapointId);
+          }
         }
       } catch (error) {
         this.log.debug(
@@ -516,6 +837,7 @@ class ollama extends utils.Adapter {
     // Set all enabled datapoints as readable
     this.datapointController.setAllowedDatapoints(allowedDatapoints);
     this.datapointController.setWriteAllowedDatapoints(writeAllowedDatapoints);
+    this.datapointController.setConfirmationDatapoints(confirmationDatapoints);
 
     // Update OllamaClient with all enabled datapoints for Function Calling
     if (this.ollamaClient && this.ollamaClient.configureDatapointControl) {
@@ -663,7 +985,7 @@ class ollama extends utils.Adapter {
    * Handle adapter unload
    * Clean up resources and connections before adapter shutdown
    *
-   * @param {Function} callback - Callback function to call when unload is complete
+   * @param {function(): void} callback - Callback function to call when unload is complete
    */
   onUnload(callback) {
     try {
@@ -690,7 +1012,7 @@ class ollama extends utils.Adapter {
   /**
    * Finish the unload process after ToolServer cleanup
    *
-   * @param {Function} callback - Callback function to call when cleanup is complete
+   * @param {function(): void} callback - Callback function to call when cleanup is complete
    */
   _finishUnload(callback) {
     try {
@@ -711,6 +1033,26 @@ class ollama extends utils.Adapter {
         this._retentionInitialTimeout = null;
       }
 
+      if (this.usageTracker) {
+        this.usageTracker.stopDailyReset();
+      }
+
+      if (this.pendingActionManager) {
+        this.pendingActionManager.stop();
+      }
+
+      if (this.scheduleManager) {
+        this.scheduleManager.stop();
+      }
+
+      if (this.promptScheduler) {
+        this.promptScheduler.stop();
+      }
+
+      if (this.ruleEngine) {
+        this.ruleEngine.stop();
+      }
+
       // Clean up resources
       if (this.ollamaClient) {
         // Clean up ModelManager
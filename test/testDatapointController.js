@@ -0,0 +1,145 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("mocha");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const DatapointController = require("../lib/datapointController");
+
+const log = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+describe("DatapointController", () => {
+	describe("_waitForAck", () => {
+		let adapter;
+		let controller;
+
+		beforeEach(() => {
+			adapter = {
+				subscribeForeignStates: sinon.stub(),
+				unsubscribeForeignStates: sinon.stub(),
+				setTimeout: (callback, ms) => setTimeout(callback, ms),
+				clearTimeout: (timer) => clearTimeout(timer),
+			};
+			controller = new DatapointController(adapter, new Set(), log);
+		});
+
+		it("subscribes the datapoint until the last waiting write finishes", async () => {
+			const first = controller._waitForAck("hm.0.light", 1000);
+			const second = controller._waitForAck("hm.0.light", 20);
+
+			expect(await second.promise).to.be.null;
+			expect(adapter.unsubscribeForeignStates.called).to.be.false;
+
+			controller.handleStateChange("hm.0.light", { val: true, ack: true });
+
+			expect(await first.promise).to.include({ val: true });
+			expect(adapter.subscribeForeignStates.callCount).to.equal(1);
+			expect(adapter.unsubscribeForeignStates.calledOnceWith("hm.0.light")).to.be.true;
+			expect(controller.isWaitingForAck("hm.0.light")).to.be.false;
+		});
+
+		it("keeps datapoints subscribed that the adapter needs itself", async () => {
+			controller.setSubscriptionCheck((id) => id === "hm.0.light");
+			const ack = controller._waitForAck("hm.0.light", 1000);
+
+			ack.cancel();
+			ack.cancel();
+
+			expect(await ack.promise).to.be.null;
+			expect(adapter.unsubscribeForeignStates.called).to.be.false;
+		});
+	});
+
+	describe("validateWriteValue", () => {
+		const objects = {
+			"hm.0.temp": {
+				common: {
+					type: "number",
+					min: 5,
+					max: 30,
+					step: 0.5,
+					unit: "°C",
+					custom: { "ollama.0": { maxChangePerCall: 3 } },
+				},
+			},
+			"hm.0.mode": { common: { type: "number", states: { 0: "off", 1: "eco", 2: "comfort" } } },
+		};
+		let adapter;
+
+		/**
+		 * Create a controller reading the test objects
+		 *
+		 * @param {boolean} clamp - Adjust invalid values instead of rejecting them
+		 * @returns {DatapointController} Controller
+		 */
+		function createController(clamp) {
+			return new DatapointController(adapter, new Set(), log, undefined, null, {
+				clampOutOfRangeValues: clamp,
+			});
+		}
+
+		beforeEach(() => {
+			adapter = {
+				namespace: "ollama.0",
+				getForeignObjectAsync: async (id) => objects[id],
+				getForeignStateAsync: async () => ({ val: 21, ack: true }),
+			};
+		});
+
+		it("rejects values below the minimum", async () => {
+			expect(await createController(false).validateWriteValue("hm.0.temp", 4)).to.deep.equal({
+				valid: false,
+				error: "Value 4 is below the minimum of hm.0.temp. Allowed range: 5 to 30 °C",
+			});
+		});
+
+		it("rejects values above the maximum", async () => {
+			expect(await createController(false).validateWriteValue("hm.0.temp", 31)).to.deep.equal({
+				valid: false,
+				error: "Value 31 is above the maximum of hm.0.temp. Allowed range: 5 to 30 °C",
+			});
+		});
+
+		it("rejects values that do not match the step size", async () => {
+			expect(await createController(false).validateWriteValue("hm.0.temp", "21.3")).to.deep.equal({
+				valid: false,
+				error: "Value 21.3 does not match the step size 0.5 of hm.0.temp. Use for example 21.5",
+			});
+		});
+
+		it("translates labels of selection lists and rejects unknown ones", async () => {
+			const controller = createController(false);
+
+			expect(await controller.validateWriteValue("hm.0.mode", "eco")).to.deep.equal({
+				valid: true,
+				value: 1,
+				adjustments: ['translated "eco" to 1 (eco)'],
+			});
+			expect(await controller.validateWriteValue("hm.0.mode", "turbo")).to.deep.equal({
+				valid: false,
+				error: 'Invalid value "turbo" for hm.0.mode. Allowed values: 0 (off), 1 (eco), 2 (comfort)',
+			});
+		});
+
+		it("rejects changes larger than maxChangePerCall", async () => {
+			expect(await createController(false).validateWriteValue("hm.0.temp", 26)).to.deep.equal({
+				valid: false,
+				error: "Changing hm.0.temp from 21 to 26 exceeds the maximum change of 3 °C per call. Use a value between 18 and 24",
+			});
+		});
+
+		it("adjusts invalid values to the nearest allowed value when clamping is enabled", async () => {
+			const controller = createController(true);
+
+			expect(await controller.validateWriteValue("hm.0.temp", 21.3)).to.deep.equal({
+				valid: true,
+				value: 21.5,
+				adjustments: ["rounded 21.3 to 21.5 (step 0.5)"],
+			});
+			expect(await controller.validateWriteValue("hm.0.temp", 40)).to.deep.equal({
+				valid: true,
+				value: 24,
+				adjustments: ["lowered 40 to the maximum 30", "limited the change to 3 °C (21 -> 24)"],
+			});
+		});
+	});
+});
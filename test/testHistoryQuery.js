@@ -0,0 +1,199 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("mocha");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const HistoryQuery = require("../lib/historyQuery");
+
+const DATAPOINT = "hm-rpc.0.living.TEMPERATURE";
+const START = "2026-01-01T00:00:00.000Z";
+const END = "2026-01-02T00:00:00.000Z";
+
+/**
+ * Adapter stand-in with a history instance answering getHistory through sendToAsync
+ *
+ * @param {object} [instanceObject] - system.adapter object of the history instance (null if not installed)
+ * @returns {object} Adapter with sinon stubs
+ */
+function createAdapter(instanceObject = { common: { enabled: true } }) {
+	const objects = {
+		"system.adapter.history.0": instanceObject,
+		[DATAPOINT]: { common: { unit: "°C" } },
+	};
+	return {
+		log: { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} },
+		getForeignObjectAsync: sinon.stub().callsFake(async (id) => objects[id] || null),
+		sendToAsync: sinon.stub().resolves({ result: [] }),
+	};
+}
+
+/**
+ * Answer getHistory requests per aggregate
+ *
+ * @param {object} adapter - Adapter from createAdapter
+ * @param {object} results - Values per aggregate, e.g. { min: [{ val: 1, ts: 0 }] }
+ */
+function answerHistory(adapter, results) {
+	adapter.sendToAsync.callsFake(async (instance, command, message) => ({
+		result: results[message.options.aggregate] || [],
+	}));
+}
+
+describe("HistoryQuery", () => {
+	let adapter;
+	let query;
+
+	beforeEach(() => {
+		adapter = createAdapter();
+		query = new HistoryQuery(adapter, "history.0", 5);
+	});
+
+	describe("summarize", () => {
+		it("combines the aggregates returned by the history instance", async () => {
+			answerHistory(adapter, {
+				min: [{ val: 18.234, ts: 1 }, { val: 17.5, ts: 2 }],
+				max: [{ val: 21, ts: 1 }, { val: 22.456, ts: 2 }],
+				average: [{ val: 19, ts: 1 }, { val: 20, ts: 2 }, { val: null, ts: 3 }],
+				count: [{ val: 40, ts: 1 }, { val: 48, ts: 2 }],
+			});
+
+			const result = await query.summarize(DATAPOINT, { start: START, end: END });
+
+			expect(result).to.include({
+				success: true,
+				datapoint: DATAPOINT,
+				start: START,
+				end: END,
+				unit: "°C",
+				min: 17.5,
+				max: 22.46,
+				average: 19.5,
+				count: 88,
+			});
+			expect(result).to.not.have.property("intervals");
+			expect(result.message).to.contain("min 17.5 °C, max 22.46 °C, average 19.5 °C, 88 values");
+
+			expect(adapter.sendToAsync.callCount).to.equal(4);
+			const [instance, command, message, options] = adapter.sendToAsync.firstCall.args;
+			expect(instance).to.equal("history.0");
+			expect(command).to.equal("getHistory");
+			expect(message).to.deep.equal({
+				id: DATAPOINT,
+				options: {
+					start: Date.parse(START),
+					end: Date.parse(END),
+					aggregate: "min",
+					step: 86400000,
+					ignoreNull: true,
+					removeBorderValues: true,
+				},
+			});
+			expect(options).to.deep.equal({ timeout: 5000 });
+		});
+
+		it("adds the averages per interval on request", async () => {
+			answerHistory(adapter, {
+				min: [{ val: 10, ts: 0 }],
+				max: [{ val: 30, ts: 0 }],
+				count: [{ val: 12, ts: 0 }],
+				average: [
+					{ val: 12.345, ts: Date.parse(START) },
+					{ val: 25, ts: Date.parse(START) + 43200000 },
+				],
+			});
+
+			const result = await query.summarize(DATAPOINT, { start: START, end: END, intervals: 2 });
+
+			expect(result.intervals).to.deep.equal([
+				{ time: START, average: 12.35 },
+				{ time: "2026-01-01T12:00:00.000Z", average: 25 },
+			]);
+			expect(adapter.sendToAsync.lastCall.args[2].options).to.include({ aggregate: "average", step: 43200000 });
+		});
+
+		it("reports an empty range without values", async () => {
+			const result = await query.summarize(DATAPOINT, { start: START, end: END, intervals: 4 });
+
+			expect(result).to.include({ success: true, min: null, max: null, average: null, count: 0 });
+			expect(result).to.not.have.property("intervals");
+			expect(result.message).to.equal(`No values of ${DATAPOINT} recorded from ${START} to ${END}`);
+			expect(adapter.sendToAsync.callCount).to.equal(4);
+		});
+
+		it("rejects invalid time ranges without asking the history instance", async () => {
+			const invalid = await query.summarize(DATAPOINT, { start: "yesterday-ish" });
+			const reversed = await query.summarize(DATAPOINT, { start: END, end: START });
+
+			expect(invalid).to.include({ success: false });
+			expect(invalid.error).to.match(/^Invalid time range/);
+			expect(reversed).to.deep.equal({ success: false, error: "Invalid time range: start must be before end" });
+			expect(adapter.sendToAsync.called).to.be.false;
+		});
+
+		it("reports a history instance that is not installed", async () => {
+			query = new HistoryQuery(createAdapter(null), "history.0");
+
+			const result = await query.summarize(DATAPOINT, { start: START, end: END });
+
+			expect(result).to.deep.equal({ success: false, error: "History instance history.0 is not installed" });
+			expect(query.adapter.sendToAsync.called).to.be.false;
+		});
+
+		it("reports a disabled history instance", async () => {
+			query = new HistoryQuery(createAdapter({ common: { enabled: false } }), "history.0");
+
+			const result = await query.summarize(DATAPOINT, { start: START, end: END });
+
+			expect(result).to.deep.equal({ success: false, error: "History instance history.0 is disabled" });
+			expect(query.adapter.sendToAsync.called).to.be.false;
+		});
+
+		it("fails if the history instance does not answer in time", async () => {
+			adapter.sendToAsync.resolves(new Error("Timeout exceeded"));
+
+			let error;
+			try {
+				await query.summarize(DATAPOINT, { start: START, end: END });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.be.instanceOf(Error);
+			expect(error.message).to.equal("history.0: Timeout exceeded");
+			expect(adapter.sendToAsync.callCount).to.equal(1);
+		});
+
+		it("fails with the error reported by the history instance", async () => {
+			adapter.sendToAsync.resolves({ error: "No connection to the database" });
+
+			let error;
+			try {
+				await query.summarize(DATAPOINT, { start: START, end: END });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.be.instanceOf(Error);
+			expect(error.message).to.equal("history.0: No connection to the database");
+		});
+	});
+
+	describe("parseTime", () => {
+		const now = Date.parse(END);
+
+		it("accepts relative times, now, timestamps and ISO dates", () => {
+			expect(HistoryQuery.parseTime("-12h", 0, now)).to.equal(now - 43200000);
+			expect(HistoryQuery.parseTime("-30m", 0, now)).to.equal(now - 1800000);
+			expect(HistoryQuery.parseTime("-7d", 0, now)).to.equal(now - 604800000);
+			expect(HistoryQuery.parseTime("now", 0, now)).to.equal(now);
+			expect(HistoryQuery.parseTime(1234, 0, now)).to.equal(1234);
+			expect(HistoryQuery.parseTime(START, 0, now)).to.equal(Date.parse(START));
+		});
+
+		it("uses the fallback for empty values and null for invalid ones", () => {
+			expect(HistoryQuery.parseTime("", 42, now)).to.equal(42);
+			expect(HistoryQuery.parseTime(undefined, 42, now)).to.equal(42);
+			expect(HistoryQuery.parseTime("tomorrow", 42, now)).to.be.null;
+		});
+	});
+});
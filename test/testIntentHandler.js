@@ -0,0 +1,109 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("mocha");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const IntentHandler = require("../lib/intentHandler");
+
+const log = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+describe("IntentHandler", () => {
+	describe("toSpeech", () => {
+		it("strips markdown, links and thinking blocks", () => {
+			expect(
+				IntentHandler.toSpeech("<think>hmm</think>**Das Licht** im _Wohnzimmer_ ist [an](http://x).", 200),
+			).to.equal("Das Licht im Wohnzimmer ist an.");
+			expect(IntentHandler.toSpeech("Hier: ```js\ncode()\n``` und `x`", 200)).to.equal("Hier: und x");
+		});
+
+		it("turns headings, list items and table rows into sentences", () => {
+			expect(IntentHandler.toSpeech("## Status\n- Licht: an\n- Heizung: 21 °C", 200)).to.equal(
+				"Status. Licht: an. Heizung: 21 °C",
+			);
+			expect(IntentHandler.toSpeech("| Raum | Temperatur |\n|---|---|\n| Bad | 22 |", 200)).to.equal(
+				"Raum, Temperatur. Bad, 22",
+			);
+		});
+
+		it("cuts long answers at the last sentence end", () => {
+			const text = "Das Licht ist an. Die Heizung läuft auf 21 Grad. Das Fenster ist geschlossen.";
+
+			expect(IntentHandler.toSpeech(text, 60)).to.equal("Das Licht ist an. Die Heizung läuft auf 21 Grad.");
+		});
+
+		it("cuts at a word boundary if no sentence ends in the second half", () => {
+			const text = "Das Licht im Wohnzimmer ist eingeschaltet, die Heizung läuft";
+
+			expect(IntentHandler.toSpeech(text, 30)).to.equal("Das Licht im Wohnzimmer ist…");
+		});
+	});
+
+	describe("process", () => {
+		let adapter;
+		let ollamaClient;
+
+		/**
+		 * Create a handler answering intent.text with a 50 ms timeout
+		 *
+		 * @param {string} fallbackInstance - text2command instance or empty
+		 * @returns {IntentHandler} Intent handler
+		 */
+		function createHandler(fallbackInstance) {
+			return new IntentHandler(adapter, ollamaClient, {
+				model: "qwen3",
+				responseState: "alexa2.0.Echo.Commands.speak",
+				timeout: 0.05,
+				maxLength: 200,
+				fallbackInstance: fallbackInstance,
+			});
+		}
+
+		beforeEach(() => {
+			adapter = {
+				log,
+				namespace: "ollama.0",
+				setTimeout: (callback, ms) => setTimeout(callback, ms),
+				clearTimeout: (timer) => clearTimeout(timer),
+				translate: (text) => text,
+				setState: sinon.stub().resolves(),
+				setForeignStateAsync: sinon.stub().resolves(),
+				sendToAsync: sinon.stub().resolves({ response: "Licht eingeschaltet" }),
+			};
+			ollamaClient = { processChatMessage: sinon.stub().resolves({ content: "Das **Licht** ist an." }) };
+		});
+
+		it("writes the spoken answer of the model to the response states", async () => {
+			const result = await createHandler("text2command.0").process("Ist das Licht an?");
+
+			expect(result).to.deep.equal({ response: "Das Licht ist an.", answeredBy: "model" });
+			expect(adapter.setForeignStateAsync.firstCall.args).to.deep.equal([
+				"alexa2.0.Echo.Commands.speak",
+				"Das Licht ist an.",
+			]);
+			expect(adapter.sendToAsync.called).to.be.false;
+		});
+
+		it("cancels the model request on timeout before asking the fallback", async () => {
+			const signal = () => ollamaClient.processChatMessage.firstCall.args[2].signal;
+			ollamaClient.processChatMessage.returns(new Promise(() => {}));
+			adapter.sendToAsync.callsFake(async () => {
+				expect(signal().aborted).to.be.true;
+				return { response: "Licht eingeschaltet" };
+			});
+
+			const result = await createHandler("text2command.0").process("Licht an");
+
+			expect(result).to.deep.equal({ response: "Licht eingeschaltet", answeredBy: "text2command" });
+			expect(signal().reason.message).to.equal("Model timed out after 0.05s");
+		});
+
+		it("answers without the unsure marker if the fallback has no answer", async () => {
+			ollamaClient.processChatMessage.resolves({ content: "[UNSURE] Das weiß ich nicht." });
+			adapter.sendToAsync.resolves({ response: "" });
+
+			const result = await createHandler("text2command.0").process("Was ist los?");
+
+			expect(result).to.deep.equal({ response: "Das weiß ich nicht.", answeredBy: "model" });
+		});
+	});
+});
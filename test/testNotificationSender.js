@@ -0,0 +1,108 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("mocha");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const NotificationSender = require("../lib/notificationSender");
+
+const log = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const channels = [
+	{ name: "Telegram", instance: "telegram.0", template: "🏠 {text}", options: { user: "Alice" }, maxPerHour: 2 },
+	{ name: "Pushover", instance: "pushover.0", template: "", options: {}, maxPerHour: 0 },
+];
+
+describe("NotificationSender", () => {
+	let adapter;
+	let sender;
+
+	beforeEach(() => {
+		adapter = { log, sendToAsync: sinon.stub().resolves({ result: "ok" }) };
+		sender = new NotificationSender(adapter, channels, 5);
+	});
+
+	describe("notify", () => {
+		it("sends the filled template with the channel options", async () => {
+			const result = await sender.notify({ channel: "telegram", text: "Washing machine is done" });
+
+			expect(result).to.include({ success: true, message: "Telegram: sent" });
+			expect(adapter.sendToAsync.firstCall.args).to.deep.equal([
+				"telegram.0",
+				"send",
+				{ user: "Alice", text: "🏠 Washing machine is done" },
+				{ timeout: 5000 },
+			]);
+		});
+
+		it("uses the message field of adapters that expect it", async () => {
+			await sender.notify({ channel: "Pushover", text: "Hello" });
+
+			expect(adapter.sendToAsync.firstCall.args[2]).to.deep.equal({ message: "Hello" });
+		});
+
+		it("sends to every channel with all", async () => {
+			const result = await sender.notify({ channel: "all", text: "Hello" });
+
+			expect(result.results.map((item) => item.status)).to.deep.equal(["sent", "sent"]);
+			expect(adapter.sendToAsync.callCount).to.equal(2);
+		});
+
+		it("reports a delivery as failed if the instance does not answer in time", async () => {
+			adapter.sendToAsync.resolves(new Error("Timeout exceeded"));
+
+			const result = await sender.notify({ channel: "Telegram", text: "Hello" });
+
+			expect(result.success).to.be.false;
+			expect(result.results[0]).to.include({ status: "failed", error: "Timeout exceeded" });
+			expect(result.error).to.equal("The message could not be delivered to any channel");
+		});
+
+		it("reports errors returned by the messaging instance", async () => {
+			adapter.sendToAsync.resolves({ error: "Chat not found" });
+
+			const result = await sender.notify({ channel: "Telegram", text: "Hello" });
+
+			expect(result.results[0]).to.include({ status: "failed", error: "Chat not found" });
+		});
+
+		it("limits the messages per hour without counting failed deliveries", async () => {
+			adapter.sendToAsync.onFirstCall().resolves(new Error("Timeout exceeded"));
+
+			const results = [];
+			for (let i = 0; i < 4; i++) {
+				results.push(await sender.notify({ channel: "Telegram", text: `Message ${i}` }));
+			}
+
+			expect(results.map((result) => result.results[0].status)).to.deep.equal([
+				"failed",
+				"sent",
+				"sent",
+				"rate limited",
+			]);
+			expect(adapter.sendToAsync.callCount).to.equal(3);
+		});
+
+		it("rejects unknown channels and empty or long texts", async () => {
+			const unknown = await sender.notify({ channel: "Email", text: "Hello" });
+			const empty = await sender.notify({ channel: "Telegram", text: " " });
+			const long = await sender.notify({ channel: "Telegram", text: "x".repeat(2001) });
+
+			expect(unknown.error).to.equal("Unknown channel(s): Email. Available channels: Telegram, Pushover");
+			expect(empty.error).to.equal("Missing required parameter: text");
+			expect(long.error).to.match(/^Message too long: 2001 characters/);
+			expect(adapter.sendToAsync.called).to.be.false;
+		});
+	});
+
+	describe("applyTemplate", () => {
+		it("fills the placeholders and appends the text to templates without {text}", () => {
+			const values = { text: "Hi", channel: "Telegram", time: "08:00" };
+
+			expect(NotificationSender.applyTemplate("[{channel} {time}] {text} {unknown}", values)).to.equal(
+				"[Telegram 08:00] Hi {unknown}",
+			);
+			expect(NotificationSender.applyTemplate("ioBroker:", values)).to.equal("ioBroker: Hi");
+			expect(NotificationSender.applyTemplate("", values)).to.equal("Hi");
+		});
+	});
+});
@@ -0,0 +1,328 @@
+"use strict";
+
+const http = require("http");
+const { describe, it, before, after, beforeEach } = require("mocha");
+const { expect } = require("chai");
+const httpClient = require("../lib/httpClient");
+const OpenAIChatBackend = require("../lib/openAIChatBackend");
+
+/**
+ * Local stand-in for an OpenAI-compatible server
+ * Every request is recorded, responses come from the handlers of the current test
+ */
+class StubServer {
+	constructor() {
+		this.requests = [];
+		this.handlers = {};
+		this.server = http.createServer((req, res) => {
+			let body = "";
+			req.on("data", (chunk) => (body += chunk));
+			req.on("end", () => {
+				const request = {
+					method: req.method,
+					url: req.url,
+					headers: req.headers,
+					body: body ? JSON.parse(body) : null,
+				};
+				this.requests.push(request);
+				const handler = this.handlers[`${req.method} ${req.url}`];
+				const [status, data] = handler ? handler(request) : [404, { error: { message: "Not found" } }];
+				res.writeHead(status, { "Content-Type": "application/json" });
+				res.end(JSON.stringify(data));
+			});
+		});
+	}
+
+	/**
+	 * Start listening on a free port
+	 *
+	 * @returns {Promise<string>} Base URL of the server
+	 */
+	start() {
+		return new Promise((resolve) => {
+			this.server.listen(0, "127.0.0.1", () => {
+				const address = /** @type {import("net").AddressInfo} */ (this.server.address());
+				resolve(`http://127.0.0.1:${address.port}/v1`);
+			});
+		});
+	}
+
+	/**
+	 * Stop the server including kept-alive connections
+	 *
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		this.server.closeAllConnections();
+		return new Promise((resolve) => this.server.close(() => resolve()));
+	}
+}
+
+const log = {
+	debug: () => {},
+	info: () => {},
+	warn: () => {},
+	error: () => {},
+};
+
+describe("OpenAIChatBackend", () => {
+	const stub = new StubServer();
+	let baseUrl;
+	let backend;
+	let calls;
+
+	before(async () => {
+		baseUrl = await stub.start();
+	});
+
+	after(async () => {
+		await stub.stop();
+		httpClient.destroy();
+	});
+
+	beforeEach(() => {
+		stub.requests = [];
+		stub.handlers = {};
+		calls = [];
+		backend = new OpenAIChatBackend(
+			log,
+			{
+				openAIBaseUrl: `${baseUrl}/`,
+				openAIApiKey: "secret",
+				openAIModelsPath: "/models",
+				embeddingModel: "embed",
+			},
+			httpClient,
+		);
+		backend.setDatapointController({
+			getFunctionDefinitions: () => [
+				{
+					type: "function",
+					function: { name: "getState", description: "Read a datapoint", parameters: { type: "object" } },
+				},
+			],
+			executeFunctionCall: async (name, args) => {
+				calls.push({ name, args });
+				return { success: true, value: 21.5 };
+			},
+		});
+	});
+
+	describe("chat", () => {
+		it("executes tool calls and sends the results back with the call ID", async () => {
+			let round = 0;
+			stub.handlers["POST /v1/chat/completions"] = () => {
+				round++;
+				if (round === 1) {
+					return [
+						200,
+						{
+							choices: [
+								{
+									message: {
+										role: "assistant",
+										content: null,
+										tool_calls: [
+											{
+												id: "call_1",
+												type: "function",
+												function: {
+													name: "getState",
+													arguments: JSON.stringify({ datapoint: "hm.0.temp" }),
+												},
+											},
+										],
+									},
+								},
+							],
+							usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 },
+						},
+					];
+				}
+				return [
+					200,
+					{
+						choices: [{ message: { role: "assistant", content: "It is 21.5 °C" } }],
+						usage: { prompt_tokens: 150, completion_tokens: 20, total_tokens: 170 },
+					},
+				];
+			};
+
+			const result = await backend.chat("local-model", [{ role: "user", content: "How warm is it?" }], {
+				temperature: 0.2,
+			});
+
+			expect(result.content).to.equal("It is 21.5 °C");
+			expect(calls).to.deep.equal([{ name: "getState", args: { datapoint: "hm.0.temp" } }]);
+			expect(result.trace).to.have.length(1);
+			expect(result.trace[0]).to.include({ iteration: 1, name: "getState" });
+
+			expect(stub.requests).to.have.length(2);
+			const [first, second] = stub.requests;
+			expect(first.headers.authorization).to.equal("Bearer secret");
+			expect(first.body).to.include({ model: "local-model", stream: false, temperature: 0.2, tool_choice: "auto" });
+			expect(first.body.tools[0].function.name).to.equal("getState");
+
+			const toolMessage = second.body.messages[second.body.messages.length - 1];
+			expect(toolMessage).to.deep.equal({
+				role: "tool",
+				tool_call_id: "call_1",
+				name: "getState",
+				content: JSON.stringify({ success: true, value: 21.5 }),
+			});
+			const assistantMessage = second.body.messages[second.body.messages.length - 2];
+			expect(assistantMessage.tool_calls[0].id).to.equal("call_1");
+		});
+
+		it("sums the token usage of all rounds", async () => {
+			let round = 0;
+			stub.handlers["POST /v1/chat/completions"] = () => {
+				round++;
+				const message =
+					round === 1
+						? {
+								role: "assistant",
+								content: "",
+								tool_calls: [{ id: "call_1", function: { name: "getState", arguments: "{}" } }],
+							}
+						: { role: "assistant", content: "Done" };
+				return [
+					200,
+					{ choices: [{ message }], usage: { prompt_tokens: 40 * round, completion_tokens: 5 * round } },
+				];
+			};
+
+			const result = await backend.chat("local-model", [{ role: "user", content: "Status?" }]);
+
+			expect(result.usage).to.include({
+				prompt_tokens: 120,
+				completion_tokens: 15,
+				total_tokens: 135,
+				eval_duration_ms: 0,
+			});
+		});
+
+		it("does not offer tools when disabled by the caller", async () => {
+			stub.handlers["POST /v1/chat/completions"] = () => [
+				200,
+				{ choices: [{ message: { role: "assistant", content: "Hello" } }] },
+			];
+
+			const result = await backend.chat("local-model", [{ role: "user", content: "Hi" }], { tools: false });
+
+			expect(result.content).to.equal("Hello");
+			expect(stub.requests[0].body).to.not.have.property("tools");
+			expect(stub.requests[0].body).to.not.have.property("tool_choice");
+		});
+
+		it("executes no further tool calls once the request is aborted", async () => {
+			const controller = new AbortController();
+			stub.handlers["POST /v1/chat/completions"] = () => [
+				200,
+				{
+					choices: [
+						{
+							message: {
+								role: "assistant",
+								content: "",
+								tool_calls: [
+									{ id: "call_1", function: { name: "getState", arguments: '{"datapoint":"a"}' } },
+									{ id: "call_2", function: { name: "getState", arguments: '{"datapoint":"b"}' } },
+								],
+							},
+						},
+					],
+				},
+			];
+			backend.datapointController.executeFunctionCall = async (name, args) => {
+				calls.push({ name, args });
+				controller.abort(new Error("Model timed out after 5s"));
+				return { success: true };
+			};
+
+			let error;
+			try {
+				await backend.chat("local-model", [{ role: "user", content: "Status?" }], {
+					signal: controller.signal,
+				});
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error.message).to.equal("Model timed out after 5s");
+			expect(calls).to.deep.equal([{ name: "getState", args: { datapoint: "a" } }]);
+			expect(stub.requests).to.have.length(1);
+		});
+
+		it("reports 4xx responses with the server's error message", async () => {
+			stub.handlers["POST /v1/chat/completions"] = () => [
+				400,
+				{ error: { message: "model 'missing' not found", type: "invalid_request_error" } },
+			];
+
+			let error;
+			try {
+				await backend.chat("missing", [{ role: "user", content: "Hi" }]);
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.be.instanceOf(Error);
+			expect(error.message).to.equal("OpenAI-compatible server returned HTTP 400: model 'missing' not found");
+			expect(calls).to.be.empty;
+		});
+	});
+
+	describe("generateEmbedding", () => {
+		it("returns the vector of the first entry", async () => {
+			stub.handlers["POST /v1/embeddings"] = () => [200, { data: [{ embedding: [0.1, 0.2, 0.3] }] }];
+
+			const embedding = await backend.generateEmbedding("living room temperature");
+
+			expect(embedding).to.deep.equal([0.1, 0.2, 0.3]);
+			expect(stub.requests[0].body).to.deep.equal({ model: "embed", input: "living room temperature" });
+			expect(stub.requests[0].headers.authorization).to.equal("Bearer secret");
+		});
+
+		it("reports 4xx responses with the server's error message", async () => {
+			stub.handlers["POST /v1/embeddings"] = () => [401, { error: { message: "Invalid API key" } }];
+
+			let error;
+			try {
+				await backend.generateEmbedding("text");
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.be.instanceOf(Error);
+			expect(error.message).to.equal("Invalid API key");
+		});
+	});
+
+	describe("listModels", () => {
+		it("reads the OpenAI model list format", async () => {
+			stub.handlers["GET /v1/models"] = () => [200, { object: "list", data: [{ id: "qwen3" }, { id: "llama3.2" }] }];
+
+			expect(await backend.listModels()).to.deep.equal(["qwen3", "llama3.2"]);
+		});
+
+		it("reads the Ollama model list format from a configured path", async () => {
+			backend.modelsPath = "/tags";
+			stub.handlers["GET /v1/tags"] = () => [200, { models: [{ name: "qwen3:8b" }, { model: "phi4" }] }];
+
+			expect(await backend.listModels()).to.deep.equal(["qwen3:8b", "phi4"]);
+		});
+
+		it("rejects unknown formats", async () => {
+			let error;
+			try {
+				await backend.listModels();
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.be.instanceOf(Error);
+			expect(error.message).to.match(/Unexpected model list format .*\/v1\/models \(HTTP 404\)/);
+		});
+	});
+});
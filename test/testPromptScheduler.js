@@ -0,0 +1,83 @@
+"use strict";
+
+const { describe, it } = require("mocha");
+const { expect } = require("chai");
+const PromptScheduler = require("../lib/promptScheduler");
+
+/**
+ * Parse a cron expression that is expected to be valid
+ *
+ * @param {string} expression - Cron expression
+ * @returns {object} Parsed schedule
+ */
+function parse(expression) {
+	const schedule = PromptScheduler.parseCron(expression);
+	expect(schedule, expression).to.not.be.null;
+	return /** @type {object} */ (schedule);
+}
+
+describe("PromptScheduler", () => {
+	describe("parseCron", () => {
+		it("expands lists and ranges", () => {
+			const schedule = parse("0,30 8-10 * * 1-5");
+
+			expect([...schedule.minute]).to.deep.equal([0, 30]);
+			expect([...schedule.hour]).to.deep.equal([8, 9, 10]);
+			expect([...schedule.dayOfWeek]).to.deep.equal([1, 2, 3, 4, 5]);
+			expect(schedule.dayOfMonthRestricted).to.be.false;
+			expect(schedule.dayOfWeekRestricted).to.be.true;
+		});
+
+		it("expands steps of the whole range, a range and a start value", () => {
+			expect([...parse("*/15 * * * *").minute]).to.deep.equal([0, 15, 30, 45]);
+			expect([...parse("5-20/5 * * * *").minute]).to.deep.equal([5, 10, 15, 20]);
+			expect([...parse("10/20 * * * *").minute]).to.deep.equal([10, 30, 50]);
+		});
+
+		it("accepts Sunday written as 7", () => {
+			expect([...parse("0 9 * * 7").dayOfWeek]).to.deep.equal([0]);
+			expect([...parse("0 9 * * 5-7").dayOfWeek]).to.deep.equal([5, 6, 0]);
+		});
+
+		it("resolves shortcuts", () => {
+			expect(parse("@daily")).to.deep.equal(parse("0 0 * * *"));
+		});
+
+		it("rejects invalid expressions", () => {
+			for (const expression of ["60 * * * *", "* * *", "a * * * *", "5-1 * * * *", "*/0 * * * *", "0 0 0 * *"]) {
+				expect(PromptScheduler.parseCron(expression), expression).to.be.null;
+			}
+		});
+	});
+
+	describe("nextRun", () => {
+		// Monday, 5 January 2026
+		const monday = new Date(2026, 0, 5, 7, 0);
+
+		it("returns the next matching minute after the given time", () => {
+			expect(PromptScheduler.nextRun(parse("0 7 * * *"), monday)).to.deep.equal(new Date(2026, 0, 6, 7, 0));
+			expect(PromptScheduler.nextRun(parse("*/15 * * * *"), new Date(2026, 0, 5, 8, 7))).to.deep.equal(
+				new Date(2026, 0, 5, 8, 15),
+			);
+		});
+
+		it("runs on Sunday when written as 7", () => {
+			expect(PromptScheduler.nextRun(parse("0 9 * * 7"), monday)).to.deep.equal(new Date(2026, 0, 11, 9, 0));
+		});
+
+		it("matches day of month or day of week if both are restricted", () => {
+			const schedule = parse("0 8 13 * 5");
+
+			expect(PromptScheduler.nextRun(schedule, monday)).to.deep.equal(new Date(2026, 0, 9, 8, 0));
+			expect(PromptScheduler.nextRun(schedule, new Date(2026, 0, 10))).to.deep.equal(new Date(2026, 0, 13, 8, 0));
+		});
+
+		it("requires the day of month if only it is restricted", () => {
+			expect(PromptScheduler.nextRun(parse("0 8 13 * *"), monday)).to.deep.equal(new Date(2026, 0, 13, 8, 0));
+		});
+
+		it("returns null for dates that never occur", () => {
+			expect(PromptScheduler.nextRun(parse("0 0 31 2 *"), monday)).to.be.null;
+		});
+	});
+});
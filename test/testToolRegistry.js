@@ -0,0 +1,124 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("mocha");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const ToolRegistry = require("../lib/toolRegistry");
+
+const log = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+describe("ToolRegistry", () => {
+	let adapter;
+	let registry;
+
+	beforeEach(async () => {
+		adapter = {
+			log,
+			getObjectAsync: sinon.stub().resolves(null),
+			setObjectAsync: sinon.stub().resolves(),
+			setState: sinon.stub().resolves(),
+			sendToAsync: sinon.stub().resolves({ success: true, forecast: "sunny" }),
+		};
+		registry = new ToolRegistry(adapter, ["setState"]);
+		await registry.register(
+			{
+				name: "getWeather",
+				description: "Weather forecast",
+				parameters: { type: "object", properties: { day: { type: "string" } } },
+				readOnly: true,
+				timeout: 5,
+			},
+			"system.adapter.javascript.0",
+		);
+	});
+
+	describe("register", () => {
+		it("keeps the handler instance, access and timeout", () => {
+			expect(registry.list()[0]).to.include({
+				name: "getWeather",
+				instance: "javascript.0",
+				script: null,
+				readOnly: true,
+				timeout: 5,
+			});
+		});
+
+		it("rejects built-in names, invalid names and schemas", async () => {
+			const builtin = await registry.register({ name: "setState", description: "x", instance: "javascript.0" });
+			const invalid = await registry.register({ name: "1tool", description: "x", instance: "javascript.0" });
+			const schema = await registry.register({
+				name: "tool",
+				description: "x",
+				instance: "javascript.0",
+				parameters: { type: "string" },
+			});
+
+			expect(builtin.error).to.equal('"setState" is a built-in tool and cannot be replaced');
+			expect(invalid.success).to.be.false;
+			expect(schema.error).to.equal("Parameter 'parameters' must be a JSON schema of type 'object'");
+		});
+	});
+
+	describe("call", () => {
+		it("forwards the arguments to the script and returns its answer", async () => {
+			const result = await registry.call("getWeather", { day: "today" }, null, { source: "chat", model: "qwen3" });
+
+			expect(result).to.deep.equal({ success: true, forecast: "sunny" });
+			expect(adapter.sendToAsync.firstCall.args).to.deep.equal([
+				"javascript.0",
+				"toScript",
+				{
+					message: "getWeather",
+					data: { arguments: { day: "today" }, context: { source: "chat", model: "qwen3", client: undefined } },
+				},
+				{ timeout: 5000 },
+			]);
+		});
+
+		it("wraps plain answers and reports error answers", async () => {
+			adapter.sendToAsync.onFirstCall().resolves("sunny");
+			adapter.sendToAsync.onSecondCall().resolves({ error: "No forecast available" });
+
+			expect(await registry.call("getWeather", {})).to.deep.equal({ success: true, result: "sunny" });
+			expect(await registry.call("getWeather", {})).to.deep.equal({
+				success: false,
+				error: "No forecast available",
+			});
+		});
+
+		it("reports a script that does not answer in time as failed", async () => {
+			adapter.sendToAsync.resolves(new Error("Timeout exceeded"));
+
+			const result = await registry.call("getWeather", {});
+
+			expect(result).to.deep.equal({
+				success: false,
+				error: "Tool getWeather did not answer: Timeout exceeded",
+			});
+		});
+
+		it("reports a rejected sendTo as failed", async () => {
+			adapter.sendToAsync.rejects(new Error("javascript.0 is not running"));
+
+			const result = await registry.call("getWeather", {});
+
+			expect(result).to.deep.equal({
+				success: false,
+				error: "Tool getWeather did not answer: javascript.0 is not running",
+			});
+		});
+
+		it("refuses unknown tools and write tools of read-only clients", async () => {
+			await registry.register({ name: "openGarage", description: "Open the garage", instance: "javascript.0" });
+			const client = { name: "Dashboard", readOnly: true, datapoints: null };
+
+			expect(await registry.call("unknown", {})).to.deep.equal({ success: false, error: "Unknown tool: unknown" });
+			expect(await registry.call("openGarage", {}, client)).to.deep.equal({
+				success: false,
+				error: 'Client "Dashboard" has read-only access',
+			});
+			expect(registry.getFunctionDefinitions(client).map((def) => def.function.name)).to.deep.equal(["getWeather"]);
+			expect(adapter.sendToAsync.called).to.be.false;
+		});
+	});
+});
@@ -0,0 +1,210 @@
+"use strict";
+
+const { describe, it, before, after } = require("mocha");
+const { expect } = require("chai");
+const ToolServerAuth = require("../lib/toolServerAuth");
+const ToolServer = require("../lib/toolServer");
+const DatapointController = require("../lib/datapointController");
+
+const log = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const ADMIN_TOKEN = "admin-token-0123456789";
+const READER_TOKEN = "reader-token-0123456789";
+const KITCHEN_TOKEN = "kitchen-token-0123456789";
+
+const config = {
+	toolServerAuth: true,
+	toolServerClients: [
+		{ name: "Admin", token: ADMIN_TOKEN, access: "readwrite", datapoints: "" },
+		{ name: "Dashboard", token: READER_TOKEN, access: "read", datapoints: "" },
+		{ name: "Kitchen", token: KITCHEN_TOKEN, access: "readwrite", datapoints: "hm.0.kitchen.light" },
+		{ name: "No key", token: " ", access: "readwrite" },
+	],
+};
+
+describe("ToolServerAuth", () => {
+	describe("createProfile", () => {
+		it("parses name, access and the datapoint list", () => {
+			const profile = /** @type {{name: string, readOnly: boolean, datapoints: Set<string>}} */ (
+				ToolServerAuth.createProfile({
+					name: " Kitchen tablet ",
+					token: "secret",
+					access: "readwrite",
+					datapoints: "hm.0.a, hm.0.b;hm.0.c\nhm.0.d",
+				})
+			);
+
+			expect(profile.name).to.equal("Kitchen tablet");
+			expect(profile.readOnly).to.be.false;
+			expect([...profile.datapoints]).to.deep.equal(["hm.0.a", "hm.0.b", "hm.0.c", "hm.0.d"]);
+		});
+
+		it("defaults to read-only access without a datapoint list", () => {
+			const profile = ToolServerAuth.createProfile({ token: "secret", access: "anything" });
+
+			expect(profile).to.deep.equal({ name: "unnamed", readOnly: true, datapoints: null });
+		});
+
+		it("ignores entries without a token", () => {
+			expect(ToolServerAuth.createProfile({ name: "empty", token: "  " })).to.be.null;
+			expect(ToolServerAuth.createProfile(null)).to.be.null;
+		});
+	});
+
+	describe("isDatapointAllowed", () => {
+		it("narrows the datapoints to the client's allow-list", () => {
+			const client = ToolServerAuth.createProfile({ token: "secret", datapoints: "hm.0.a" });
+
+			expect(ToolServerAuth.isDatapointAllowed(client, "hm.0.a")).to.be.true;
+			expect(ToolServerAuth.isDatapointAllowed(client, "hm.0.b")).to.be.false;
+			expect(ToolServerAuth.isDatapointAllowed(null, "hm.0.b")).to.be.true;
+		});
+	});
+
+	describe("authenticate", () => {
+		const auth = new ToolServerAuth(config, log);
+
+		it("resolves the client profile of a valid token", () => {
+			const client = auth.authenticate({ headers: { authorization: `Bearer ${READER_TOKEN}` } });
+
+			expect(client).to.include({ name: "Dashboard", readOnly: true });
+		});
+
+		it("rejects missing, unknown and malformed tokens", () => {
+			expect(auth.authenticate({ headers: {} })).to.be.null;
+			expect(auth.authenticate({ headers: { authorization: "Bearer wrong-token" } })).to.be.null;
+			expect(auth.authenticate({ headers: { authorization: READER_TOKEN } })).to.be.null;
+		});
+
+		it("accepts the internal token of the adapter", () => {
+			const token = auth.getInternalToken();
+			const req = { headers: { authorization: `Bearer ${token}` } };
+
+			expect(auth.authenticate(req)).to.include({ name: "adapter", readOnly: false });
+			expect(auth.isInternal(req)).to.be.true;
+		});
+	});
+
+	describe("getCorsOrigin", () => {
+		it("allows no cross-origin access unless origins are configured", () => {
+			expect(ToolServer.getCorsOrigin("")).to.be.false;
+			expect(ToolServer.getCorsOrigin(undefined)).to.be.false;
+			expect(ToolServer.getCorsOrigin("http://a:3000, http://b")).to.deep.equal(["http://a:3000", "http://b"]);
+			expect(ToolServer.getCorsOrigin("http://a:3000, *")).to.equal("*");
+		});
+	});
+
+	describe("ToolServer routes", () => {
+		const written = [];
+		let server;
+		let baseUrl;
+
+		before(async () => {
+			const adapter = {
+				getForeignObjectAsync: async (id) => ({ common: { type: "boolean", read: true, write: true, name: id } }),
+				getForeignStateAsync: async () => ({ val: false, ack: true, ts: 0 }),
+				setForeignStateAsync: async (id, state) => written.push({ id, state }),
+			};
+			const controller = new DatapointController(
+				adapter,
+				new Set(["hm.0.kitchen.light", "hm.0.living.light"]),
+				log,
+			);
+			controller.setWriteAllowedDatapoints(new Set(["hm.0.kitchen.light", "hm.0.living.light"]));
+			const toolServer = new ToolServer(config, log, new Set(), controller, adapter);
+
+			await new Promise((resolve) => {
+				server = toolServer.app.listen(0, "127.0.0.1", resolve);
+			});
+			baseUrl = `http://127.0.0.1:${server.address().port}`;
+		});
+
+		after(async () => {
+			server.closeAllConnections();
+			await new Promise((resolve) => server.close(resolve));
+		});
+
+		/**
+		 * Send a request to the ToolServer
+		 *
+		 * @param {string} method - HTTP method
+		 * @param {string} path - Route
+		 * @param {string} [token] - Bearer token
+		 * @param {string} [body] - Raw request body
+		 * @returns {Promise<{status: number, data: object}>} Status and JSON answer
+		 */
+		async function request(method, path, token, body) {
+			const headers = { "Content-Type": "application/json" };
+			if (token) {
+				headers.Authorization = `Bearer ${token}`;
+			}
+			const response = await fetch(`${baseUrl}${path}`, { method, headers, body });
+			return { status: response.status, data: await response.json() };
+		}
+
+		it("rejects requests without a token", async () => {
+			const response = await request("GET", "/health");
+
+			expect(response.status).to.equal(401);
+			expect(response.data).to.deep.equal({ success: false, error: "Unauthorized: valid API key required" });
+		});
+
+		it("rejects requests with an invalid token before reading the body", async () => {
+			const response = await request("POST", "/setState", "wrong-token", "{not json");
+
+			expect(response.status).to.equal(401);
+		});
+
+		it("accepts requests with a valid token", async () => {
+			const response = await request("GET", "/health", READER_TOKEN);
+
+			expect(response.status).to.equal(200);
+			expect(response.data.status).to.equal("ok");
+		});
+
+		it("refuses writes of read-only clients", async () => {
+			const response = await request(
+				"POST",
+				"/setState",
+				READER_TOKEN,
+				JSON.stringify({ datapoint: "hm.0.kitchen.light", value: true }),
+			);
+
+			expect(response.status).to.equal(403);
+			expect(response.data.error).to.equal('Client "Dashboard" has read-only access');
+			expect(written).to.be.empty;
+		});
+
+		it("limits clients to their datapoint allow-list", async () => {
+			const denied = await request(
+				"POST",
+				"/getState",
+				KITCHEN_TOKEN,
+				JSON.stringify({ datapoint: "hm.0.living.light" }),
+			);
+			const allowed = await request(
+				"POST",
+				"/getState",
+				KITCHEN_TOKEN,
+				JSON.stringify({ datapoint: "hm.0.kitchen.light" }),
+			);
+
+			expect(denied.data.success).to.be.false;
+			expect(allowed.data.success).to.be.true;
+		});
+
+		it("lists only the tools and datapoints of the client in the OpenAPI spec", async () => {
+			const reader = await request("GET", "/openapi.json", READER_TOKEN);
+			const kitchen = await request("GET", "/openapi.json", KITCHEN_TOKEN);
+			const admin = await request("GET", "/openapi.json", ADMIN_TOKEN);
+			const datapointEnum = (spec) =>
+				spec.paths["/getState"].post.requestBody.content["application/json"].schema.properties.datapoint.enum;
+
+			expect(reader.data.paths).to.not.have.any.keys("/setState", "/setStates", "/undoLast", "/notify");
+			expect(reader.data.paths).to.include.keys("/getState", "/getHistory");
+			expect(kitchen.data.paths).to.include.keys("/setState");
+			expect(datapointEnum(kitchen.data)).to.deep.equal(["hm.0.kitchen.light"]);
+			expect(datapointEnum(admin.data)).to.deep.equal(["hm.0.kitchen.light", "hm.0.living.light"]);
+		});
+	});
+});